@@ -0,0 +1,194 @@
+pragma circom 2.0.0;
+
+include "circomlib/circuits/comparators.circom";
+
+// Date and age checks shared by the age and residency circuits
+
+// Quotient and remainder of `in` by a constant divisor. Both are range
+// checked, so `in` must be below divisor * 2^quotient_bits for the
+// division to be unique (no field wraparound).
+template DivMod(divisor, quotient_bits, remainder_bits) {
+    signal input in;
+    signal output quotient;
+    signal output remainder;
+
+    quotient <-- in \ divisor;
+    remainder <-- in % divisor;
+    in === quotient * divisor + remainder;
+
+    component quotient_range = Num2Bits(quotient_bits);
+    quotient_range.in <== quotient;
+    component remainder_range = Num2Bits(remainder_bits);
+    remainder_range.in <== remainder;
+
+    component remainder_max = LessThan(remainder_bits + 1);
+    remainder_max.in[0] <== remainder;
+    remainder_max.in[1] <== divisor;
+    remainder_max.out === 1;
+}
+
+// 1 for Gregorian leap years: divisible by 4, and not by 100 unless by 400
+template IsLeapYear() {
+    signal input year; // below 2^12
+    signal output out;
+
+    component by4 = DivMod(4, 10, 2);
+    component by100 = DivMod(100, 6, 7);
+    component by400 = DivMod(400, 4, 9);
+    by4.in <== year;
+    by100.in <== year;
+    by400.in <== year;
+
+    component div4 = IsZero();
+    component div100 = IsZero();
+    component div400 = IsZero();
+    div4.in <== by4.remainder;
+    div100.in <== by100.remainder;
+    div400.in <== by400.remainder;
+
+    // Divisible by 400 implies divisible by 100, so this stays 0 or 1
+    signal not_common_century;
+    not_common_century <== 1 - div100.out + div400.out;
+    out <== div4.out * not_common_century;
+}
+
+// Number of days in a month (1-12) of a year
+template DaysInMonth() {
+    signal input year;
+    signal input month;
+    signal output days;
+
+    component leap = IsLeapYear();
+    leap.year <== year;
+
+    component is_feb = IsEqual();
+    component is_apr = IsEqual();
+    component is_jun = IsEqual();
+    component is_sep = IsEqual();
+    component is_nov = IsEqual();
+    is_feb.in[0] <== month;
+    is_feb.in[1] <== 2;
+    is_apr.in[0] <== month;
+    is_apr.in[1] <== 4;
+    is_jun.in[0] <== month;
+    is_jun.in[1] <== 6;
+    is_sep.in[0] <== month;
+    is_sep.in[1] <== 9;
+    is_nov.in[0] <== month;
+    is_nov.in[1] <== 11;
+
+    signal leap_feb;
+    leap_feb <== is_feb.out * leap.out;
+
+    // 31, minus 3 for February (2 in leap years), minus 1 for 30-day months
+    days <== 31 - 3 * is_feb.out + leap_feb - is_apr.out - is_jun.out - is_sep.out - is_nov.out;
+}
+
+// Calendar-valid date: year below 4096, month 1-12, day within the month
+template ValidDate() {
+    signal input year;
+    signal input month;
+    signal input day;
+
+    component year_range = Num2Bits(12);
+    component month_range = Num2Bits(4);
+    component day_range = Num2Bits(5);
+    year_range.in <== year;
+    month_range.in <== month;
+    day_range.in <== day;
+
+    component month_min = GreaterEqThan(4);
+    component month_max = LessEqThan(4);
+    month_min.in[0] <== month;
+    month_min.in[1] <== 1;
+    month_max.in[0] <== month;
+    month_max.in[1] <== 12;
+    month_min.out === 1;
+    month_max.out === 1;
+
+    component days_in_month = DaysInMonth();
+    days_in_month.year <== year;
+    days_in_month.month <== month;
+
+    component day_min = GreaterEqThan(5);
+    component day_max = LessEqThan(5);
+    day_min.in[0] <== day;
+    day_min.in[1] <== 1;
+    day_max.in[0] <== day;
+    day_max.in[1] <== days_in_month.days;
+    day_min.out === 1;
+    day_max.out === 1;
+}
+
+// Age in completed years against min_age, with the date checks every
+// age proof needs. Birth dates up to max_age_years before the current date
+// are accepted.
+template AgeCheck(max_age_years) {
+    signal input birth_year;
+    signal input birth_month;
+    signal input birth_day;
+    signal input current_year;
+    signal input current_month;
+    signal input current_day;
+    signal input min_age;
+    signal output is_eligible;
+
+    // Both dates must be real calendar dates; this also bounds every date
+    // signal to a few bits, so the comparators below cannot wrap around
+    component birth_date = ValidDate();
+    birth_date.year <== birth_year;
+    birth_date.month <== birth_month;
+    birth_date.day <== birth_day;
+
+    component current_date = ValidDate();
+    current_date.year <== current_year;
+    current_date.month <== current_month;
+    current_date.day <== current_day;
+
+    // Birth date must not be after the current date (dates as YYYYMMDD < 2^26)
+    component not_future = LessEqThan(26);
+    not_future.in[0] <== birth_year * 10000 + birth_month * 100 + birth_day;
+    not_future.in[1] <== current_year * 10000 + current_month * 100 + current_day;
+    not_future.out === 1;
+
+    // Birth year bound relative to the current year instead of a fixed cap
+    component oldest = GreaterEqThan(13);
+    oldest.in[0] <== birth_year + max_age_years;
+    oldest.in[1] <== current_year;
+    oldest.out === 1;
+
+    // min_age is compared with 8-bit comparators
+    component min_age_range = Num2Bits(8);
+    min_age_range.in <== min_age;
+
+    // Calculate age in completed years
+    signal age_years;
+    signal has_had_birthday;
+    
+    // Check if birthday has occurred this year
+    component month_check = GreaterThan(4);
+    component day_check = GreaterEqThan(5);
+    component month_eq = IsEqual();
+    
+    month_check.in[0] <== current_month;
+    month_check.in[1] <== birth_month;
+    
+    month_eq.in[0] <== current_month;
+    month_eq.in[1] <== birth_month;
+    
+    day_check.in[0] <== current_day;
+    day_check.in[1] <== birth_day;
+    
+    // has_had_birthday = (current_month > birth_month) OR (current_month == birth_month AND current_day >= birth_day)
+    // A 29 February birthday is reached on 1 March in common years
+    has_had_birthday <== month_check.out + month_eq.out * day_check.out;
+    
+    // Never negative: the birth date is on or before the current date
+    age_years <== current_year - birth_year - (1 - has_had_birthday);
+    
+    // Check if age meets minimum requirement
+    component age_check = GreaterEqThan(8); // Ages up to max_age_years < 256
+    age_check.in[0] <== age_years;
+    age_check.in[1] <== min_age;
+    is_eligible <== age_check.out;
+}
@@ -1,15 +1,16 @@
 pragma circom 2.0.0;
 
 include "circomlib/circuits/poseidon.circom";
-include "circomlib/circuits/comparators.circom";
+include "age_checks.circom";
 
-// Age verification circuit for sports betting (18+ proof)
-template AgeVerification() {
+// Age verification circuit for sports betting (min_age+ proof)
+// Birth dates up to max_age_years before the current date are accepted.
+template AgeVerification(max_age_years) {
     // Private inputs (known only to prover)
-    signal private input birth_year;
-    signal private input birth_month;
-    signal private input birth_day;
-    signal private input identity_secret; // Secret key for identity commitment
+    signal input birth_year;
+    signal input birth_month;
+    signal input birth_day;
+    signal input identity_secret; // Secret key for identity commitment
     
     // Public inputs (known to verifier)
     signal input current_year;
@@ -17,13 +18,24 @@ template AgeVerification() {
     signal input current_day;
     signal input identity_commitment; // Public commitment to identity
     signal input min_age; // Minimum age requirement (18 for sports betting)
+    signal input operator_scope; // Per-operator scope for the nullifier
+    signal input wallet_binding; // Hash of the wallet address the proof is bound to
     
     // Output signals
     signal output is_eligible; // 1 if eligible, 0 if not
     signal output proof_hash; // Unique proof identifier
-    
-    // Components for age calculation
-    component age_check = GreaterEqThan(8); // Support ages up to 255
+    signal output nullifier; // Same for every proof of one identity at one operator
+    
+    component age = AgeCheck(max_age_years);
+    age.birth_year <== birth_year;
+    age.birth_month <== birth_month;
+    age.birth_day <== birth_day;
+    age.current_year <== current_year;
+    age.current_month <== current_month;
+    age.current_day <== current_day;
+    age.min_age <== min_age;
+    
+    // Components for the commitment and proof hash
     component identity_hasher = Poseidon(4);
     component proof_hasher = Poseidon(3);
     
@@ -36,37 +48,8 @@ template AgeVerification() {
     // Ensure the identity commitment matches
     identity_commitment === identity_hasher.out;
     
-    // Calculate age in years (simplified calculation)
-    // This assumes birth_month and birth_day are valid (1-12, 1-31)
-    signal age_years;
-    signal has_had_birthday;
-    
-    // Check if birthday has occurred this year
-    component month_check = GreaterThan(8);
-    component day_check = GreaterEqThan(8);
-    component month_eq = IsEqual();
-    
-    month_check.in[0] <== current_month;
-    month_check.in[1] <== birth_month;
-    
-    month_eq.in[0] <== current_month;
-    month_eq.in[1] <== birth_month;
-    
-    day_check.in[0] <== current_day;
-    day_check.in[1] <== birth_day;
-    
-    // has_had_birthday = (current_month > birth_month) OR (current_month == birth_month AND current_day >= birth_day)
-    has_had_birthday <== month_check.out + month_eq.out * day_check.out;
-    
-    // Calculate current age
-    age_years <== current_year - birth_year - (1 - has_had_birthday);
-    
-    // Check if age meets minimum requirement
-    age_check.in[0] <== age_years;
-    age_check.in[1] <== min_age;
-    
     // Set eligibility output
-    is_eligible <== age_check.out;
+    is_eligible <== age.is_eligible;
     
     // Generate unique proof hash
     proof_hasher.inputs[0] <== identity_commitment;
@@ -74,33 +57,15 @@ template AgeVerification() {
     proof_hasher.inputs[2] <== current_year * 10000 + current_month * 100 + current_day;
     proof_hash <== proof_hasher.out;
     
-    // Constraint to ensure valid date inputs
-    component year_range = LessEqThan(12);
-    component month_range1 = GreaterEqThan(8);
-    component month_range2 = LessEqThan(8);
-    component day_range1 = GreaterEqThan(8);
-    component day_range2 = LessEqThan(8);
-    
-    // Birth year should be reasonable (1900-2024)
-    year_range.in[0] <== birth_year;
-    year_range.in[1] <== 2024;
-    
-    // Month should be 1-12
-    month_range1.in[0] <== birth_month;
-    month_range1.in[1] <== 1;
-    month_range2.in[0] <== birth_month;
-    month_range2.in[1] <== 12;
-    
-    // Day should be 1-31
-    day_range1.in[0] <== birth_day;
-    day_range1.in[1] <== 1;
-    day_range2.in[0] <== birth_day;
-    day_range2.in[1] <== 31;
+    // Per-operator nullifier: links proofs of one identity without revealing it
+    component nullifier_hasher = Poseidon(2);
+    nullifier_hasher.inputs[0] <== identity_secret;
+    nullifier_hasher.inputs[1] <== operator_scope;
+    nullifier <== nullifier_hasher.out;
     
-    // Ensure all date constraints are satisfied
-    signal date_valid;
-    date_valid <== year_range.out * month_range1.out * month_range2.out * day_range1.out * day_range2.out;
-    date_valid === 1;
+    // Constrain wallet_binding so the proof cannot be replayed for another wallet
+    signal wallet_binding_square;
+    wallet_binding_square <== wallet_binding * wallet_binding;
 }
 
-component main = AgeVerification();
+component main {public [current_year, current_month, current_day, identity_commitment, min_age, operator_scope, wallet_binding]} = AgeVerification(150);
@@ -6,15 +6,16 @@ include "circomlib/circuits/comparators.circom";
 // Privacy-preserving entity verification circuit
 template EntityProof() {
     // Private inputs (known only to prover)
-    signal private input entity_id;
-    signal private input secret_key;
-    signal private input balance;
-    signal private input timestamp;
+    signal input entity_id;
+    signal input secret_key;
+    signal input balance;
+    signal input timestamp;
     
-    // Public inputs (known to verifier)
+    // Public inputs (known to verifier, listed in main)
     signal input commitment;
     signal input min_balance_threshold;
     signal input max_timestamp;
+    signal input wallet_binding; // Hash of the wallet address the proof is bound to
     
     // Output signals
     signal output valid_entity;
@@ -33,6 +34,17 @@ template EntityProof() {
     
     commitment === hasher.out;
     
+    // The comparators are only sound for 64-bit inputs; without these a
+    // value near the field modulus could wrap around and pass
+    component balance_range = Num2Bits(64);
+    component threshold_range = Num2Bits(64);
+    component timestamp_range = Num2Bits(64);
+    component max_timestamp_range = Num2Bits(64);
+    balance_range.in <== balance;
+    threshold_range.in <== min_balance_threshold;
+    timestamp_range.in <== timestamp;
+    max_timestamp_range.in <== max_timestamp;
+    
     // Verify balance meets minimum threshold
     balance_check.in[0] <== balance;
     balance_check.in[1] <== min_balance_threshold;
@@ -44,11 +56,16 @@ template EntityProof() {
     // Output validation result
     valid_entity <== balance_check.out * timestamp_check.out;
     
-    // Generate proof hash for verification
-    component proof_hasher = Poseidon(2);
+    // Generate proof hash for verification. Every public input goes in, so
+    // proofs for another threshold, time or wallet on the same commitment
+    // get a different hash (and wallet_binding is constrained by it)
+    component proof_hasher = Poseidon(5);
     proof_hasher.inputs[0] <== commitment;
     proof_hasher.inputs[1] <== valid_entity;
+    proof_hasher.inputs[2] <== min_balance_threshold;
+    proof_hasher.inputs[3] <== max_timestamp;
+    proof_hasher.inputs[4] <== wallet_binding;
     proof_hash <== proof_hasher.out;
 }
 
-component main = EntityProof();
+component main {public [commitment, min_balance_threshold, max_timestamp, wallet_binding]} = EntityProof();
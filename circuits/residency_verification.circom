@@ -0,0 +1,122 @@
+pragma circom 2.0.0;
+
+include "circomlib/circuits/poseidon.circom";
+include "circomlib/circuits/mux1.circom";
+include "age_checks.circom";
+
+// Merkle root of a Poseidon(2) tree from a leaf and its authentication path.
+// path_indices[i] is 1 when the node at level i is a right child.
+template MerkleRoot(depth) {
+    signal input leaf;
+    signal input path_elements[depth];
+    signal input path_indices[depth];
+    signal output root;
+
+    component hashers[depth];
+    component left[depth];
+    component right[depth];
+    signal levels[depth + 1];
+    levels[0] <== leaf;
+
+    for (var i = 0; i < depth; i++) {
+        path_indices[i] * (1 - path_indices[i]) === 0;
+
+        left[i] = Mux1();
+        left[i].c[0] <== levels[i];
+        left[i].c[1] <== path_elements[i];
+        left[i].s <== path_indices[i];
+
+        right[i] = Mux1();
+        right[i].c[0] <== path_elements[i];
+        right[i].c[1] <== levels[i];
+        right[i].s <== path_indices[i];
+
+        hashers[i] = Poseidon(2);
+        hashers[i].inputs[0] <== left[i].out;
+        hashers[i].inputs[1] <== right[i].out;
+        levels[i + 1] <== hashers[i].out;
+    }
+
+    root <== levels[depth];
+}
+
+// Age verification combined with proof of residency in one of a set of
+// jurisdictions. The identity commitment also covers the region code, and
+// Poseidon(region) must be a leaf of the tree with root regions_root, so the
+// verifier learns the allowed set but not which region it is.
+template AgeResidencyVerification(max_age_years, depth) {
+    // Private inputs (known only to prover)
+    signal input birth_year;
+    signal input birth_month;
+    signal input birth_day;
+    signal input identity_secret;
+    signal input region; // Jurisdiction code as a field element
+    signal input path_elements[depth];
+    signal input path_indices[depth];
+
+    // Public inputs (known to verifier)
+    signal input current_year;
+    signal input current_month;
+    signal input current_day;
+    signal input identity_commitment;
+    signal input min_age;
+    signal input operator_scope;
+    signal input wallet_binding;
+    signal input regions_root; // Merkle root of the allowed jurisdictions
+
+    // Output signals
+    signal output is_eligible;
+    signal output proof_hash;
+    signal output nullifier;
+
+    component age = AgeCheck(max_age_years);
+    age.birth_year <== birth_year;
+    age.birth_month <== birth_month;
+    age.birth_day <== birth_day;
+    age.current_year <== current_year;
+    age.current_month <== current_month;
+    age.current_day <== current_day;
+    age.min_age <== min_age;
+    is_eligible <== age.is_eligible;
+
+    // The commitment binds the region to the identity
+    component identity_hasher = Poseidon(5);
+    identity_hasher.inputs[0] <== birth_year;
+    identity_hasher.inputs[1] <== birth_month;
+    identity_hasher.inputs[2] <== birth_day;
+    identity_hasher.inputs[3] <== identity_secret;
+    identity_hasher.inputs[4] <== region;
+    identity_commitment === identity_hasher.out;
+
+    // Residency: the region is in the allowed set
+    component leaf_hasher = Poseidon(1);
+    leaf_hasher.inputs[0] <== region;
+
+    component membership = MerkleRoot(depth);
+    membership.leaf <== leaf_hasher.out;
+    for (var i = 0; i < depth; i++) {
+        membership.path_elements[i] <== path_elements[i];
+        membership.path_indices[i] <== path_indices[i];
+    }
+    regions_root === membership.root;
+
+    // Proof hash also covers the set the residency was proven against
+    component proof_hasher = Poseidon(4);
+    proof_hasher.inputs[0] <== identity_commitment;
+    proof_hasher.inputs[1] <== is_eligible;
+    proof_hasher.inputs[2] <== current_year * 10000 + current_month * 100 + current_day;
+    proof_hasher.inputs[3] <== regions_root;
+    proof_hash <== proof_hasher.out;
+
+    // Same nullifier as the age circuit, so both proofs link to one identity
+    component nullifier_hasher = Poseidon(2);
+    nullifier_hasher.inputs[0] <== identity_secret;
+    nullifier_hasher.inputs[1] <== operator_scope;
+    nullifier <== nullifier_hasher.out;
+
+    // Constrain wallet_binding so the proof cannot be replayed for another wallet
+    signal wallet_binding_square;
+    wallet_binding_square <== wallet_binding * wallet_binding;
+}
+
+component main {public [current_year, current_month, current_day, identity_commitment, min_age, operator_scope, wallet_binding, regions_root]} = AgeResidencyVerification(150, 6);
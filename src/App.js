@@ -5,6 +5,7 @@ import WalletConnection from './components/WalletConnection';
 import ProofGeneration from './components/ProofGeneration';
 import TransactionHistory from './components/TransactionHistory';
 import SportsBettingVerification from './components/SportsBettingVerification';
+import { GAP_SERVER_URL } from './gap-server-url';
 
 function App() {
   const [walletConnected, setWalletConnected] = useState(false);
@@ -17,7 +18,7 @@ function App() {
 
   const checkProofServerStatus = async () => {
     try {
-      const response = await fetch('http://localhost:6300/health');
+      const response = await fetch(`${GAP_SERVER_URL}/health`);
       if (response.ok) {
         setProofServerStatus('connected');
       } else {
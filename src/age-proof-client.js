@@ -0,0 +1,89 @@
+import * as snarkjs from 'snarkjs';
+import { FIELD_MODULUS, generateIdentityCommitment } from './identity-commitment';
+import { walletBinding } from './nullifier';
+
+/**
+ * In-browser age proof generation
+ * Birth date and identity secret stay on the user's device; only the
+ * Groth16 proof and its public signals are sent to the GAP server.
+ */
+
+// Served from public/circuits (see `npm run publish-age-circuit`)
+const AGE_CIRCUIT_WASM_URL = `${process.env.PUBLIC_URL || ''}/circuits/age_verification.wasm`;
+const AGE_CIRCUIT_ZKEY_URL = `${process.env.PUBLIC_URL || ''}/circuits/age_verification_0001.zkey`;
+
+const IDENTITY_SECRET_KEY_PREFIX = 'gap-identity-secret:';
+
+/**
+ * Uniformly random identity secret below the field modulus, from the
+ * platform CSPRNG (254 random bits, redrawn while out of range)
+ */
+export const generateIdentitySecret = () => {
+    for (;;) {
+        const bytes = globalThis.crypto.getRandomValues(new Uint8Array(32));
+        bytes[0] &= 0x3f;
+        const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+        const secret = BigInt(`0x${hex}`);
+        if (secret < FIELD_MODULUS) {
+            return secret.toString();
+        }
+    }
+};
+
+/**
+ * The wallet's identity secret, created and kept in `storage` on first use.
+ * The server binds each wallet to one nullifier, so a wallet has to keep
+ * proving with the same secret.
+ */
+export const identitySecretFor = (walletAddress, storage = window.localStorage) => {
+    const key = `${IDENTITY_SECRET_KEY_PREFIX}${String(walletAddress).trim().toLowerCase()}`;
+    let secret = storage.getItem(key);
+    if (!secret) {
+        secret = generateIdentitySecret();
+        storage.setItem(key, secret);
+    }
+    return secret;
+};
+
+/**
+ * Compute the Poseidon identity commitment locally
+ */
+export const createIdentityCommitment = (birthYear, birthMonth, birthDay, identitySecret) =>
+    generateIdentityCommitment(birthYear, birthMonth, birthDay, identitySecret);
+
+/**
+ * Generate the age verification proof locally with the circuit wasm and zkey
+ */
+export const proveAge = async ({
+    birthYear,
+    birthMonth,
+    birthDay,
+    identitySecret,
+    identityCommitment,
+    minAge,
+    operatorScope,
+    walletAddress,
+    now = new Date()
+}) => {
+    const input = {
+        birth_year: birthYear,
+        birth_month: birthMonth,
+        birth_day: birthDay,
+        identity_secret: identitySecret,
+        current_year: now.getFullYear(),
+        current_month: now.getMonth() + 1,
+        current_day: now.getDate(),
+        identity_commitment: identityCommitment,
+        min_age: minAge,
+        operator_scope: operatorScope,
+        wallet_binding: walletBinding(walletAddress)
+    };
+
+    const { proof, publicSignals } = await snarkjs.groth16.fullProve(
+        input,
+        AGE_CIRCUIT_WASM_URL,
+        AGE_CIRCUIT_ZKEY_URL
+    );
+
+    return { proof, publicSignals };
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const { poseidonHash } = require('./identity-commitment');
+const { daysInMonth } = require('./validation');
+
+/**
+ * contracts/age_registry.compact in JavaScript
+ *
+ * AgeRegistryContract runs the contract's circuits against an in-process
+ * ledger for the mock Compact network; failed assertions throw with the
+ * contract's message, like a rejected transaction. isEligibleOnLedger() is
+ * the check_eligibility circuit over a ledger snapshot, so operators can
+ * check eligibility from ledger state alone.
+ *
+ * The contract hashes with the runtime's transientHash, which is not the
+ * BN254 Poseidon of circuits/age_verification.circom. The mirror takes the
+ * hash as an option (BN254 Poseidon by default), so the mock can stand in
+ * for either; on Midnight, ledger proof hashes and nullifiers do not match
+ * those of GAP proof records.
+ *
+ * Ledger state, with field elements as decimal strings:
+ *   { registrar, verifications: { [proofHash]: entry }, nullifiers: { [nullifier]: proofHash },
+ *     revoked_certificates: [certificateId] }
+ * where an entry is { nullifier, min_age, is_eligible, proof_date, expires_at, revoked }.
+ */
+
+const AGE_REGISTRY_CONTRACT = 'age_registry';
+
+/**
+ * The registrar ledger value for a registrar key (persistentHash, a SHA-256)
+ */
+function registrarCommitment(registrarKey) {
+    return crypto.createHash('sha256').update(Buffer.from(String(registrarKey), 'hex')).digest('hex');
+}
+
+function dateNumber({ year, month, day }) {
+    return Number(year) * 10000 + Number(month) * 100 + Number(day);
+}
+
+/**
+ * check_eligibility: the entry exists, proved at least minAge, has not
+ * expired (block time in seconds) or been revoked, and is still the
+ * identity's latest verification
+ */
+function isEligibleOnLedger(ledger, proofHash, minAge, nowSeconds) {
+    const entry = ledger.verifications[String(proofHash)];
+    return Boolean(entry) &&
+        entry.is_eligible &&
+        !entry.revoked &&
+        entry.min_age >= Number(minAge) &&
+        nowSeconds < entry.expires_at &&
+        ledger.nullifiers[entry.nullifier] === String(proofHash);
+}
+
+class AgeRegistryContract {
+    /**
+     * `hash` maps a list of field elements to a decimal field string and
+     * stands in for transientHash
+     */
+    constructor({ registrar_commitment }, { hash = poseidonHash } = {}) {
+        this.hash = hash;
+        this.ledger = {
+            registrar: String(registrar_commitment),
+            verifications: {},
+            nullifiers: {},
+            revoked_certificates: []
+        };
+    }
+
+    /**
+     * Run an exported circuit; nowSeconds is the block time
+     */
+    async call(circuit, args, witnesses, nowSeconds) {
+        switch (circuit) {
+            case 'register':
+                return this.register(args, witnesses, nowSeconds);
+            case 'revoke':
+                return this.revoke(args, witnesses);
+            case 'revoke_certificate':
+                return this.revokeCertificate(args, witnesses);
+            case 'is_certificate_revoked':
+                return this.ledger.revoked_certificates.includes(String(args.certificate_id));
+            case 'check_eligibility':
+                return isEligibleOnLedger(this.ledger, args.proof_hash, args.min_age, nowSeconds);
+            default:
+                throw new Error(`Unknown circuit ${circuit} in ${AGE_REGISTRY_CONTRACT}`);
+        }
+    }
+
+    async register({ identity_commitment, proof_date, min_age, operator_scope, expires_at }, witnesses, nowSeconds) {
+        this.assertRegistrar(witnesses);
+        assert(nowSeconds < Number(expires_at), 'Expiry must be in the future');
+
+        const birth = witnesses.birth_date;
+        const secret = witnesses.identity_secret;
+        assert(
+            birth.month >= 1 && birth.month <= 12 &&
+                birth.day >= 1 && birth.day <= daysInMonth(Number(birth.year), Number(birth.month)),
+            'Invalid birth date'
+        );
+        const birthNumber = dateNumber(birth);
+        assert(birthNumber <= Number(proof_date), 'Birth date is after the proof date');
+        assert(
+            await this.hash([birth.year, birth.month, birth.day, secret]) === String(identity_commitment),
+            'Identity commitment does not match the birth date and secret'
+        );
+
+        const isEligible = birthNumber + Number(min_age) * 10000 <= Number(proof_date);
+        const proofHash = await this.hash([identity_commitment, isEligible ? 1 : 0, proof_date]);
+        const nullifier = await this.hash([secret, operator_scope]);
+
+        this.ledger.verifications[proofHash] = {
+            nullifier,
+            min_age: Number(min_age),
+            is_eligible: isEligible,
+            proof_date: Number(proof_date),
+            expires_at: Number(expires_at),
+            revoked: false
+        };
+        this.ledger.nullifiers[nullifier] = proofHash;
+        return proofHash;
+    }
+
+    revoke({ proof_hash }, witnesses) {
+        this.assertRegistrar(witnesses);
+        const entry = this.ledger.verifications[String(proof_hash)];
+        assert(entry, 'Unknown proof hash');
+        this.ledger.verifications[String(proof_hash)] = { ...entry, revoked: true };
+        return [];
+    }
+
+    revokeCertificate({ certificate_id }, witnesses) {
+        this.assertRegistrar(witnesses);
+        if (!this.ledger.revoked_certificates.includes(String(certificate_id))) {
+            this.ledger.revoked_certificates.push(String(certificate_id));
+        }
+        return [];
+    }
+
+    assertRegistrar(witnesses) {
+        assert(
+            witnesses.registrar_key && registrarCommitment(witnesses.registrar_key) === this.ledger.registrar,
+            'Only the registrar can do this'
+        );
+    }
+
+    /**
+     * Copy of the ledger state
+     */
+    state() {
+        return JSON.parse(JSON.stringify(this.ledger));
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+module.exports = {
+    AGE_REGISTRY_CONTRACT,
+    AgeRegistryContract,
+    registrarCommitment,
+    isEligibleOnLedger
+};
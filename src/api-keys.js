@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { PERMANENT_TTL_MS } = require('./proof-store');
+
+/**
+ * Operator API keys
+ *
+ * Each key belongs to one tenant (sportsbook brand) and looks like
+ * gap_<keyId>_<secret>. Only a SHA-256 hash of the secret is stored, keyed
+ * by keyId, so keys can be revoked by id without knowing the secret.
+ * Revoked keys are kept with a revokedAt timestamp for auditing.
+ */
+
+const API_KEY_PATTERN = /^gap_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest();
+
+/**
+ * Compare two secrets without leaking where they differ
+ */
+function secretsEqual(actual, expected) {
+    return crypto.timingSafeEqual(hashSecret(actual), hashSecret(expected));
+}
+
+/**
+ * API key from an `Authorization: Bearer` or `X-API-Key` header, or null
+ */
+function apiKeyFromHeaders(headers = {}) {
+    const authorization = headers.authorization || '';
+    const match = /^Bearer\s+(\S+)$/i.exec(authorization);
+    return match ? match[1] : (headers['x-api-key'] || null);
+}
+
+class ApiKeyRegistry {
+    constructor({ store }) {
+        this.store = store;
+    }
+
+    /**
+     * Create a key for a tenant; the returned apiKey is never shown again
+     */
+    async create(tenantId, { label = null, now = Date.now() } = {}) {
+        const keyId = crypto.randomBytes(8).toString('hex');
+        const secret = crypto.randomBytes(32).toString('base64url');
+        const record = {
+            keyId,
+            tenantId,
+            label,
+            secretHash: hashSecret(secret).toString('hex'),
+            createdAt: new Date(now).toISOString(),
+            revokedAt: null
+        };
+
+        await this.store.set(keyId, record, { ttlMs: PERMANENT_TTL_MS });
+        return { apiKey: `gap_${keyId}_${secret}`, ...describeKey(record) };
+    }
+
+    /**
+     * Active key record for an API key, or null
+     */
+    async authenticate(apiKey) {
+        const match = API_KEY_PATTERN.exec(apiKey || '');
+        if (!match) {
+            return null;
+        }
+
+        const record = await this.store.get(match[1]);
+        if (!record || record.revokedAt) {
+            return null;
+        }
+
+        const expected = Buffer.from(record.secretHash, 'hex');
+        const actual = hashSecret(match[2]);
+        return crypto.timingSafeEqual(actual, expected) ? describeKey(record) : null;
+    }
+
+    /**
+     * Revoke a key by id; returns the revoked key or null when unknown
+     */
+    async revoke(keyId, { now = Date.now() } = {}) {
+        const record = typeof keyId === 'string' ? await this.store.get(keyId) : null;
+        if (!record) {
+            return null;
+        }
+
+        if (record.revokedAt) {
+            return describeKey(record);
+        }
+
+        const revoked = {
+            ...describeKey(record),
+            secretHash: record.secretHash,
+            revokedAt: new Date(now).toISOString()
+        };
+        await this.store.set(keyId, revoked, { ttlMs: PERMANENT_TTL_MS });
+        return describeKey(revoked);
+    }
+}
+
+function describeKey({ keyId, tenantId, label, createdAt, revokedAt }) {
+    return { keyId, tenantId, label, createdAt, revokedAt };
+}
+
+module.exports = {
+    ApiKeyRegistry,
+    apiKeyFromHeaders,
+    secretsEqual
+};
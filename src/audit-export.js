@@ -0,0 +1,70 @@
+const fs = require('fs');
+const { loadConfig } = require('./config');
+const { readAuditFile, verifyAuditChain } = require('./audit-log');
+
+/**
+ * Export the GAP audit log after checking its hash chain
+ *
+ *   node src/audit-export.js [--out <file>]   check the configured log and write it (default: stdout)
+ *   node src/audit-export.js --verify <file>  check a log or an earlier export
+ *
+ * The summary goes to stderr. Exits with 1 when the chain is broken; a
+ * broken log is still exported so it can be inspected.
+ */
+
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        const flag = args[i];
+        if (flag === '--out' || flag === '--verify') {
+            const file = args[++i];
+            if (!file) {
+                throw new Error(`${flag} needs a file name`);
+            }
+            options[flag.slice(2)] = file;
+        } else {
+            throw new Error(`Unknown argument: ${flag}`);
+        }
+    }
+    return options;
+}
+
+function main(args, { env = process.env } = {}) {
+    const options = parseArgs(args);
+    const filePath = options.verify || loadConfig({ env }).storage.auditLogFile;
+    if (!fs.existsSync(filePath)) {
+        throw new Error(options.verify ?
+            `No such file: ${filePath}` :
+            `No audit log at ${filePath} (the memory storage backend keeps none)`);
+    }
+
+    const entries = readAuditFile(filePath);
+    const chain = verifyAuditChain(entries);
+
+    if (!options.verify) {
+        const lines = entries.map((entry) => `${JSON.stringify(entry)}\n`).join('');
+        if (options.out) {
+            fs.writeFileSync(options.out, lines);
+        } else {
+            process.stdout.write(lines);
+        }
+    }
+
+    if (chain.valid) {
+        console.error(`✅ Audit chain intact: ${chain.count} entries, head ${chain.head}`);
+    } else {
+        console.error(`❌ Audit chain broken at entry ${chain.seq} of ${chain.count}: ${chain.error}`);
+    }
+    return chain.valid ? 0 : 1;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { main };
@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { withFileLock } = require('./file-lock');
+
+/**
+ * Append-only, hash-chained audit log of verification and eligibility
+ * decisions
+ *
+ * Every entry records who asked (tenant, operator, API key), about which
+ * proof, under which jurisdiction, and what was decided and why. Entries
+ * are built from a fixed list of fields, so request data such as birth
+ * dates and identity secrets never reaches the log. Each entry carries the
+ * hash of the one before it, so editing, dropping or reordering entries
+ * breaks the chain; verifyAuditChain() finds the first broken entry.
+ *
+ * Both backends implement:
+ *   append(event)      entry with seq, timestamp, prevHash and hash
+ *   entries()          every entry, oldest first
+ *   query(filter)      matching entries, newest first
+ */
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Hashed in this order; anything else in an event is dropped
+const AUDIT_FIELDS = [
+    'seq',
+    'timestamp',
+    'route',
+    'tenant',
+    'operator',
+    'apiKeyId',
+    'proofId',
+    'proofHash',
+    'jurisdiction',
+    'decision',
+    'reason',
+    'status',
+    'prevHash'
+];
+
+const AUDIT_DECISIONS = ['allowed', 'denied', 'error'];
+
+const DEFAULT_QUERY_LIMIT = 100;
+
+function auditEntryHash(entry) {
+    const values = AUDIT_FIELDS.map((field) => (entry[field] === undefined ? null : entry[field]));
+    return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex');
+}
+
+/**
+ * Check a chain of entries, oldest first. Returns { valid, count, head }
+ * plus { seq, error } for the first entry that does not fit.
+ */
+function verifyAuditChain(entries) {
+    let prevHash = GENESIS_HASH;
+    for (const [index, entry] of entries.entries()) {
+        const error = chainError(entry, index + 1, prevHash);
+        if (error) {
+            return { valid: false, count: entries.length, head: prevHash, seq: index + 1, error };
+        }
+        prevHash = entry.hash;
+    }
+    return { valid: true, count: entries.length, head: prevHash };
+}
+
+function chainError(entry, seq, prevHash) {
+    if (entry.seq !== seq) {
+        return `Expected entry ${seq}, found ${entry.seq}`;
+    }
+    if (entry.prevHash !== prevHash) {
+        return 'Entry does not follow the previous entry';
+    }
+    if (entry.hash !== auditEntryHash(entry)) {
+        return 'Entry hash does not match its contents';
+    }
+    return null;
+}
+
+/**
+ * In-process audit log, wiped on restart
+ */
+class MemoryAuditLog {
+    constructor() {
+        this.log = [];
+        this.head = { seq: 0, hash: GENESIS_HASH };
+    }
+
+    async append(event) {
+        return this.appendEntry(event);
+    }
+
+    appendEntry(event) {
+        this.sync();
+        const entry = {
+            ...Object.fromEntries(AUDIT_FIELDS.map((field) => [field, event[field] === undefined ? null : event[field]])),
+            seq: this.head.seq + 1,
+            timestamp: new Date().toISOString(),
+            prevHash: this.head.hash
+        };
+        entry.hash = auditEntryHash(entry);
+
+        this.write(entry);
+        this.head = { seq: entry.seq, hash: entry.hash };
+        return entry;
+    }
+
+    async entries() {
+        return [...this.log];
+    }
+
+    /**
+     * Entries matching every given filter (tenant, proofId, proofHash,
+     * route, decision), newest first, at most `limit`. `since` and `before`
+     * are ISO 8601 timestamps or dates.
+     */
+    async query({ limit = DEFAULT_QUERY_LIMIT, since, before, ...filter } = {}) {
+        const conditions = Object.entries(filter).filter(([, value]) => value !== undefined);
+        const matches = [];
+
+        const entries = await this.entries();
+        for (let i = entries.length - 1; i >= 0 && matches.length < limit; i--) {
+            const entry = entries[i];
+            if ((since && entry.timestamp < since) || (before && entry.timestamp >= before)) {
+                continue;
+            }
+            if (conditions.every(([field, value]) => entry[field] === value)) {
+                matches.push(entry);
+            }
+        }
+        return matches;
+    }
+
+    sync() {}
+
+    write(entry) {
+        this.log.push(entry);
+    }
+}
+
+/**
+ * JSON Lines file, one entry per line, only ever appended to. Server
+ * instances on one host can share the file: appends hold the file's lock
+ * (src/file-lock.js) and catch up on entries written by the others first,
+ * so every entry follows the one before it.
+ */
+class FileAuditLog extends MemoryAuditLog {
+    constructor({ filePath }) {
+        super();
+        if (!filePath) {
+            throw new Error('FileAuditLog requires a filePath');
+        }
+        this.filePath = filePath;
+        this.size = 0;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.sync();
+    }
+
+    /**
+     * Move the head to the last entry in the file
+     */
+    sync() {
+        let size;
+        try {
+            size = fs.statSync(this.filePath).size;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+        if (size === this.size) {
+            return;
+        }
+
+        const lines = fs.readFileSync(this.filePath, 'utf8').trimEnd().split('\n').filter(Boolean);
+        if (lines.length > 0) {
+            const last = JSON.parse(lines[lines.length - 1]);
+            this.head = { seq: last.seq, hash: last.hash };
+        }
+        this.size = size;
+    }
+
+    async append(event) {
+        return withFileLock(this.filePath, () => this.appendEntry(event));
+    }
+
+    write(entry) {
+        const line = `${JSON.stringify(entry)}\n`;
+        fs.appendFileSync(this.filePath, line);
+        this.size += Buffer.byteLength(line);
+    }
+
+    async entries() {
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+        return readAuditFile(this.filePath);
+    }
+}
+
+/**
+ * Entries of a JSON Lines audit file or export
+ */
+function readAuditFile(filePath) {
+    return fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line));
+}
+
+/**
+ * Create an audit log for the configured storage backend ('memory' or 'file')
+ */
+function createAuditLog({ backend = 'memory', filePath } = {}) {
+    switch (backend) {
+        case 'memory':
+            return new MemoryAuditLog();
+        case 'file':
+            return new FileAuditLog({ filePath });
+        default:
+            throw new Error(`Unknown audit log backend: ${backend}`);
+    }
+}
+
+module.exports = {
+    GENESIS_HASH,
+    AUDIT_DECISIONS,
+    MemoryAuditLog,
+    FileAuditLog,
+    auditEntryHash,
+    verifyAuditChain,
+    readAuditFile,
+    createAuditLog
+};
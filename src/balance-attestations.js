@@ -0,0 +1,75 @@
+const { CertificateIssuer, verifyToken, loadIssuerKeys } = require('./certificates');
+const { poseidonHash } = require('./identity-commitment');
+
+/**
+ * Issuer attestations for entity balance commitments
+ *
+ * The entity circuit proves that a committed balance meets a threshold,
+ * but not that the balance is real, so the commitment has to come from an
+ * issuer that checked it (a bank or custodian). The issuer computes
+ * Poseidon(entityId, secretKey, balance, timestamp) itself and signs it as
+ * an Ed25519 JWS with typ "balance-attestation+jwt" and the commitment as
+ * `sub`. The GAP server only proves funds for commitments that carry an
+ * attestation from a key in its balance issuer JWKS.
+ */
+
+const BALANCE_ATTESTATION_TYPE = 'balance-attestation+jwt';
+// Balances change, so attestations are short-lived
+const DEFAULT_ATTESTATION_LIFETIME_MS = 24 * 60 * 60 * 1000;
+
+class BalanceAttestor {
+    constructor({ keyFile, issuer, lifetimeMs = DEFAULT_ATTESTATION_LIFETIME_MS } = {}) {
+        this.signer = new CertificateIssuer({ keyFile, issuer, lifetimeMs });
+    }
+
+    /**
+     * Commit to a checked balance (in the currency's smallest unit) as of
+     * `timestamp` (Unix seconds) under the entity's secret key, and sign
+     * the commitment
+     */
+    async attest({ entityId, secretKey, balance, timestamp }) {
+        const commitment = await poseidonHash([entityId, secretKey, balance, timestamp]);
+        const now = Date.now();
+        const payload = {
+            iss: this.signer.issuer,
+            sub: commitment,
+            iat: Math.floor(now / 1000),
+            exp: Math.floor((now + this.signer.lifetimeMs) / 1000)
+        };
+
+        return {
+            token: this.signer.sign(payload, BALANCE_ATTESTATION_TYPE),
+            commitment,
+            expiresAt: new Date(payload.exp * 1000).toISOString()
+        };
+    }
+
+    /**
+     * Public keys for the GAP server's balance issuer JWKS
+     */
+    jwks() {
+        return this.signer.jwks();
+    }
+}
+
+/**
+ * Verify an attestation against the trusted issuer keys; returns the
+ * payload or throws
+ */
+function verifyBalanceAttestation(token, jwks, options = {}) {
+    return verifyToken(token, jwks, { typ: BALANCE_ATTESTATION_TYPE, kind: 'balance attestation' }, options);
+}
+
+/**
+ * Trusted issuer keys from a JWKS file ({ "keys": [...] })
+ */
+function loadBalanceIssuers(filePath) {
+    return loadIssuerKeys(filePath, 'balance');
+}
+
+module.exports = {
+    BALANCE_ATTESTATION_TYPE,
+    BalanceAttestor,
+    verifyBalanceAttestation,
+    loadBalanceIssuers
+};
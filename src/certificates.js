@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Signed betting eligibility certificates
+ *
+ * Certificates are compact Ed25519 JWS tokens (alg "EdDSA"). Partner
+ * sportsbooks fetch the public key once from /.well-known/jwks.json and
+ * verify certificates offline with verifyCertificate(). The revocation
+ * status list is signed with the same key (verifyRevocationList()), and
+ * certificateRevocation() checks a certificate against it.
+ */
+
+const DEFAULT_CERTIFICATE_LIFETIME_MS = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_REVOCATION_LIST_LIFETIME_MS = 60 * 60 * 1000; // 1 hour
+
+// JWS "typ" values, so a status list cannot pass as a certificate
+const CERTIFICATE_TYPE = 'JWT';
+const REVOCATION_LIST_TYPE = 'revocation-list+jwt';
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+/**
+ * RFC 7638 thumbprint of an Ed25519 JWK, used as the key id
+ */
+function jwkThumbprint(jwk) {
+    const canonical = JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x });
+    return crypto.createHash('sha256').update(canonical).digest('base64url');
+}
+
+/**
+ * Load the signing key from keyFile, generating and saving one if missing
+ */
+function loadOrCreateSigningKey(keyFile) {
+    if (keyFile && fs.existsSync(keyFile)) {
+        return crypto.createPrivateKey(fs.readFileSync(keyFile, 'utf8'));
+    }
+
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    if (keyFile) {
+        fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+        fs.writeFileSync(keyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+        console.log(`🔑 Generated certificate signing key: ${keyFile}`);
+    }
+    return privateKey;
+}
+
+class CertificateIssuer {
+    constructor({ keyFile, issuer = 'age-verification-gap', lifetimeMs = DEFAULT_CERTIFICATE_LIFETIME_MS } = {}) {
+        this.privateKey = loadOrCreateSigningKey(keyFile);
+        this.publicJwk = crypto.createPublicKey(this.privateKey).export({ format: 'jwk' });
+        this.kid = jwkThumbprint(this.publicJwk);
+        this.issuer = issuer;
+        this.lifetimeMs = lifetimeMs;
+    }
+
+    /**
+     * Issue a certificate; it never outlives the proof it is based on
+     */
+    issue({ tenant, proofHash, jurisdiction, maxBet, proofExpiresAt }) {
+        const now = Date.now();
+        const expiresAt = Math.min(
+            now + this.lifetimeMs,
+            proofExpiresAt ? new Date(proofExpiresAt).getTime() : Infinity
+        );
+        const certificateId = crypto.randomBytes(12).toString('hex');
+
+        const payload = {
+            iss: this.issuer,
+            jti: certificateId,
+            iat: Math.floor(now / 1000),
+            exp: Math.floor(expiresAt / 1000),
+            tenant,
+            proof_hash: proofHash,
+            is_eligible: true,
+            jurisdiction,
+            max_bet_amount: maxBet
+        };
+
+        return {
+            token: this.sign(payload, CERTIFICATE_TYPE),
+            certificateId,
+            expiresAt: new Date(payload.exp * 1000).toISOString()
+        };
+    }
+
+    /**
+     * Signed revocation status list for a tenant; relying parties should
+     * fetch a new one before it expires
+     */
+    issueRevocationList({ tenant, revocations, lifetimeMs = DEFAULT_REVOCATION_LIST_LIFETIME_MS }) {
+        const now = Date.now();
+        const payload = {
+            iss: this.issuer,
+            iat: Math.floor(now / 1000),
+            exp: Math.floor((now + lifetimeMs) / 1000),
+            tenant,
+            revocations
+        };
+
+        return {
+            token: this.sign(payload, REVOCATION_LIST_TYPE),
+            issuedAt: new Date(payload.iat * 1000).toISOString(),
+            expiresAt: new Date(payload.exp * 1000).toISOString()
+        };
+    }
+
+    sign(payload, typ) {
+        const header = { alg: 'EdDSA', typ, kid: this.kid };
+        const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+        const signature = crypto.sign(null, Buffer.from(signingInput), this.privateKey);
+        return `${signingInput}.${signature.toString('base64url')}`;
+    }
+
+    /**
+     * Public key set served at /.well-known/jwks.json
+     */
+    jwks() {
+        return {
+            keys: [{ ...this.publicJwk, kid: this.kid, alg: 'EdDSA', use: 'sig' }]
+        };
+    }
+}
+
+/**
+ * Verify a certificate offline against a JWKS; returns the payload or throws
+ */
+function verifyCertificate(token, jwks, options = {}) {
+    return verifyToken(token, jwks, { typ: CERTIFICATE_TYPE, kind: 'certificate' }, options);
+}
+
+/**
+ * Verify a revocation status list against a JWKS; returns the payload or throws
+ */
+function verifyRevocationList(token, jwks, options = {}) {
+    return verifyToken(token, jwks, { typ: REVOCATION_LIST_TYPE, kind: 'revocation list' }, options);
+}
+
+/**
+ * Revocation in a verified status list covering a verified certificate
+ * (by certificate id or proof hash), or null. Throws when the list is for
+ * another tenant than the certificate, since it says nothing about it.
+ */
+function certificateRevocation(certificate, revocationList) {
+    if (revocationList.tenant !== certificate.tenant) {
+        throw new Error(
+            `Revocation list is for tenant ${revocationList.tenant}, not the certificate's tenant ${certificate.tenant}`
+        );
+    }
+    return revocationList.revocations.find((revocation) =>
+        (revocation.type === 'certificate' && revocation.id === certificate.jti) ||
+        (revocation.type === 'proof' && revocation.id === certificate.proof_hash)) || null;
+}
+
+/**
+ * Verify an EdDSA JWS of the given `typ` against a JWKS; returns the
+ * payload or throws, naming the token `kind` in errors
+ */
+function verifyToken(token, jwks, { typ, kind }, { now = Date.now(), issuer } = {}) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+        throw new Error(`Malformed ${kind}`);
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+    if (header.alg !== 'EdDSA') {
+        throw new Error(`Unsupported ${kind} algorithm: ${header.alg}`);
+    }
+    if (header.typ !== typ) {
+        throw new Error(`Not a ${kind} (typ ${header.typ})`);
+    }
+
+    const jwk = jwks.keys.find((key) => key.kid === header.kid);
+    if (!jwk) {
+        throw new Error(`Unknown ${kind} key: ${header.kid}`);
+    }
+
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    const isValid = crypto.verify(
+        null,
+        Buffer.from(`${encodedHeader}.${encodedPayload}`),
+        publicKey,
+        Buffer.from(encodedSignature, 'base64url')
+    );
+    if (!isValid) {
+        throw new Error(`Invalid ${kind} signature`);
+    }
+
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    if (payload.exp * 1000 <= now) {
+        throw new Error(`The ${kind} has expired`);
+    }
+    if (issuer && payload.iss !== issuer) {
+        throw new Error(`Unexpected ${kind} issuer: ${payload.iss}`);
+    }
+    return payload;
+}
+
+/**
+ * Trusted Ed25519 issuer keys from a JWKS file ({ "keys": [...] }), naming
+ * the issuer `kind` in errors
+ */
+function loadIssuerKeys(filePath, kind) {
+    const jwks = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!jwks || !Array.isArray(jwks.keys)) {
+        throw new Error(`${filePath} must be a JWKS with a "keys" list`);
+    }
+    for (const key of jwks.keys) {
+        if (key.kty !== 'OKP' || key.crv !== 'Ed25519' || !key.x || !key.kid) {
+            throw new Error(`${filePath}: ${kind} issuer keys must be Ed25519 JWKs with a kid`);
+        }
+    }
+    return jwks;
+}
+
+module.exports = {
+    DEFAULT_CERTIFICATE_LIFETIME_MS,
+    DEFAULT_REVOCATION_LIST_LIFETIME_MS,
+    CertificateIssuer,
+    verifyCertificate,
+    verifyRevocationList,
+    certificateRevocation,
+    verifyToken,
+    loadIssuerKeys
+};
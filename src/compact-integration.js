@@ -1,16 +1,22 @@
-const { Compact } = require('@midnight-ntwrk/compact-runtime');
-const { MidnightProviders } = require('@midnight-ntwrk/midnight-js-network-id');
 const { createHash } = require('crypto');
+const { createCompactProvider } = require('./compact-providers');
+const { AGE_REGISTRY_CONTRACT, registrarCommitment, isEligibleOnLedger } = require('./age-registry');
 
 /**
  * Compact integration for age verification on Midnight Network
  * Provides privacy-preserving age proofs for sports betting eligibility
+ *
+ * All runtime calls go through a provider (src/compact-providers.js). Pass
+ * one in, or use networkId 'mock' for an in-process ledger that needs no
+ * network.
+ *
+ * The age registry methods are bindings for contracts/age_registry.compact.
  */
 class CompactAgeVerification {
-    constructor(networkId = 'testnet') {
+    constructor(networkId = 'testnet', { provider } = {}) {
         this.networkId = networkId;
-        this.provider = null;
-        this.compact = null;
+        this.compact = provider || null;
+        this.ageRegistry = null;
         this.initialized = false;
     }
 
@@ -19,15 +25,7 @@ class CompactAgeVerification {
      */
     async initialize() {
         try {
-            // Initialize Midnight provider
-            this.provider = MidnightProviders.getProvider(this.networkId);
-            
-            // Initialize Compact runtime
-            this.compact = new Compact({
-                provider: this.provider,
-                networkId: this.networkId
-            });
-
+            this.compact = this.compact || createCompactProvider(this.networkId);
             await this.compact.initialize();
             this.initialized = true;
             
@@ -68,9 +66,10 @@ class CompactAgeVerification {
     }
 
     /**
-     * Generate age verification proof using Compact
+     * Generate age verification proof using Compact. operatorScope and
+     * walletBinding are public inputs for GAP proofs (see GapService).
      */
-    async generateAgeProof(identityData, currentDate) {
+    async generateAgeProof(identityData, currentDate, { minAge = 18, operatorScope, walletBinding } = {}) {
         if (!this.initialized) {
             throw new Error('Compact not initialized');
         }
@@ -90,10 +89,16 @@ class CompactAgeVerification {
                     current_year: BigInt(currentDate.year),
                     current_month: BigInt(currentDate.month),
                     current_day: BigInt(currentDate.day),
-                    min_age: BigInt(18),
+                    min_age: BigInt(minAge),
                     identity_commitment: identityData.identityCommitment
                 }
             };
+            if (operatorScope !== undefined) {
+                proofInputs.public.operator_scope = BigInt(operatorScope);
+            }
+            if (walletBinding !== undefined) {
+                proofInputs.public.wallet_binding = BigInt(walletBinding);
+            }
 
             // Generate zero-knowledge proof using Compact
             const proof = await this.compact.generateProof('age_verification', proofInputs);
@@ -110,10 +115,10 @@ class CompactAgeVerification {
 
             const result = {
                 proof: proof,
-                isEligible: age >= 18,
+                isEligible: age >= minAge,
                 proofHash: this.generateProofHash(proof),
                 timestamp: new Date().toISOString(),
-                age: age >= 18 ? '18+' : 'under_18' // Privacy-preserving age indicator
+                age: age >= minAge ? `${minAge}+` : `under_${minAge}` // Privacy-preserving age indicator
             };
 
             console.log('🎯 Age verification proof generated:', result.proofHash);
@@ -236,6 +241,185 @@ class CompactAgeVerification {
         }
     }
 
+    /**
+     * Deploy the age registry contract with registrarKey (32 bytes as hex)
+     * as the registrar, and use it
+     */
+    async deployAgeRegistry(registrarKey) {
+        if (!this.initialized) {
+            throw new Error('Compact not initialized');
+        }
+
+        try {
+            const address = await this.compact.deployContract(AGE_REGISTRY_CONTRACT, {
+                registrar_commitment: registrarCommitment(registrarKey)
+            });
+            this.useAgeRegistry(address, registrarKey);
+
+            console.log('📜 Age registry deployed:', address);
+            return address;
+        } catch (error) {
+            console.error('❌ Failed to deploy age registry:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Use a deployed age registry. Without the registrar key it can only be
+     * read, e.g. by operators checking eligibility.
+     */
+    useAgeRegistry(address, registrarKey = null) {
+        this.ageRegistry = { address, registrarKey };
+    }
+
+    /**
+     * The identity commitment the age registry checks, hashed with the
+     * contract's transientHash. On Midnight this differs from the circom
+     * commitment in GAP proof records.
+     */
+    async createRegistryCommitment(birthYear, birthMonth, birthDay, identitySecret) {
+        if (!this.initialized) {
+            throw new Error('Compact not initialized');
+        }
+        return this.compact.contractHash([
+            BigInt(birthYear), BigInt(birthMonth), BigInt(birthDay), BigInt(identitySecret)
+        ]);
+    }
+
+    /**
+     * Register an age verification in the registry. The birth date and
+     * identity secret are witnesses: they go into the proof but never onto
+     * the ledger, and the identity commitment is recomputed from them with
+     * the contract's hash. operatorScope is required; expiresAt defaults to
+     * 24 hours after the latest block.
+     */
+    async registerVerification(identityData, { currentDate, minAge = 18, operatorScope, expiresAt }) {
+        const { address } = this.requireAgeRegistry();
+
+        try {
+            const identityCommitment = await this.createRegistryCommitment(
+                identityData.birthYear, identityData.birthMonth, identityData.birthDay, identityData.identitySecret
+            );
+            const expiresAtSeconds = expiresAt === undefined ?
+                await this.compact.blockTime() + 24 * 60 * 60 :
+                Math.floor(new Date(expiresAt).getTime() / 1000);
+
+            const { result: proofHash, transactionHash } = await this.callAgeRegistry('register', {
+                identity_commitment: BigInt(identityCommitment),
+                proof_date: BigInt(currentDate.year * 10000 + currentDate.month * 100 + currentDate.day),
+                min_age: BigInt(minAge),
+                operator_scope: BigInt(operatorScope),
+                expires_at: BigInt(expiresAtSeconds)
+            }, {
+                birth_date: {
+                    year: BigInt(identityData.birthYear),
+                    month: BigInt(identityData.birthMonth),
+                    day: BigInt(identityData.birthDay)
+                },
+                identity_secret: BigInt(identityData.identitySecret),
+                divide: (dividend, divisor) => dividend / divisor
+            });
+
+            const entry = (await this.compact.queryContract(address)).verifications[proofHash];
+
+            console.log('📝 Age verification registered:', proofHash);
+            return {
+                proofHash,
+                nullifier: entry.nullifier,
+                isEligible: entry.is_eligible,
+                expiresAt: new Date(entry.expires_at * 1000).toISOString(),
+                transactionHash,
+                contractAddress: address
+            };
+        } catch (error) {
+            console.error('❌ Failed to register age verification:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke a registered verification (registrar only)
+     */
+    async revokeVerification(proofHash) {
+        this.requireAgeRegistry();
+
+        try {
+            const { transactionHash } = await this.callAgeRegistry('revoke', { proof_hash: BigInt(proofHash) });
+
+            console.log('🚫 Age verification revoked:', proofHash);
+            return { transactionHash };
+        } catch (error) {
+            console.error('❌ Failed to revoke age verification:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke a certificate from createBettingCertificate() in the age
+     * registry (registrar only)
+     */
+    async revokeBettingCertificate(certificateId) {
+        this.requireAgeRegistry();
+
+        try {
+            const { transactionHash } = await this.callAgeRegistry('revoke_certificate', {
+                certificate_id: certificateField(certificateId)
+            });
+
+            console.log('🚫 Betting certificate revoked:', certificateId);
+            return { transactionHash };
+        } catch (error) {
+            console.error('❌ Failed to revoke betting certificate:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Whether a certificate was revoked, from the registry's ledger state
+     */
+    async isCertificateRevoked(certificate) {
+        const { address } = this.requireAgeRegistry();
+        const ledger = await this.compact.queryContract(address);
+        return ledger.revoked_certificates.includes(certificateField(certificate.certificate_id).toString());
+    }
+
+    /**
+     * Eligibility of a registered proof hash from the registry's ledger
+     * state alone, by the contract's check_eligibility rules
+     */
+    async checkEligibility(proofHash, minAge = 18) {
+        const { address } = this.requireAgeRegistry();
+        const ledger = await this.compact.queryContract(address);
+        return isEligibleOnLedger(ledger, String(proofHash), minAge, await this.compact.blockTime());
+    }
+
+    /**
+     * Ledger entry for a proof hash, or null
+     */
+    async getRegisteredVerification(proofHash) {
+        const { address } = this.requireAgeRegistry();
+        const ledger = await this.compact.queryContract(address);
+        return ledger.verifications[String(proofHash)] || null;
+    }
+
+    callAgeRegistry(circuit, args, witnesses = {}) {
+        const { address, registrarKey } = this.ageRegistry;
+        return this.compact.callContract(address, circuit, {
+            args,
+            witnesses: { ...witnesses, registrar_key: registrarKey }
+        });
+    }
+
+    requireAgeRegistry() {
+        if (!this.initialized) {
+            throw new Error('Compact not initialized');
+        }
+        if (!this.ageRegistry) {
+            throw new Error('No age registry; call deployAgeRegistry() or useAgeRegistry() first');
+        }
+        return this.ageRegistry;
+    }
+
     /**
      * Helper method to calculate age
      */
@@ -273,7 +457,7 @@ class CompactAgeVerification {
         return {
             networkId: this.networkId,
             initialized: this.initialized,
-            provider: this.provider ? 'connected' : 'disconnected'
+            provider: this.initialized ? 'connected' : 'disconnected'
         };
     }
 
@@ -289,4 +473,14 @@ class CompactAgeVerification {
     }
 }
 
+/**
+ * Certificate id (hex) as the contract's Field
+ */
+function certificateField(certificateId) {
+    if (!/^[0-9a-f]{1,62}$/.test(String(certificateId))) {
+        throw new Error(`Invalid certificate id: ${certificateId}`);
+    }
+    return BigInt(`0x${certificateId}`);
+}
+
 module.exports = CompactAgeVerification;
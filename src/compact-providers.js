@@ -0,0 +1,334 @@
+const crypto = require('crypto');
+const { generateIdentityCommitment, poseidonHash } = require('./identity-commitment');
+const { computeNullifier } = require('./nullifier');
+const { calculateAge } = require('./proof-backends');
+const { AGE_REGISTRY_CONTRACT, AgeRegistryContract } = require('./age-registry');
+
+/**
+ * Compact runtime providers for CompactAgeVerification
+ *
+ * A provider is what CompactAgeVerification talks to instead of a Midnight
+ * node. Every provider implements:
+ *   initialize() / disconnect()
+ *   createCommitment(identityData)                   commitment (bigint)
+ *   contractHash(values)                             transientHash of field elements
+ *   generateProof(circuit, { private, public })      proof object
+ *   verifyProof(circuit, proof, publicInputs)        boolean
+ *   createTransaction({ type, from, data, proof })   unsigned transaction
+ *   submitTransaction(transaction)                   transaction hash
+ *   queryState({ type, proof_hash })                 latest state or null
+ *   signData(data)                                   data with a signature
+ *   deployContract(contract, args)                   contract address
+ *   callContract(address, circuit, { args, witnesses })  { result, transactionHash }
+ *   queryContract(address)                           ledger state of a contract
+ *   blockTime()                                      latest block time in seconds
+ *
+ * MidnightCompactProvider uses the Midnight packages and a live network;
+ * MockCompactProvider keeps an in-process ledger so the integration runs
+ * offline. createCompactProvider() picks one by network id.
+ */
+
+const MOCK_NETWORK_ID = 'mock';
+
+/**
+ * Midnight Network through @midnight-ntwrk/compact-runtime. The packages are
+ * only loaded on initialize(), so this module works without them.
+ */
+class MidnightCompactProvider {
+    constructor({ networkId }) {
+        this.networkId = networkId;
+        this.compact = null;
+    }
+
+    async initialize() {
+        const { Compact } = require('@midnight-ntwrk/compact-runtime');
+        const { MidnightProviders } = require('@midnight-ntwrk/midnight-js-network-id');
+
+        this.compact = new Compact({
+            provider: MidnightProviders.getProvider(this.networkId),
+            networkId: this.networkId
+        });
+        await this.compact.initialize();
+    }
+
+    createCommitment(identityData) {
+        return this.compact.createCommitment(identityData);
+    }
+
+    contractHash(values) {
+        return this.compact.transientHash(values);
+    }
+
+    generateProof(circuit, inputs) {
+        return this.compact.generateProof(circuit, inputs);
+    }
+
+    verifyProof(circuit, proof, publicInputs) {
+        return this.compact.verifyProof(circuit, proof, publicInputs);
+    }
+
+    createTransaction(transaction) {
+        return this.compact.createTransaction(transaction);
+    }
+
+    submitTransaction(transaction) {
+        return this.compact.submitTransaction(transaction);
+    }
+
+    queryState(query) {
+        return this.compact.queryState(query);
+    }
+
+    signData(data) {
+        return this.compact.signData(data);
+    }
+
+    deployContract(contract, args) {
+        return this.compact.deployContract(contract, args);
+    }
+
+    callContract(address, circuit, call) {
+        return this.compact.callContract(address, circuit, call);
+    }
+
+    queryContract(address) {
+        return this.compact.queryContract(address);
+    }
+
+    blockTime() {
+        return this.compact.blockTime();
+    }
+
+    async disconnect() {
+        if (this.compact) {
+            await this.compact.disconnect();
+        }
+    }
+}
+
+/**
+ * In-process stand-in for a Midnight node
+ *
+ * Commitments and outputs (is_eligible, proof_hash, and the nullifier
+ * when an operator_scope is given) match circuits/age_verification.circom.
+ * Proofs are HMACs under a key that lives only in this instance, so they
+ * verify here and nowhere else. Submitted transactions are checked like a
+ * node would (known type, valid attached proof, no duplicates) and
+ * appended to an in-memory ledger, one block per transaction. Contracts run
+ * in process; only contracts/age_registry.compact is known (see
+ * src/age-registry.js). `now` sets the block clock. `hash` stands in for
+ * the contracts' transientHash; it defaults to the BN254 Poseidon of the
+ * circom circuits, which the real transientHash is not.
+ */
+class MockCompactProvider {
+    constructor({ now = () => Date.now(), hash = poseidonHash } = {}) {
+        this.macKey = crypto.randomBytes(32);
+        this.signingKey = crypto.generateKeyPairSync('ed25519');
+        this.ledger = [];
+        this.contracts = new Map();
+        this.now = now;
+        this.hash = hash;
+        this.initialized = false;
+    }
+
+    async initialize() {
+        this.initialized = true;
+    }
+
+    async createCommitment({ birth_year, birth_month, birth_day, secret }) {
+        this.assertInitialized();
+        return BigInt(await generateIdentityCommitment(birth_year, birth_month, birth_day, secret));
+    }
+
+    async contractHash(values) {
+        this.assertInitialized();
+        return BigInt(await this.hash(values));
+    }
+
+    async generateProof(circuit, { private: privateInputs, public: publicInputs }) {
+        this.assertInitialized();
+        if (circuit !== 'age_verification') {
+            throw new Error(`Unknown circuit: ${circuit}`);
+        }
+
+        const commitment = await generateIdentityCommitment(
+            privateInputs.birth_year, privateInputs.birth_month, privateInputs.birth_day, privateInputs.identity_secret
+        );
+        if (commitment !== String(publicInputs.identity_commitment)) {
+            throw new Error('Identity commitment does not match the private inputs');
+        }
+
+        const age = calculateAge(
+            Number(privateInputs.birth_year), Number(privateInputs.birth_month), Number(privateInputs.birth_day),
+            Number(publicInputs.current_year), Number(publicInputs.current_month), Number(publicInputs.current_day)
+        );
+        const isEligible = age >= Number(publicInputs.min_age);
+        const proofDate = Number(publicInputs.current_year) * 10000 +
+            Number(publicInputs.current_month) * 100 + Number(publicInputs.current_day);
+        const statement = {
+            circuit,
+            publicInputs: stringifyValues(publicInputs),
+            outputs: {
+                is_eligible: isEligible,
+                proof_hash: await poseidonHash([commitment, isEligible ? 1 : 0, proofDate]),
+                nullifier: publicInputs.operator_scope === undefined ?
+                    null :
+                    await computeNullifier(privateInputs.identity_secret, publicInputs.operator_scope)
+            }
+        };
+
+        return { ...statement, mac: this.mac(statement) };
+    }
+
+    async verifyProof(circuit, proof, publicInputs) {
+        this.assertInitialized();
+        if (!proof || proof.circuit !== circuit || typeof proof.mac !== 'string') {
+            return false;
+        }
+        const statement = { circuit, publicInputs: stringifyValues(publicInputs), outputs: proof.outputs };
+        const expected = Buffer.from(this.mac(statement), 'hex');
+        const actual = Buffer.from(proof.mac, 'hex');
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    async createTransaction({ type, from, data, proof }) {
+        this.assertInitialized();
+        return {
+            type,
+            from,
+            data: stringifyValues(data),
+            proof,
+            nonce: crypto.randomBytes(8).toString('hex'),
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    async submitTransaction(transaction) {
+        this.assertInitialized();
+        if (transaction.type !== 'age_verification') {
+            throw new Error(`Unknown transaction type: ${transaction.type}`);
+        }
+        if (!await this.verifyProof('age_verification', transaction.proof, transaction.proof && transaction.proof.publicInputs)) {
+            throw new Error('Transaction proof does not verify');
+        }
+
+        const txHash = `0x${crypto.createHash('sha256').update(JSON.stringify(transaction)).digest('hex')}`;
+        if (this.ledger.some((entry) => entry.txHash === txHash)) {
+            throw new Error(`Transaction ${txHash} was already submitted`);
+        }
+
+        this.ledger.push({
+            txHash,
+            blockHeight: this.ledger.length + 1,
+            type: transaction.type,
+            from: transaction.from,
+            data: transaction.data
+        });
+        return txHash;
+    }
+
+    async queryState({ type, proof_hash }) {
+        this.assertInitialized();
+        const entry = [...this.ledger].reverse()
+            .find((candidate) => candidate.type === type && candidate.data.proof_hash === proof_hash);
+        return entry ? { ...entry.data, tx_hash: entry.txHash, block_height: entry.blockHeight } : null;
+    }
+
+    async signData(data) {
+        this.assertInitialized();
+        const payload = Buffer.from(JSON.stringify(data));
+        return {
+            ...data,
+            signature: crypto.sign(null, payload, this.signingKey.privateKey).toString('base64url')
+        };
+    }
+
+    async deployContract(contract, args) {
+        this.assertInitialized();
+        if (contract !== AGE_REGISTRY_CONTRACT) {
+            throw new Error(`Unknown contract: ${contract}`);
+        }
+        const address = `0x${crypto.randomBytes(32).toString('hex')}`;
+        this.contracts.set(address, new AgeRegistryContract(args, { hash: this.hash }));
+        this.appendBlock({ type: 'contract_deploy', contract: address });
+        return address;
+    }
+
+    async callContract(address, circuit, { args = {}, witnesses = {} } = {}) {
+        this.assertInitialized();
+        const contract = this.contracts.get(address);
+        if (!contract) {
+            throw new Error(`No contract at ${address}`);
+        }
+        // Witnesses stay in this call; only the circuit's ledger updates are kept
+        const result = await contract.call(circuit, args, witnesses, await this.blockTime());
+        const transactionHash = this.appendBlock({ type: 'contract_call', contract: address, circuit });
+        return { result, transactionHash };
+    }
+
+    async queryContract(address) {
+        this.assertInitialized();
+        const contract = this.contracts.get(address);
+        return contract ? contract.state() : null;
+    }
+
+    async blockTime() {
+        return Math.floor(this.now() / 1000);
+    }
+
+    /**
+     * Check a signData() result against this provider's key
+     */
+    verifySignedData({ signature, ...data }) {
+        const payload = Buffer.from(JSON.stringify(data));
+        return crypto.verify(null, payload, this.signingKey.publicKey, Buffer.from(signature, 'base64url'));
+    }
+
+    async disconnect() {
+        this.initialized = false;
+    }
+
+    appendBlock(entry) {
+        const txHash = `0x${crypto.randomBytes(32).toString('hex')}`;
+        this.ledger.push({ txHash, blockHeight: this.ledger.length + 1, ...entry });
+        return txHash;
+    }
+
+    mac(statement) {
+        return crypto.createHmac('sha256', this.macKey).update(JSON.stringify(statement)).digest('hex');
+    }
+
+    assertInitialized() {
+        if (!this.initialized) {
+            throw new Error('Mock Compact provider not initialized');
+        }
+    }
+}
+
+/**
+ * Copy of an object with bigint (and other) values as strings, so it can be
+ * hashed and serialised
+ */
+function stringifyValues(object) {
+    return Object.fromEntries(Object.entries(object || {}).map(([key, value]) => [
+        key,
+        typeof value === 'bigint' || typeof value === 'number' ? String(value) : value
+    ]));
+}
+
+/**
+ * Provider for a network id: 'mock' for the in-process ledger, anything
+ * else for Midnight
+ */
+function createCompactProvider(networkId) {
+    return networkId === MOCK_NETWORK_ID ?
+        new MockCompactProvider() :
+        new MidnightCompactProvider({ networkId });
+}
+
+module.exports = {
+    MOCK_NETWORK_ID,
+    MidnightCompactProvider,
+    MockCompactProvider,
+    createCompactProvider
+};
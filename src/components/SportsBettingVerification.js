@@ -1,61 +1,123 @@
 import React, { useState, useEffect } from 'react';
 import './SportsBettingVerification.css';
+import { createIdentityCommitment, identitySecretFor, proveAge } from '../age-proof-client';
+import { GAP_SERVER_URL } from '../gap-server-url';
+import { BIRTH_DATE_FIELDS, MAX_AGE_YEARS, birthDateCheck, validate } from '../validation';
+
+const BREAK_OPTIONS = [
+    { label: '24 hours', durationDays: 1 },
+    { label: '7 days', durationDays: 7 },
+    { label: '30 days', durationDays: 30 },
+    { label: '6 months', durationDays: 182 },
+    { label: 'Permanently', permanent: true }
+];
+
+// Form input that shows a server or local validation error for a request field
+const FORM_FIELDS = {
+    birthYear: 'birthDate',
+    birthMonth: 'birthDate',
+    birthDay: 'birthDate',
+    bettingAmount: 'bettingAmount'
+};
+
+const BIRTH_DATE_SCHEMA = { fields: BIRTH_DATE_FIELDS, checks: [birthDateCheck()] };
+
+/**
+ * Group { code, field, message } errors by form input; the first wins
+ */
+const toFieldErrors = (errors) => {
+    const fieldErrors = {};
+    for (const { field, message } of errors) {
+        const input = FORM_FIELDS[field] || 'form';
+        fieldErrors[input] = fieldErrors[input] || message;
+    }
+    return fieldErrors;
+};
 
 const SportsBettingVerification = ({ walletAddress, proofServerConnected }) => {
-    const [verificationStep, setVerificationStep] = useState('input'); // input, generating, verified, betting
+    const [verificationStep, setVerificationStep] = useState('input'); // input, generating, verified, betting, break, excluded
     const [birthDate, setBirthDate] = useState({ year: '', month: '', day: '' });
     const [identitySecret, setIdentitySecret] = useState('');
     const [identityCommitment, setIdentityCommitment] = useState('');
     const [proofId, setProofId] = useState('');
+    const [playerToken, setPlayerToken] = useState('');
     const [isEligible, setIsEligible] = useState(false);
+    const [provenMinAge, setProvenMinAge] = useState(18);
     const [bettingAmount, setBettingAmount] = useState('');
     const [jurisdiction, setJurisdiction] = useState('US');
+    const [jurisdictions, setJurisdictions] = useState([]);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
+    const [fieldErrors, setFieldErrors] = useState({});
     const [bettingEligibility, setBettingEligibility] = useState(null);
+    const [breakOption, setBreakOption] = useState(0);
+    const [exclusion, setExclusion] = useState(null);
 
-    const GAP_SERVER_URL = 'http://localhost:6300';
+    useEffect(() => {
+        // Each wallet keeps one identity secret, generated on first use
+        if (walletAddress) {
+            setIdentitySecret(identitySecretFor(walletAddress));
+        }
+    }, [walletAddress]);
 
     useEffect(() => {
-        // Generate a random identity secret on component mount
-        if (!identitySecret) {
-            const secret = Math.floor(Math.random() * 1000000000).toString();
-            setIdentitySecret(secret);
+        // Jurisdiction rules are configured on the GAP server
+        const loadJurisdictions = async () => {
+            try {
+                const response = await fetch(`${GAP_SERVER_URL}/api/jurisdictions`);
+                const data = await response.json();
+                setJurisdictions([...data.jurisdictions, data.default]);
+            } catch (err) {
+                setError('Failed to load jurisdictions');
+            }
+        };
+
+        if (proofServerConnected) {
+            loadJurisdictions();
         }
-    }, [identitySecret]);
+    }, [proofServerConnected]);
+
+    const jurisdictionLabel = (j) => {
+        const parent = jurisdictions.find((p) => p.code === j.parent);
+        const name = parent ? `${parent.name} – ${j.name}` : j.name;
+        return j.restricted ? `${name} (restricted)` : `${name} (${j.minAge}+)`;
+    };
 
     const generateCommitment = async () => {
         if (!birthDate.year || !birthDate.month || !birthDate.day) {
-            setError('Please enter your complete birth date');
+            setFieldErrors({ birthDate: 'Please enter your complete birth date' });
+            return;
+        }
+
+        // Same rules the GAP server applies to birth dates
+        const birthDateErrors = validate(BIRTH_DATE_SCHEMA, {
+            birthYear: Number(birthDate.year),
+            birthMonth: Number(birthDate.month),
+            birthDay: Number(birthDate.day)
+        });
+        if (birthDateErrors.length > 0) {
+            setFieldErrors(toFieldErrors(birthDateErrors));
             return;
         }
 
         setLoading(true);
         setError('');
+        setFieldErrors({});
 
         try {
-            const response = await fetch(`${GAP_SERVER_URL}/api/generate-commitment`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    birthYear: parseInt(birthDate.year),
-                    birthMonth: parseInt(birthDate.month),
-                    birthDay: parseInt(birthDate.day),
-                    identitySecret: identitySecret
-                })
-            });
+            // Computed locally - the birth date never leaves this device
+            const commitment = await createIdentityCommitment(
+                Number(birthDate.year),
+                Number(birthDate.month),
+                Number(birthDate.day),
+                identitySecret
+            );
 
-            const data = await response.json();
-            
-            if (data.success) {
-                setIdentityCommitment(data.commitment);
-                setVerificationStep('generating');
-                await generateAgeProof(data.commitment);
-            } else {
-                setError(data.error || 'Failed to generate commitment');
-            }
+            setIdentityCommitment(commitment);
+            setVerificationStep('generating');
+            await generateAgeProof(commitment);
         } catch (err) {
-            setError('Failed to connect to proof server');
+            setError('Failed to generate identity commitment');
         } finally {
             setLoading(false);
         }
@@ -65,42 +127,61 @@ const SportsBettingVerification = ({ walletAddress, proofServerConnected }) => {
         setLoading(true);
         
         try {
-            const response = await fetch(`${GAP_SERVER_URL}/api/generate-proof`, {
+            const selectedJurisdiction = jurisdictions.find((j) => j.code === jurisdiction);
+            if (!selectedJurisdiction || selectedJurisdiction.restricted) {
+                throw new Error('Sports betting is not available in the selected jurisdiction');
+            }
+
+            const operatorResponse = await fetch(`${GAP_SERVER_URL}/api/operator`);
+            const { operatorScope } = await operatorResponse.json();
+
+            // Prove in the browser, then send only the proof and public signals
+            const { proof, publicSignals } = await proveAge({
+                birthYear: Number(birthDate.year),
+                birthMonth: Number(birthDate.month),
+                birthDay: Number(birthDate.day),
+                identitySecret: identitySecret,
+                identityCommitment: commitment,
+                minAge: selectedJurisdiction.minAge,
+                operatorScope: operatorScope,
+                walletAddress: walletAddress
+            });
+
+            const response = await fetch(`${GAP_SERVER_URL}/api/submit-proof`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    birthYear: parseInt(birthDate.year),
-                    birthMonth: parseInt(birthDate.month),
-                    birthDay: parseInt(birthDate.day),
-                    identitySecret: identitySecret,
-                    identityCommitment: commitment
-                })
+                body: JSON.stringify({ proof, publicSignals })
             });
 
             const data = await response.json();
             
             if (data.success) {
                 setProofId(data.proofId);
+                setPlayerToken(data.playerToken);
                 setIsEligible(data.isEligible);
+                setProvenMinAge(data.minAge);
                 setVerificationStep('verified');
             } else {
-                setError(data.error || 'Failed to generate age proof');
+                setError(data.error || 'Age proof was rejected by the proof server');
+                setVerificationStep('input');
             }
         } catch (err) {
             setError('Failed to generate age proof');
+            setVerificationStep('input');
         } finally {
             setLoading(false);
         }
     };
 
-    const checkBettingEligibility = async () => {
+    const checkBettingEligibility = async (recordWager = false) => {
         if (!bettingAmount || parseFloat(bettingAmount) <= 0) {
-            setError('Please enter a valid betting amount');
+            setFieldErrors({ bettingAmount: 'Please enter a valid betting amount' });
             return;
         }
 
         setLoading(true);
         setError('');
+        setFieldErrors({});
 
         try {
             const response = await fetch(`${GAP_SERVER_URL}/api/betting-eligibility`, {
@@ -108,12 +189,20 @@ const SportsBettingVerification = ({ walletAddress, proofServerConnected }) => {
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
                     proofId: proofId,
+                    walletAddress: walletAddress,
                     bettingAmount: parseFloat(bettingAmount),
-                    jurisdiction: jurisdiction
+                    jurisdiction: jurisdiction,
+                    recordWager: recordWager
                 })
             });
 
             const data = await response.json();
+            if (data.code === 'VALIDATION_FAILED') {
+                const errors = toFieldErrors(data.errors);
+                setFieldErrors(errors);
+                setError(errors.form || '');
+                return;
+            }
             setBettingEligibility(data);
             setVerificationStep('betting');
         } catch (err) {
@@ -123,24 +212,61 @@ const SportsBettingVerification = ({ walletAddress, proofServerConnected }) => {
         }
     };
 
+    const takeBreak = async () => {
+        const { durationDays, permanent } = BREAK_OPTIONS[breakOption];
+
+        setLoading(true);
+        setError('');
+
+        try {
+            const response = await fetch(`${GAP_SERVER_URL}/api/self-exclusion`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    proofId: proofId,
+                    walletAddress: walletAddress,
+                    playerToken: playerToken,
+                    durationDays: durationDays,
+                    permanent: permanent
+                })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                setExclusion(data);
+                setVerificationStep('excluded');
+            } else {
+                setError(data.error || 'Failed to register your break');
+            }
+        } catch (err) {
+            setError('Failed to register your break');
+        } finally {
+            setLoading(false);
+        }
+    };
+
     const resetVerification = () => {
         setVerificationStep('input');
         setBirthDate({ year: '', month: '', day: '' });
         setIdentityCommitment('');
         setProofId('');
+        setPlayerToken('');
         setIsEligible(false);
+        setProvenMinAge(18);
         setBettingAmount('');
         setBettingEligibility(null);
+        setBreakOption(0);
+        setExclusion(null);
         setError('');
-        // Generate new identity secret
-        const secret = Math.floor(Math.random() * 1000000000).toString();
-        setIdentitySecret(secret);
+        setFieldErrors({});
+        // The identity secret stays: the wallet is bound to its nullifier
     };
 
     const renderInputStep = () => (
         <div className="verification-step">
             <h3>🎰 Sports Betting Age Verification</h3>
-            <p>Prove you're 18+ without revealing your exact age using zero-knowledge proofs</p>
+            <p>Prove you meet your jurisdiction's minimum age without revealing your exact age using zero-knowledge proofs</p>
             
             <div className="birth-date-input">
                 <h4>Enter Your Birth Date</h4>
@@ -150,8 +276,8 @@ const SportsBettingVerification = ({ walletAddress, proofServerConnected }) => {
                         placeholder="Year (e.g., 1990)"
                         value={birthDate.year}
                         onChange={(e) => setBirthDate({...birthDate, year: e.target.value})}
-                        min="1900"
-                        max="2024"
+                        min={new Date().getFullYear() - MAX_AGE_YEARS}
+                        max={new Date().getFullYear()}
                     />
                     <input
                         type="number"
@@ -170,11 +296,26 @@ const SportsBettingVerification = ({ walletAddress, proofServerConnected }) => {
                         max="31"
                     />
                 </div>
+                {fieldErrors.birthDate && <p className="field-error">{fieldErrors.birthDate}</p>}
+            </div>
+
+            <div className="jurisdiction-input">
+                <h4>Betting Jurisdiction</h4>
+                <select 
+                    value={jurisdiction}
+                    onChange={(e) => setJurisdiction(e.target.value)}
+                >
+                    {jurisdictions.map((j) => (
+                        <option key={j.code} value={j.code} disabled={j.restricted}>
+                            {jurisdictionLabel(j)}
+                        </option>
+                    ))}
+                </select>
             </div>
 
             <div className="privacy-notice">
-                <p>🔒 <strong>Privacy Protected:</strong> Your birth date is used to generate a zero-knowledge proof. 
-                Only the fact that you're 18+ is revealed, not your exact age or birth date.</p>
+                <p>🔒 <strong>Privacy Protected:</strong> Your zero-knowledge proof is generated in this browser. 
+                Only the proof that you meet the minimum age is sent to the server, never your birth date or secret.</p>
             </div>
 
             <button 
@@ -192,11 +333,11 @@ const SportsBettingVerification = ({ walletAddress, proofServerConnected }) => {
             <h3>🔄 Generating Zero-Knowledge Proof</h3>
             <div className="loading-spinner">
                 <div className="spinner"></div>
-                <p>Creating privacy-preserving age verification proof...</p>
+                <p>Creating privacy-preserving age verification proof on your device...</p>
             </div>
             <div className="proof-details">
                 <p><strong>Identity Commitment:</strong> {identityCommitment}</p>
-                <p>This process proves you're 18+ without revealing your birth date</p>
+                <p>This process proves you meet the minimum age without revealing your birth date</p>
             </div>
         </div>
     );
@@ -210,7 +351,7 @@ const SportsBettingVerification = ({ walletAddress, proofServerConnected }) => {
                     <p>🎉 You are eligible for sports betting!</p>
                     <div className="proof-info">
                         <p><strong>Proof ID:</strong> {proofId}</p>
-                        <p><strong>Status:</strong> Verified 18+ years old</p>
+                        <p><strong>Status:</strong> Verified {provenMinAge}+ years old</p>
                         <p><strong>Privacy:</strong> Your exact age remains private</p>
                     </div>
                     
@@ -225,28 +366,23 @@ const SportsBettingVerification = ({ walletAddress, proofServerConnected }) => {
                                 min="1"
                                 step="0.01"
                             />
-                            <select 
-                                value={jurisdiction}
-                                onChange={(e) => setJurisdiction(e.target.value)}
-                            >
-                                <option value="US">United States</option>
-                                <option value="UK">United Kingdom</option>
-                                <option value="EU">European Union</option>
-                                <option value="default">Other</option>
-                            </select>
                         </div>
+                        {fieldErrors.bettingAmount && <p className="field-error">{fieldErrors.bettingAmount}</p>}
                         <button 
-                            onClick={checkBettingEligibility}
+                            onClick={() => checkBettingEligibility()}
                             disabled={loading}
                             className="betting-button"
                         >
                             {loading ? 'Checking...' : 'Check Betting Eligibility'}
                         </button>
+                        <button onClick={() => setVerificationStep('break')} className="break-button">
+                            Take a Break
+                        </button>
                     </div>
                 </div>
             ) : (
                 <div className="failure-message">
-                    <p>❌ You must be 18 or older to participate in sports betting</p>
+                    <p>❌ You must be {provenMinAge} or older to participate in sports betting in this jurisdiction</p>
                     <button onClick={resetVerification} className="retry-button">
                         Try Again
                     </button>
@@ -266,10 +402,29 @@ const SportsBettingVerification = ({ walletAddress, proofServerConnected }) => {
                     <p><strong>Jurisdiction:</strong> {bettingEligibility.jurisdiction}</p>
                     <p><strong>Max Bet Limit:</strong> ${bettingEligibility.maxBet?.toLocaleString()}</p>
                     <p><strong>Requested Amount:</strong> ${parseFloat(bettingAmount).toLocaleString()}</p>
+
+                    {bettingEligibility.allowance && (
+                        <div className="wager-allowance">
+                            <h5>Remaining Wager Allowance ({bettingEligibility.currency})</h5>
+                            {Object.entries(bettingEligibility.allowance.wager).map(([window, { limit, remaining }]) => (
+                                <p key={window}>
+                                    <strong>{window}:</strong> {limit === null ? 'No limit' : `${remaining.toLocaleString()} of ${limit.toLocaleString()}`}
+                                </p>
+                            ))}
+                        </div>
+                    )}
+
+                    {bettingEligibility.wagerRecorded && (
+                        <p className="privacy-reminder">✅ Bet of ${parseFloat(bettingAmount).toLocaleString()} placed</p>
+                    )}
                     
-                    {bettingEligibility.canBet && (
+                    {bettingEligibility.canBet && !bettingEligibility.wagerRecorded && (
                         <div className="betting-actions">
-                            <button className="place-bet-button">
+                            <button
+                                onClick={() => checkBettingEligibility(true)}
+                                disabled={loading}
+                                className="place-bet-button"
+                            >
                                 🎰 Place Bet (${bettingAmount})
                             </button>
                             <p className="privacy-reminder">
@@ -284,6 +439,66 @@ const SportsBettingVerification = ({ walletAddress, proofServerConnected }) => {
                 <button onClick={resetVerification} className="new-verification-button">
                     New Verification
                 </button>
+                {bettingEligibility?.code !== 'SELF_EXCLUDED' && (
+                    <button onClick={() => setVerificationStep('break')} className="break-button">
+                        Take a Break
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+
+    const renderBreakStep = () => (
+        <div className="verification-step">
+            <h3>⏸️ Take a Break</h3>
+            <p>Exclude yourself from betting with this operator. The break applies to your verified
+            identity, so a new age proof will not lift it.</p>
+
+            <div className="break-options">
+                {BREAK_OPTIONS.map((option, index) => (
+                    <label key={option.label}>
+                        <input
+                            type="radio"
+                            name="break-option"
+                            checked={breakOption === index}
+                            onChange={() => setBreakOption(index)}
+                        />
+                        {option.label}
+                    </label>
+                ))}
+            </div>
+
+            <p className="break-warning">
+                ⚠️ A break cannot be cancelled or shortened once it has started.
+            </p>
+
+            <div className="action-buttons">
+                <button onClick={takeBreak} disabled={loading} className="break-button">
+                    {loading ? 'Registering...' : `Start Break (${BREAK_OPTIONS[breakOption].label})`}
+                </button>
+                <button
+                    onClick={() => setVerificationStep(bettingEligibility ? 'betting' : 'verified')}
+                    disabled={loading}
+                    className="new-verification-button"
+                >
+                    Cancel
+                </button>
+            </div>
+        </div>
+    );
+
+    const renderExcludedStep = () => (
+        <div className="verification-step">
+            <h3>⏸️ Break Started</h3>
+            <div className="eligibility-result failure">
+                <p>
+                    {exclusion?.permanent ?
+                        'You have permanently excluded yourself from betting.' :
+                        `You are excluded from betting until ${new Date(exclusion?.until).toLocaleString()}.`}
+                </p>
+                <p className="privacy-reminder">
+                    If gambling is causing you harm, free and confidential support is available from your local helpline.
+                </p>
             </div>
         </div>
     );
@@ -310,6 +525,8 @@ const SportsBettingVerification = ({ walletAddress, proofServerConnected }) => {
                 {verificationStep === 'generating' && renderGeneratingStep()}
                 {verificationStep === 'verified' && renderVerifiedStep()}
                 {verificationStep === 'betting' && renderBettingStep()}
+                {verificationStep === 'break' && renderBreakStep()}
+                {verificationStep === 'excluded' && renderExcludedStep()}
             </div>
 
             <div className="technical-info">
@@ -319,7 +536,7 @@ const SportsBettingVerification = ({ walletAddress, proofServerConnected }) => {
                     <li><strong>Network:</strong> Midnight Network</li>
                     <li><strong>Proof System:</strong> Zero-Knowledge (ZK-SNARKs)</li>
                     <li><strong>Privacy:</strong> Birth date never leaves your device in plaintext</li>
-                    <li><strong>Verification:</strong> Cryptographic proof of age ≥ 18</li>
+                    <li><strong>Verification:</strong> Cryptographic proof of age ≥ jurisdiction minimum</li>
                 </ul>
             </div>
         </div>
@@ -0,0 +1,310 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * GAP server configuration
+ *
+ * Settings come from environment variables, then an optional JSON config
+ * file (GAP_CONFIG_FILE, default config/gap.json), then the defaults below.
+ * Relative paths in the config file are resolved against the project root.
+ * See config/gap.example.json for every setting.
+ */
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DEFAULT_CONFIG_FILE = path.join(PROJECT_ROOT, 'config', 'gap.json');
+
+const DEFAULTS = {
+    port: 6300,
+    // React dev server and the static demo server from the README
+    corsOrigins: ['http://localhost:3000', 'http://localhost:8080'],
+    proofBackend: null, // each server picks its own default
+    operatorId: 'default',
+    // Sportsbook brands sharing this deployment: { "<tenantId>": { operatorId, jurisdictionsFile } }
+    tenants: {},
+    auth: {
+        requireApiKeys: false,
+        adminApiKey: null
+    },
+    // Only accept residency proofs (not self-declared jurisdictions) for betting and deposits
+    requireResidencyProof: false,
+    // Limits for the commitment and proof endpoints
+    rateLimit: {
+        perIpPerMinute: 30,
+        perApiKeyPerMinute: 300,
+        provingConcurrency: 2,
+        provingQueueSize: 20,
+        trustProxy: false
+    },
+    proofLifetimeMs: null,
+    jurisdictionsFile: 'config/jurisdictions.json',
+    // JWKS of the issuers trusted to attest residency commitments
+    residencyIssuersFile: 'config/residency-issuers.json',
+    // JWKS of the issuers trusted to attest entity balance commitments
+    balanceIssuersFile: 'config/balance-issuers.json',
+    storage: {
+        backend: 'memory',
+        proofsFile: 'data/proofs.json',
+        nullifiersFile: 'data/nullifiers.json',
+        wagersFile: 'data/wagers.json',
+        exclusionsFile: 'data/self-exclusions.json',
+        apiKeysFile: 'data/api-keys.json',
+        entityProofsFile: 'data/entity-proofs.json',
+        revocationsFile: 'data/revocations.json',
+        auditLogFile: 'data/audit-log.jsonl'
+    },
+    certificates: {
+        keyFile: 'data/certificate-signing-key.pem',
+        issuer: 'age-verification-gap'
+    },
+    circuit: {
+        wasmFile: 'build/circuits/age_verification_js/age_verification.wasm',
+        zkeyFile: 'age_verification_0001.zkey',
+        verificationKeyFile: 'age_verification_key.json'
+    },
+    // Combined age and residency circuit; artifacts from
+    // `npm run compile-residency-circuit` and `npm run generate-residency-keys`
+    residencyCircuit: {
+        wasmFile: 'build/circuits/residency_verification_js/residency_verification.wasm',
+        zkeyFile: 'residency_verification_0001.zkey',
+        verificationKeyFile: 'residency_verification_key.json'
+    },
+    // Proof-of-funds circuit; artifacts from `npm run compile-circuits` and `npm run generate-keys`
+    entityCircuit: {
+        wasmFile: 'build/circuits/entity_proof_js/entity_proof.wasm',
+        zkeyFile: 'entity_proof_0001.zkey',
+        verificationKeyFile: 'verification_key.json'
+    },
+    // Network for the 'compact' proof backend; 'mock' is an in-process ledger
+    compact: {
+        networkId: 'mock'
+    },
+    simulatedProofKeyFile: 'data/simulated-proof-key'
+};
+
+// [config path, environment variable, parser]
+const ENV_SETTINGS = [
+    ['port', 'GAP_PORT', Number],
+    ['corsOrigins', 'GAP_CORS_ORIGINS', parseList],
+    ['proofBackend', 'GAP_PROOF_BACKEND', String],
+    ['operatorId', 'GAP_OPERATOR_ID', String],
+    ['proofLifetimeMs', 'GAP_PROOF_LIFETIME_MS', Number],
+    ['jurisdictionsFile', 'GAP_JURISDICTIONS_FILE', String],
+    ['residencyIssuersFile', 'GAP_RESIDENCY_ISSUERS_FILE', String],
+    ['balanceIssuersFile', 'GAP_BALANCE_ISSUERS_FILE', String],
+    ['storage.backend', 'GAP_PROOF_STORE', String],
+    ['storage.proofsFile', 'GAP_PROOF_STORE_FILE', String],
+    ['storage.nullifiersFile', 'GAP_NULLIFIER_STORE_FILE', String],
+    ['storage.wagersFile', 'GAP_WAGER_STORE_FILE', String],
+    ['storage.exclusionsFile', 'GAP_EXCLUSION_STORE_FILE', String],
+    ['storage.apiKeysFile', 'GAP_API_KEY_STORE_FILE', String],
+    ['storage.entityProofsFile', 'GAP_ENTITY_PROOF_STORE_FILE', String],
+    ['storage.revocationsFile', 'GAP_REVOCATION_STORE_FILE', String],
+    ['storage.auditLogFile', 'GAP_AUDIT_LOG_FILE', String],
+    ['auth.requireApiKeys', 'GAP_REQUIRE_API_KEYS', parseBoolean],
+    ['auth.adminApiKey', 'GAP_ADMIN_API_KEY', String],
+    ['requireResidencyProof', 'GAP_REQUIRE_RESIDENCY_PROOF', parseBoolean],
+    ['rateLimit.perIpPerMinute', 'GAP_RATE_LIMIT_PER_IP', Number],
+    ['rateLimit.perApiKeyPerMinute', 'GAP_RATE_LIMIT_PER_API_KEY', Number],
+    ['rateLimit.provingConcurrency', 'GAP_PROVING_CONCURRENCY', Number],
+    ['rateLimit.provingQueueSize', 'GAP_PROVING_QUEUE_SIZE', Number],
+    ['rateLimit.trustProxy', 'GAP_TRUST_PROXY', parseBoolean],
+    ['certificates.keyFile', 'GAP_CERT_KEY_FILE', String],
+    ['certificates.issuer', 'GAP_CERT_ISSUER', String],
+    ['circuit.wasmFile', 'GAP_AGE_CIRCUIT_WASM', String],
+    ['circuit.zkeyFile', 'GAP_AGE_CIRCUIT_ZKEY', String],
+    ['circuit.verificationKeyFile', 'GAP_AGE_VERIFICATION_KEY', String],
+    ['residencyCircuit.wasmFile', 'GAP_RESIDENCY_CIRCUIT_WASM', String],
+    ['residencyCircuit.zkeyFile', 'GAP_RESIDENCY_CIRCUIT_ZKEY', String],
+    ['residencyCircuit.verificationKeyFile', 'GAP_RESIDENCY_VERIFICATION_KEY', String],
+    ['entityCircuit.wasmFile', 'GAP_ENTITY_CIRCUIT_WASM', String],
+    ['entityCircuit.zkeyFile', 'GAP_ENTITY_CIRCUIT_ZKEY', String],
+    ['entityCircuit.verificationKeyFile', 'GAP_ENTITY_VERIFICATION_KEY', String],
+    ['compact.networkId', 'GAP_COMPACT_NETWORK_ID', String],
+    ['simulatedProofKeyFile', 'GAP_SIMULATED_PROOF_KEY_FILE', String]
+];
+
+const PATH_SETTINGS = [
+    'jurisdictionsFile',
+    'residencyIssuersFile',
+    'balanceIssuersFile',
+    'storage.proofsFile',
+    'storage.nullifiersFile',
+    'storage.wagersFile',
+    'storage.exclusionsFile',
+    'storage.apiKeysFile',
+    'storage.entityProofsFile',
+    'storage.revocationsFile',
+    'storage.auditLogFile',
+    'certificates.keyFile',
+    'circuit.wasmFile',
+    'circuit.zkeyFile',
+    'circuit.verificationKeyFile',
+    'residencyCircuit.wasmFile',
+    'residencyCircuit.zkeyFile',
+    'residencyCircuit.verificationKeyFile',
+    'entityCircuit.wasmFile',
+    'entityCircuit.zkeyFile',
+    'entityCircuit.verificationKeyFile',
+    'simulatedProofKeyFile'
+];
+
+const PROOF_BACKENDS = ['simulated', 'snarkjs', 'compact'];
+const STORAGE_BACKENDS = ['memory', 'file'];
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const TENANT_SETTINGS = ['operatorId', 'jurisdictionsFile'];
+
+function parseList(value) {
+    return value.split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+function parseBoolean(value) {
+    if (!['true', 'false', '1', '0'].includes(value)) {
+        throw new Error(`Expected true or false, got "${value}"`);
+    }
+    return value === 'true' || value === '1';
+}
+
+function getPath(object, keyPath) {
+    return keyPath.split('.').reduce((value, key) => (value ? value[key] : undefined), object);
+}
+
+function setPath(object, keyPath, value) {
+    const keys = keyPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((target, key) => target[key], object);
+    parent[last] = value;
+}
+
+/**
+ * Load the configuration; throws on an invalid config file or value
+ */
+function loadConfig({ env = process.env, configFile = env.GAP_CONFIG_FILE } = {}) {
+    const config = JSON.parse(JSON.stringify(DEFAULTS));
+
+    const file = configFile || DEFAULT_CONFIG_FILE;
+    if (configFile || fs.existsSync(file)) {
+        const fromFile = JSON.parse(fs.readFileSync(file, 'utf8'));
+        for (const [key, value] of Object.entries(fromFile)) {
+            if (!(key in DEFAULTS)) {
+                throw new Error(`Unknown setting "${key}" in ${file}`);
+            }
+            config[key] = value !== null && typeof value === 'object' && !Array.isArray(value) ?
+                { ...config[key], ...value } :
+                value;
+        }
+    }
+
+    for (const [keyPath, envName, parse] of ENV_SETTINGS) {
+        if (env[envName] !== undefined && env[envName] !== '') {
+            setPath(config, keyPath, parse(env[envName]));
+        }
+    }
+
+    for (const keyPath of PATH_SETTINGS) {
+        setPath(config, keyPath, path.resolve(PROJECT_ROOT, getPath(config, keyPath)));
+    }
+
+    // Tenants fall back to the top-level operator and rules settings
+    if (config.tenants !== null && typeof config.tenants === 'object') {
+        for (const [tenantId, tenant] of Object.entries(config.tenants)) {
+            config.tenants[tenantId] = {
+                operatorId: tenantId,
+                ...tenant,
+                jurisdictionsFile: tenant && tenant.jurisdictionsFile ?
+                    path.resolve(PROJECT_ROOT, tenant.jurisdictionsFile) :
+                    config.jurisdictionsFile
+            };
+        }
+    }
+
+    validateConfig(config);
+    return config;
+}
+
+function validateConfig(config) {
+    if (!Number.isInteger(config.port) || config.port < 0 || config.port > 65535) {
+        throw new Error(`Invalid port: ${config.port}`);
+    }
+    if (!Array.isArray(config.corsOrigins)) {
+        throw new Error('corsOrigins must be a list of origins or ["*"]');
+    }
+    if (config.proofBackend !== null && !PROOF_BACKENDS.includes(config.proofBackend)) {
+        throw new Error(`Unknown proof backend: ${config.proofBackend} (expected ${PROOF_BACKENDS.join(' or ')})`);
+    }
+    if (typeof config.compact.networkId !== 'string' || config.compact.networkId === '') {
+        throw new Error('compact.networkId must be a network id like testnet, or mock');
+    }
+    if (!STORAGE_BACKENDS.includes(config.storage.backend)) {
+        throw new Error(`Unknown storage backend: ${config.storage.backend} (expected ${STORAGE_BACKENDS.join(' or ')})`);
+    }
+    if (config.proofLifetimeMs !== null && !(config.proofLifetimeMs > 0)) {
+        throw new Error(`Invalid proofLifetimeMs: ${config.proofLifetimeMs}`);
+    }
+    if (typeof config.auth.requireApiKeys !== 'boolean') {
+        throw new Error('auth.requireApiKeys must be true or false');
+    }
+    if (typeof config.requireResidencyProof !== 'boolean') {
+        throw new Error('requireResidencyProof must be true or false');
+    }
+    if (config.auth.adminApiKey !== null && String(config.auth.adminApiKey).length < 16) {
+        throw new Error('auth.adminApiKey must be at least 16 characters');
+    }
+    // Long enough, but copied from an example rather than generated
+    if (config.auth.adminApiKey !== null && /change-?me/i.test(String(config.auth.adminApiKey))) {
+        throw new Error('auth.adminApiKey is a placeholder; set a random key (e.g. `openssl rand -hex 32`) or null');
+    }
+    for (const key of ['perIpPerMinute', 'perApiKeyPerMinute', 'provingConcurrency']) {
+        if (!Number.isInteger(config.rateLimit[key]) || config.rateLimit[key] < 1) {
+            throw new Error(`rateLimit.${key} must be a positive integer`);
+        }
+    }
+    if (!Number.isInteger(config.rateLimit.provingQueueSize) || config.rateLimit.provingQueueSize < 0) {
+        throw new Error('rateLimit.provingQueueSize must be a non-negative integer');
+    }
+    if (typeof config.rateLimit.trustProxy !== 'boolean') {
+        throw new Error('rateLimit.trustProxy must be true or false');
+    }
+    validateTenants(config);
+}
+
+function validateTenants(config) {
+    if (config.tenants === null || typeof config.tenants !== 'object' || Array.isArray(config.tenants)) {
+        throw new Error('tenants must be an object keyed by tenant id');
+    }
+
+    // Tenants share the nullifier and wager stores, so their scopes must differ
+    const operatorIds = new Map([[config.operatorId, 'default']]);
+    for (const [tenantId, tenant] of Object.entries(config.tenants)) {
+        if (!TENANT_ID_PATTERN.test(tenantId) || tenantId === 'default') {
+            throw new Error(`Invalid tenant id "${tenantId}" (lowercase letters, digits, - and _; not "default")`);
+        }
+        const unknown = Object.keys(tenant).filter((key) => !TENANT_SETTINGS.includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown setting "${unknown[0]}" for tenant ${tenantId}`);
+        }
+        if (typeof tenant.operatorId !== 'string' || !tenant.operatorId) {
+            throw new Error(`Invalid operatorId for tenant ${tenantId}`);
+        }
+        if (operatorIds.has(tenant.operatorId)) {
+            throw new Error(`Tenants ${operatorIds.get(tenant.operatorId)} and ${tenantId} share operatorId "${tenant.operatorId}"`);
+        }
+        operatorIds.set(tenant.operatorId, tenantId);
+    }
+}
+
+/**
+ * Value for Access-Control-Allow-Origin, or null when the origin is not allowed
+ */
+function allowedOrigin(corsOrigins, origin) {
+    if (corsOrigins.includes('*')) {
+        return '*';
+    }
+    return origin && corsOrigins.includes(origin) ? origin : null;
+}
+
+module.exports = {
+    DEFAULTS,
+    PROOF_BACKENDS,
+    loadConfig,
+    allowedOrigin
+};
@@ -0,0 +1,67 @@
+const fs = require('fs');
+
+/**
+ * Cross-process lock for the file backends
+ *
+ * The lock is a `<file>.lock` file created exclusively next to the data
+ * file; whoever creates it holds the lock until it is removed. A lock left
+ * behind by a crashed process is taken over once it is STALE_LOCK_MS old,
+ * which is well within LOCK_TIMEOUT_MS, so waiting callers get it instead
+ * of timing out. Waiting polls with timers and never blocks the event loop.
+ */
+
+const STALE_LOCK_MS = 10000;
+const LOCK_TIMEOUT_MS = 3 * STALE_LOCK_MS;
+const RETRY_MS = 10;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function acquire(lockPath, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        try {
+            fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+            return;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        let stat = null;
+        try {
+            stat = fs.statSync(lockPath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+        if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+            fs.rmSync(lockPath, { force: true });
+            continue;
+        }
+        if (Date.now() > deadline) {
+            const error = new Error(`Timed out waiting for ${lockPath}`);
+            error.code = 'LOCK_TIMEOUT';
+            throw error;
+        }
+        await sleep(RETRY_MS);
+    }
+}
+
+/**
+ * Run `task` while holding the lock for `filePath` and resolve to its
+ * result. Keep the task short and synchronous: a lock held longer than
+ * STALE_LOCK_MS is taken over.
+ */
+async function withFileLock(filePath, task, { timeoutMs = LOCK_TIMEOUT_MS } = {}) {
+    const lockPath = `${filePath}.lock`;
+    await acquire(lockPath, timeoutMs);
+    try {
+        return task();
+    } finally {
+        fs.rmSync(lockPath, { force: true });
+    }
+}
+
+module.exports = { STALE_LOCK_MS, LOCK_TIMEOUT_MS, withFileLock };
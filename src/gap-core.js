@@ -0,0 +1,1970 @@
+const { createHash, randomBytes } = require('crypto');
+const path = require('path');
+const { loadConfig } = require('./config');
+const { generateIdentityCommitment } = require('./identity-commitment');
+const { createProofStore } = require('./proof-store');
+const {
+    DEFAULT_PROOF_LIFETIME_MS,
+    computeProofExpiry,
+    isProofExpired,
+    storeTtlFor
+} = require('./proof-freshness');
+const { operatorScope, walletBinding, NullifierRegistry } = require('./nullifier');
+const { CertificateIssuer } = require('./certificates');
+const { JurisdictionRules } = require('./jurisdictions');
+const { WageringLedger } = require('./wagering-limits');
+const { MAX_EXCLUSION_DAYS, SelfExclusionRegistry } = require('./self-exclusion');
+const { REVOCATION_REASONS, RevocationRegistry } = require('./revocations');
+const { AUDIT_DECISIONS, createAuditLog } = require('./audit-log');
+const { ApiKeyRegistry, apiKeyFromHeaders, secretsEqual } = require('./api-keys');
+const { regionCode, buildResidencyTree, residencyPath } = require('./residency');
+const { loadResidencyIssuers, verifyResidencyAttestation } = require('./residency-attestations');
+const { loadBalanceIssuers, verifyBalanceAttestation } = require('./balance-attestations');
+const { RateLimiter, ProvingQueue, clientIp } = require('./rate-limit');
+const {
+    BIRTH_DATE_FIELDS,
+    optional,
+    integer,
+    positiveNumber,
+    string,
+    boolean,
+    object,
+    fieldElement,
+    unsignedInteger,
+    list,
+    requireOneOf,
+    birthDateCheck,
+    validate
+} = require('./validation');
+
+/**
+ * Transport-agnostic GAP service
+ *
+ * All commitment, proof, jurisdiction and eligibility logic lives here.
+ * The Express server (src/gap-server.js) and the zero-dependency HTTP
+ * server (simple-gap-server.js) only look up a route, pass the parsed
+ * request to handle() and write back the { status, body, headers } it
+ * returns.
+ *
+ * One deployment can serve several tenants (sportsbook brands). Each has
+ * its own proof store and operator scope, so its proofs, nullifiers and
+ * wager history never match another tenant's, and its own jurisdiction
+ * rules and limits.
+ * Self-exclusions are shared: a player who takes a break at one brand is
+ * excluded at every brand on the deployment.
+ *
+ * Residency proofs (/api/residency) combine the age check with proof that
+ * the player lives in one of a configured set of jurisdictions, committed
+ * to alongside the birth date by a trusted issuer. Betting and deposits
+ * then use the strictest rules of that set instead of the jurisdiction
+ * named in the request.
+ *
+ * Besides age proofs, the /api/entity routes prove with
+ * circuits/entity_proof.circom that a balance commitment attested by a
+ * trusted issuer meets a threshold (proof of funds), so operators can ask
+ * for it before high-stakes bets without learning the balance.
+ */
+
+// Public signals are ordered outputs first, then public inputs
+const PUBLIC_SIGNALS = {
+    isEligible: 0,
+    proofHash: 1,
+    nullifier: 2,
+    currentYear: 3,
+    currentMonth: 4,
+    currentDay: 5,
+    identityCommitment: 6,
+    minAge: 7,
+    operatorScope: 8,
+    walletBinding: 9
+};
+
+// The residency circuit adds the allowed set's Merkle root to the age signals
+const RESIDENCY_PUBLIC_SIGNALS = {
+    ...PUBLIC_SIGNALS,
+    regionsRoot: 10
+};
+
+// Public signals of the entity proof-of-funds circuit
+const ENTITY_PUBLIC_SIGNALS = {
+    validEntity: 0,
+    proofHash: 1,
+    commitment: 2,
+    minBalance: 3,
+    maxTimestamp: 4,
+    walletBinding: 5
+};
+
+// min_age is compared with GreaterEqThan(8) in the circuit
+const MAX_MIN_AGE = 255;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_TENANT = 'default';
+
+const proofIdRule = () => string({ pattern: /^[0-9a-f]{16}$/, format: '16 hexadecimal characters' });
+const timestampRule = () => string({
+    pattern: /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?Z)?$/,
+    format: 'an ISO 8601 date or UTC time'
+});
+const walletAddressRule = () => string({ maxLength: 128 });
+const jurisdictionRule = () => string({ maxLength: 16, pattern: /^[A-Za-z0-9-]+$/, format: 'a jurisdiction code like US-NJ' });
+
+// Request schemas (body for POST, query for GET); see src/validation.js
+const PROOF_REFERENCE = {
+    proofId: optional(proofIdRule()),
+    proofHash: optional(fieldElement())
+};
+
+const residencySetRule = () => string({ maxLength: 64, pattern: /^[a-z0-9][a-z0-9_-]*$/, format: 'a residency set name like us-northeast' });
+
+// Compact JWS from a residency or balance issuer
+const attestationRule = () => string({ maxLength: 4096, pattern: /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/, format: 'a signed attestation (JWS)' });
+
+// Balances (in the currency's smallest unit) and Unix timestamps in seconds
+const ENTITY_FIELDS = {
+    entityId: fieldElement(),
+    secretKey: fieldElement(),
+    balance: unsignedInteger({ bits: 64 }),
+    timestamp: unsignedInteger({ bits: 64 })
+};
+
+const SCHEMAS = {
+    generateCommitment: {
+        fields: {
+            ...BIRTH_DATE_FIELDS,
+            identitySecret: fieldElement()
+        },
+        checks: [birthDateCheck()]
+    },
+    generateProof: {
+        fields: {
+            ...BIRTH_DATE_FIELDS,
+            identitySecret: fieldElement(),
+            identityCommitment: fieldElement(),
+            walletAddress: walletAddressRule(),
+            jurisdiction: optional(jurisdictionRule()),
+            minAge: optional(integer({ min: 1, max: MAX_MIN_AGE })),
+            submitToNetwork: optional(boolean())
+        },
+        checks: [birthDateCheck()]
+    },
+    submitProof: {
+        fields: {
+            proof: object(),
+            publicSignals: list(fieldElement(), { length: Object.keys(PUBLIC_SIGNALS).length })
+        }
+    },
+    verifyProof: {
+        fields: {
+            ...PROOF_REFERENCE,
+            walletAddress: optional(walletAddressRule()),
+            checkNetwork: optional(boolean())
+        },
+        checks: [requireOneOf('proofId', 'proofHash')]
+    },
+    bettingEligibility: {
+        fields: {
+            ...PROOF_REFERENCE,
+            walletAddress: walletAddressRule(),
+            bettingAmount: positiveNumber(),
+            jurisdiction: optional(jurisdictionRule()),
+            issueCertificate: optional(boolean()),
+            recordWager: optional(boolean())
+        },
+        checks: [requireOneOf('proofId', 'proofHash')]
+    },
+    recordDeposit: {
+        fields: {
+            ...PROOF_REFERENCE,
+            walletAddress: walletAddressRule(),
+            amount: positiveNumber(),
+            jurisdiction: optional(jurisdictionRule())
+        },
+        checks: [requireOneOf('proofId', 'proofHash')]
+    },
+    selfExclude: {
+        fields: {
+            ...PROOF_REFERENCE,
+            walletAddress: walletAddressRule(),
+            playerToken: optional(string({ maxLength: 64 })),
+            durationDays: optional(integer({ min: 1, max: MAX_EXCLUSION_DAYS })),
+            permanent: optional(boolean())
+        },
+        checks: [
+            requireOneOf('proofId', 'proofHash'),
+            (input) => (input.permanent === true || input.durationDays !== undefined ? null : {
+                code: 'REQUIRED',
+                field: 'durationDays',
+                message: 'Provide durationDays or permanent: true'
+            })
+        ]
+    },
+    selfExclusionStatus: {
+        fields: {
+            identity: fieldElement()
+        }
+    },
+    revoke: {
+        fields: {
+            ...PROOF_REFERENCE,
+            certificateId: optional(string({ pattern: /^[0-9a-f]{24}$/, format: '24 hexadecimal characters' })),
+            identity: optional(boolean()),
+            reason: string({
+                pattern: new RegExp(`^(${REVOCATION_REASONS.join('|')})$`),
+                format: `one of ${REVOCATION_REASONS.join(', ')}`
+            })
+        },
+        checks: [
+            requireOneOf('proofId', 'proofHash', 'certificateId'),
+            (input) => (input.identity !== true || input.proofId || input.proofHash ? null : {
+                code: 'REQUIRED',
+                field: 'proofId',
+                message: 'Revoking an identity needs one of its proofs (proofId or proofHash)'
+            })
+        ]
+    },
+    auditQuery: {
+        fields: {
+            ...PROOF_REFERENCE,
+            route: optional(string({ maxLength: 64, pattern: /^\/[a-z/-]+$/, format: 'a route path like /api/verify-proof' })),
+            decision: optional(string({
+                pattern: new RegExp(`^(${AUDIT_DECISIONS.join('|')})$`),
+                format: `one of ${AUDIT_DECISIONS.join(', ')}`
+            })),
+            since: optional(timestampRule()),
+            before: optional(timestampRule()),
+            limit: optional(string({ pattern: /^([1-9][0-9]{0,2}|1000)$/, format: 'a number from 1 to 1000' }))
+        }
+    },
+    residencySet: {
+        fields: {
+            name: residencySetRule()
+        }
+    },
+    residencyProof: {
+        fields: {
+            ...BIRTH_DATE_FIELDS,
+            identitySecret: fieldElement(),
+            identityCommitment: fieldElement(),
+            attestation: attestationRule(),
+            jurisdiction: jurisdictionRule(),
+            residencySet: residencySetRule(),
+            walletAddress: walletAddressRule(),
+            minAge: optional(integer({ min: 1, max: MAX_MIN_AGE }))
+        },
+        checks: [birthDateCheck()]
+    },
+    submitResidencyProof: {
+        fields: {
+            proof: object(),
+            publicSignals: list(fieldElement(), { length: Object.keys(RESIDENCY_PUBLIC_SIGNALS).length }),
+            attestation: attestationRule(),
+            residencySet: residencySetRule()
+        }
+    },
+    entityProof: {
+        fields: {
+            ...ENTITY_FIELDS,
+            commitment: fieldElement(),
+            attestation: attestationRule(),
+            minBalance: unsignedInteger({ bits: 64 }),
+            walletAddress: walletAddressRule()
+        }
+    },
+    entityVerify: {
+        fields: {
+            ...PROOF_REFERENCE,
+            walletAddress: walletAddressRule(),
+            minBalance: optional(unsignedInteger({ bits: 64 }))
+        },
+        checks: [requireOneOf('proofId', 'proofHash')]
+    },
+    createApiKey: {
+        fields: {
+            tenantId: string({ maxLength: 64 }),
+            label: optional(string({ maxLength: 100 }))
+        }
+    },
+    revokeApiKey: {
+        fields: {
+            keyId: proofIdRule()
+        }
+    }
+};
+
+// Request header selecting the tenant on routes that do not need an API key
+const TENANT_HEADER = 'x-gap-tenant';
+
+// `handler` names a GapService method; `errorMessage` is returned on unexpected errors.
+// `auth` is 'operator' for routes that need an operator API key (when
+// auth.requireApiKeys is set, or always with `requireKey`) and 'admin' for
+// routes that need the admin key. `adminWhen(body)` returning true makes a
+// request need the admin key instead.
+// `rateLimited` routes count against the caller's rate limit bucket.
+// `audit` routes are recorded in the audit log; it names the response field
+// (true or false) that holds the decision.
+// `schema` validates the request before the handler runs.
+const ROUTES = [
+    { method: 'GET', path: '/health', handler: 'health', description: 'Health check' },
+    { method: 'GET', path: '/api/operator', handler: 'operator', description: 'Operator scope for proofs' },
+    { method: 'GET', path: '/api/jurisdictions', handler: 'listJurisdictions', description: 'Jurisdiction rules' },
+    { method: 'GET', path: '/.well-known/jwks.json', handler: 'jwks', description: 'Certificate signing keys' },
+    {
+        method: 'POST',
+        path: '/api/generate-commitment',
+        handler: 'generateCommitment',
+        schema: SCHEMAS.generateCommitment,
+        rateLimited: true,
+        description: 'Generate identity commitment',
+        errorMessage: 'Failed to generate commitment'
+    },
+    {
+        method: 'POST',
+        path: '/api/generate-proof',
+        handler: 'generateProof',
+        schema: SCHEMAS.generateProof,
+        rateLimited: true,
+        audit: 'isEligible',
+        description: 'Generate age verification proof',
+        errorMessage: 'Failed to generate age verification proof'
+    },
+    {
+        method: 'POST',
+        path: '/api/submit-proof',
+        handler: 'submitProof',
+        schema: SCHEMAS.submitProof,
+        rateLimited: true,
+        audit: 'isEligible',
+        description: 'Submit a client-side proof',
+        errorMessage: 'Failed to verify submitted age proof'
+    },
+    {
+        method: 'POST',
+        path: '/api/verify-proof',
+        handler: 'verifyProof',
+        schema: SCHEMAS.verifyProof,
+        auth: 'operator',
+        audit: 'isValid',
+        description: 'Verify age proof',
+        errorMessage: 'Failed to verify proof'
+    },
+    {
+        method: 'POST',
+        path: '/api/betting-eligibility',
+        handler: 'bettingEligibility',
+        schema: SCHEMAS.bettingEligibility,
+        auth: 'operator',
+        audit: 'canBet',
+        description: 'Check betting eligibility',
+        errorMessage: 'Failed to check betting eligibility'
+    },
+    {
+        method: 'POST',
+        path: '/api/deposits',
+        handler: 'recordDeposit',
+        schema: SCHEMAS.recordDeposit,
+        auth: 'operator',
+        audit: 'accepted',
+        description: 'Record a deposit',
+        errorMessage: 'Failed to record deposit'
+    },
+    {
+        method: 'POST',
+        path: '/api/self-exclusion',
+        handler: 'selfExclude',
+        schema: SCHEMAS.selfExclude,
+        audit: 'success',
+        description: 'Self-exclude from betting',
+        errorMessage: 'Failed to register self-exclusion'
+    },
+    {
+        method: 'GET',
+        path: '/api/self-exclusion',
+        handler: 'selfExclusionStatus',
+        schema: SCHEMAS.selfExclusionStatus,
+        auth: 'operator',
+        description: 'Self-exclusion status',
+        errorMessage: 'Failed to check self-exclusion'
+    },
+    {
+        method: 'POST',
+        path: '/api/revoke',
+        handler: 'revoke',
+        schema: SCHEMAS.revoke,
+        auth: 'operator',
+        requireKey: true,
+        // Identity revocations also refuse every future proof of the player
+        adminWhen: (body) => Boolean(body && body.identity === true),
+        audit: 'success',
+        description: 'Revoke a proof, identity or certificate',
+        errorMessage: 'Failed to revoke'
+    },
+    {
+        method: 'GET',
+        path: '/api/revocations',
+        handler: 'revocationList',
+        description: 'Signed revocation status list'
+    },
+    {
+        method: 'GET',
+        path: '/api/audit',
+        handler: 'auditEntries',
+        schema: SCHEMAS.auditQuery,
+        auth: 'operator',
+        requireKey: true,
+        description: 'Audit log of verification and eligibility decisions',
+        errorMessage: 'Failed to read the audit log'
+    },
+    {
+        method: 'GET',
+        path: '/api/residency/set',
+        handler: 'residencySet',
+        schema: SCHEMAS.residencySet,
+        description: 'Residency set root and rules'
+    },
+    {
+        method: 'POST',
+        path: '/api/residency/proof',
+        handler: 'generateResidencyProof',
+        schema: SCHEMAS.residencyProof,
+        rateLimited: true,
+        audit: 'isEligible',
+        description: 'Generate age + residency proof',
+        errorMessage: 'Failed to generate residency proof'
+    },
+    {
+        method: 'POST',
+        path: '/api/residency/submit-proof',
+        handler: 'submitResidencyProof',
+        schema: SCHEMAS.submitResidencyProof,
+        rateLimited: true,
+        audit: 'isEligible',
+        description: 'Submit a client-side residency proof',
+        errorMessage: 'Failed to verify submitted residency proof'
+    },
+    {
+        method: 'POST',
+        path: '/api/entity/proof',
+        handler: 'generateEntityProof',
+        schema: SCHEMAS.entityProof,
+        rateLimited: true,
+        description: 'Generate proof of funds',
+        errorMessage: 'Failed to generate proof of funds'
+    },
+    {
+        method: 'POST',
+        path: '/api/entity/verify',
+        handler: 'verifyEntityProof',
+        schema: SCHEMAS.entityVerify,
+        auth: 'operator',
+        description: 'Verify proof of funds',
+        errorMessage: 'Failed to verify proof of funds'
+    },
+    {
+        method: 'POST',
+        path: '/api/admin/keys',
+        handler: 'createApiKey',
+        schema: SCHEMAS.createApiKey,
+        auth: 'admin',
+        description: 'Create an operator API key',
+        errorMessage: 'Failed to create API key'
+    },
+    {
+        method: 'POST',
+        path: '/api/admin/keys/revoke',
+        handler: 'revokeApiKey',
+        schema: SCHEMAS.revokeApiKey,
+        auth: 'admin',
+        description: 'Revoke an operator API key',
+        errorMessage: 'Failed to revoke API key'
+    }
+];
+
+/**
+ * Per-tenant variant of a store file: data/proofs.json -> data/proofs.brand-a.json
+ */
+function tenantFile(filePath, tenantId) {
+    if (tenantId === DEFAULT_TENANT) {
+        return filePath;
+    }
+    const { dir, name, ext } = path.parse(filePath);
+    return path.join(dir, `${name}.${tenantId}${ext}`);
+}
+
+const hashPlayerToken = (playerToken) => createHash('sha256').update(playerToken).digest('hex');
+
+const ok = (body) => ({ status: 200, body });
+const fail = (status, body) => ({ status, body });
+const invalidRequest = (errors) => fail(400, {
+    error: errors[0].message,
+    code: 'VALIDATION_FAILED',
+    errors
+});
+const tooManyRequests = (body, retryAfterSeconds) => ({
+    status: 429,
+    body: { ...body, retryAfter: retryAfterSeconds },
+    headers: { 'Retry-After': String(retryAfterSeconds) }
+});
+const networkUnavailable = () => fail(400, {
+    error: 'The proof backend does not publish verifications to a network',
+    code: 'NETWORK_UNAVAILABLE'
+});
+
+/**
+ * Whether a proof backend can submit and query verifications on a ledger
+ */
+function publishesToNetwork(backend) {
+    return typeof backend.submitVerification === 'function' && typeof backend.queryVerification === 'function';
+}
+
+class GapService {
+    constructor({
+        config = loadConfig(),
+        proofBackend,
+        residencyProofBackend,
+        entityProofBackend,
+        proofStore,
+        entityProofStore,
+        nullifierStore,
+        wagerStore,
+        exclusionStore,
+        revocationStore,
+        apiKeyStore,
+        auditLog,
+        certificateIssuer,
+        residencyIssuers,
+        balanceIssuers,
+        jurisdictionRules,
+        proofLifetimeMs,
+        operatorId
+    }) {
+        const { storage } = config;
+
+        this.config = config;
+        this.proofBackend = proofBackend;
+        this.residencyProofBackend = residencyProofBackend;
+        this.entityProofBackend = entityProofBackend;
+        this.proofLifetimeMs = proofLifetimeMs || config.proofLifetimeMs || DEFAULT_PROOF_LIFETIME_MS;
+        this.nullifiers = new NullifierRegistry({
+            store: nullifierStore || createProofStore({
+                backend: storage.backend,
+                filePath: storage.nullifiersFile
+            })
+        });
+        this.wagering = new WageringLedger({
+            store: wagerStore || createProofStore({
+                backend: storage.backend,
+                filePath: storage.wagersFile
+            })
+        });
+        this.selfExclusions = new SelfExclusionRegistry({
+            store: exclusionStore || createProofStore({
+                backend: storage.backend,
+                filePath: storage.exclusionsFile
+            })
+        });
+        this.apiKeys = new ApiKeyRegistry({
+            store: apiKeyStore || createProofStore({
+                backend: storage.backend,
+                filePath: storage.apiKeysFile
+            })
+        });
+        this.auditLog = auditLog || createAuditLog({
+            backend: storage.backend,
+            filePath: storage.auditLogFile
+        });
+        this.certificates = certificateIssuer || new CertificateIssuer(config.certificates);
+        this.residencyIssuers = residencyIssuers || loadResidencyIssuers(config.residencyIssuersFile);
+        this.balanceIssuers = balanceIssuers || loadBalanceIssuers(config.balanceIssuersFile);
+        this.rateLimiter = new RateLimiter(config.rateLimit);
+        this.provingQueue = new ProvingQueue({
+            concurrency: config.rateLimit.provingConcurrency,
+            maxQueued: config.rateLimit.provingQueueSize
+        });
+
+        // Tenants using the same rules file share one (watched) JurisdictionRules
+        const rulesByFile = new Map();
+        const rulesFor = (filePath) => {
+            if (!rulesByFile.has(filePath)) {
+                rulesByFile.set(filePath, new JurisdictionRules({ filePath }));
+            }
+            return rulesByFile.get(filePath);
+        };
+        if (jurisdictionRules) {
+            rulesByFile.set(config.jurisdictionsFile, jurisdictionRules);
+        }
+
+        this.tenants = new Map();
+        const tenantSettings = {
+            [DEFAULT_TENANT]: {
+                operatorId: operatorId || config.operatorId,
+                jurisdictionsFile: config.jurisdictionsFile
+            },
+            ...config.tenants
+        };
+        for (const [id, tenant] of Object.entries(tenantSettings)) {
+            this.tenants.set(id, {
+                id,
+                proofStore: id === DEFAULT_TENANT && proofStore ? proofStore : createProofStore({
+                    backend: storage.backend,
+                    filePath: tenantFile(storage.proofsFile, id)
+                }),
+                entityProofStore: id === DEFAULT_TENANT && entityProofStore ? entityProofStore : createProofStore({
+                    backend: storage.backend,
+                    filePath: tenantFile(storage.entityProofsFile, id)
+                }),
+                revocations: new RevocationRegistry({
+                    store: id === DEFAULT_TENANT && revocationStore ? revocationStore : createProofStore({
+                        backend: storage.backend,
+                        filePath: tenantFile(storage.revocationsFile, id)
+                    })
+                }),
+                operatorId: tenant.operatorId,
+                operatorScope: operatorScope(tenant.operatorId),
+                jurisdictions: rulesFor(tenant.jurisdictionsFile)
+            });
+        }
+        this.ruleSets = [...rulesByFile.values()];
+    }
+
+    /**
+     * Route for a method and path, or null
+     */
+    route(method, routePath) {
+        return ROUTES.find((route) => route.method === method && route.path === routePath) || null;
+    }
+
+    /**
+     * Run a route's handler; never throws
+     */
+    async handle(route, { body = {}, query = {}, headers = {}, remoteAddress } = {}) {
+        try {
+            const access = await this.authorize(route, headers, query, body);
+            if (!access.tenant) {
+                return access;
+            }
+
+            if (route.schema) {
+                const errors = validate(route.schema, route.method === 'GET' ? query : body);
+                if (errors.length > 0) {
+                    return invalidRequest(errors);
+                }
+            }
+
+            if (route.rateLimited) {
+                const retryAfter = this.rateLimiter.take({
+                    ip: clientIp({ headers, remoteAddress }, this.config.rateLimit.trustProxy),
+                    keyId: access.keyId
+                });
+                if (retryAfter > 0) {
+                    return tooManyRequests({ error: 'Too many requests', code: 'RATE_LIMITED' }, retryAfter);
+                }
+            }
+            const result = await this[route.handler]({
+                body: body || {},
+                query,
+                tenant: access.tenant,
+                keyId: access.keyId
+            });
+            if (route.audit) {
+                await this.recordAudit(route, access, body || {}, result);
+            }
+            return result;
+        } catch (error) {
+            if (error.code === 'INVALID_FIELD_ELEMENT') {
+                return invalidRequest([{ code: error.code, field: error.field, message: error.message }]);
+            }
+            // Any Compact backend call may find the network unreachable
+            if (error.code === 'COMPACT_UNAVAILABLE') {
+                return fail(503, { error: error.message, code: error.code });
+            }
+            console.error(`Error handling ${route.method} ${route.path}:`, error);
+            return fail(500, { error: route.errorMessage || 'Internal server error' });
+        }
+    }
+
+    /**
+     * Check the route's credentials and pick the tenant. Returns
+     * { tenant, keyId } or a { status, body } error.
+     *
+     * An operator API key always decides the tenant. Without one, operator
+     * routes are refused when the route has `requireKey` or
+     * auth.requireApiKeys is set; other routes, and the admin key, use the
+     * X-GAP-Tenant header or `tenant` query parameter, or the default.
+     */
+    async authorize(route, headers, query, body) {
+        const apiKey = apiKeyFromHeaders(headers);
+
+        if (route.auth === 'admin' || (route.adminWhen && route.adminWhen(body))) {
+            const { adminApiKey } = this.config.auth;
+            if (!adminApiKey) {
+                return fail(403, {
+                    error: 'Admin API is disabled - set GAP_ADMIN_API_KEY to enable it',
+                    code: 'ADMIN_DISABLED'
+                });
+            }
+            if (!apiKey || !secretsEqual(apiKey, adminApiKey)) {
+                return fail(401, { error: 'Invalid or missing admin key', code: 'UNAUTHORIZED' });
+            }
+            return this.requestedTenant(headers, query);
+        }
+
+        if (apiKey) {
+            const key = await this.apiKeys.authenticate(apiKey);
+            const tenant = key && this.tenants.get(key.tenantId);
+            if (!tenant) {
+                return fail(401, { error: 'Invalid or revoked API key', code: 'UNAUTHORIZED' });
+            }
+            return { tenant, keyId: key.keyId };
+        }
+
+        if (route.auth === 'operator' && (route.requireKey || this.config.auth.requireApiKeys)) {
+            return fail(401, { error: 'Operator API key required', code: 'UNAUTHORIZED' });
+        }
+
+        return this.requestedTenant(headers, query);
+    }
+
+    /**
+     * Tenant named by the X-GAP-Tenant header or `tenant` query parameter,
+     * or the default, as { tenant }; 404 for an unknown tenant
+     */
+    requestedTenant(headers, query) {
+        const tenantId = headers[TENANT_HEADER] || query.tenant || DEFAULT_TENANT;
+        const tenant = this.tenants.get(tenantId);
+        if (!tenant) {
+            return fail(404, { error: `Unknown tenant: ${tenantId}`, code: 'UNKNOWN_TENANT' });
+        }
+        return { tenant };
+    }
+
+    health() {
+        return ok({
+            status: 'healthy',
+            service: 'Age Verification GAP Server',
+            timestamp: new Date().toISOString(),
+            version: '1.0.0'
+        });
+    }
+
+    operator({ tenant }) {
+        return ok({
+            tenant: tenant.id,
+            operatorId: tenant.operatorId,
+            operatorScope: tenant.operatorScope
+        });
+    }
+
+    listJurisdictions({ tenant }) {
+        return ok({
+            default: tenant.jurisdictions.resolve('default'),
+            jurisdictions: tenant.jurisdictions.list(),
+            residencySets: tenant.jurisdictions.residencySetNames()
+        });
+    }
+
+    jwks() {
+        return ok(this.certificates.jwks());
+    }
+
+    async generateCommitment({ body }) {
+        const { birthYear, birthMonth, birthDay, identitySecret } = body;
+
+        // Poseidon(4) over field elements, matching the circuit's identity_hasher
+        const commitment = await generateIdentityCommitment(birthYear, birthMonth, birthDay, identitySecret);
+
+        console.log(`🔒 Identity commitment generated: ${commitment}`);
+
+        return ok({
+            success: true,
+            commitment,
+            message: 'Identity commitment generated successfully'
+        });
+    }
+
+    async generateProof({ body, tenant }) {
+        const {
+            birthYear,
+            birthMonth,
+            birthDay,
+            identitySecret,
+            identityCommitment,
+            walletAddress,
+            jurisdiction,
+            minAge,
+            submitToNetwork
+        } = body;
+
+        if (submitToNetwork && !publishesToNetwork(this.proofBackend)) {
+            return networkUnavailable();
+        }
+
+        // Bind the strictest applicable threshold into the proof
+        const requiredMinAge = this.resolveMinAge(tenant, jurisdiction, minAge);
+
+        const now = new Date();
+        const input = {
+            birth_year: birthYear,
+            birth_month: birthMonth,
+            birth_day: birthDay,
+            identity_secret: identitySecret,
+            current_year: now.getFullYear(),
+            current_month: now.getMonth() + 1,
+            current_day: now.getDate(),
+            identity_commitment: identityCommitment,
+            min_age: requiredMinAge,
+            operator_scope: tenant.operatorScope,
+            wallet_binding: walletBinding(walletAddress)
+        };
+
+        let generated;
+        try {
+            generated = await this.provingQueue.run(() => this.proofBackend.generateProof(input));
+        } catch (error) {
+            if (error.code === 'PROVING_QUEUE_FULL') {
+                return tooManyRequests({ error: error.message, code: error.code }, error.retryAfterSeconds);
+            }
+            if (error.code === 'COMPACT_UNAVAILABLE') {
+                return fail(503, { error: error.message, code: error.code });
+            }
+            if (error.code === 'CIRCUIT_ARTIFACTS_MISSING' || error.code === 'INVALID_FIELD_ELEMENT') {
+                throw error;
+            }
+            // Witness generation fails when the inputs violate a circuit
+            // constraint, e.g. a commitment that does not match the birth date
+            console.error('Witness generation failed:', error.message);
+            return fail(400, { error: 'Inputs do not satisfy the age verification circuit' });
+        }
+
+        const record = await this.storeProof(tenant, generated.proof, generated.publicSignals);
+        if (record.error) {
+            return fail(record.error.status, { error: record.error.message, code: record.error.code });
+        }
+
+        console.log(`🎯 Age verification proof generated: ${record.proofId} (Eligible: ${record.isEligible})`);
+
+        if (!submitToNetwork) {
+            return ok(this.proofResponse(record));
+        }
+        return ok({
+            ...this.proofResponse(record),
+            network: await this.publishProof(tenant, record, walletAddress)
+        });
+    }
+
+    async submitProof({ body, tenant }) {
+        const { proof, publicSignals } = body;
+
+        // The proof must be made against today's date, not one chosen by the prover
+        if (!this.isCurrentProofDate(publicSignals)) {
+            return fail(400, { error: 'Proof date does not match the current date' });
+        }
+
+        const isValid = await this.proofBackend.verifyProof(proof, publicSignals);
+        if (!isValid) {
+            return fail(400, { error: 'Invalid age verification proof' });
+        }
+
+        const record = await this.storeProof(tenant, proof, publicSignals);
+        if (record.error) {
+            return fail(record.error.status, { error: record.error.message, code: record.error.code });
+        }
+
+        console.log(`📥 Age verification proof submitted: ${record.proofId} (Eligible: ${record.isEligible})`);
+
+        return ok(this.proofResponse(record));
+    }
+
+    async verifyProof({ body, tenant }) {
+        const { proofId, proofHash, walletAddress, checkNetwork } = body;
+
+        const cachedProof = await this.findProof(tenant, proofId, proofHash);
+        if (!cachedProof) {
+            return fail(404, { error: 'Proof not found' });
+        }
+
+        if (walletAddress && walletBinding(walletAddress) !== cachedProof.walletBinding) {
+            return fail(403, {
+                error: 'Proof is bound to a different wallet',
+                code: 'WALLET_MISMATCH',
+                isValid: false
+            });
+        }
+
+        if (isProofExpired(cachedProof)) {
+            return fail(410, {
+                error: 'Proof has expired',
+                code: 'PROOF_EXPIRED',
+                isValid: false,
+                expiresAt: cachedProof.expiresAt
+            });
+        }
+
+        const revocation = await this.revocationFor(tenant, cachedProof);
+        if (revocation) {
+            return fail(403, {
+                error: 'Proof has been revoked',
+                code: 'PROOF_REVOKED',
+                isValid: false,
+                revocationReason: revocation.reason,
+                revokedAt: revocation.revokedAt
+            });
+        }
+
+        const backend = this.backendFor(cachedProof);
+        if (checkNetwork && !publishesToNetwork(backend)) {
+            return networkUnavailable();
+        }
+
+        const isValid = await backend.verifyProof(cachedProof.proof, cachedProof.publicSignals);
+
+        console.log(`🔍 Proof verification: ${cachedProof.proofId} (Valid: ${isValid}, Eligible: ${cachedProof.isEligible})`);
+
+        const response = {
+            success: true,
+            isValid,
+            isEligible: cachedProof.isEligible,
+            minAge: cachedProof.minAge,
+            age: cachedProof.age,
+            timestamp: cachedProof.timestamp,
+            expiresAt: cachedProof.expiresAt,
+            message: isValid && cachedProof.isEligible ?
+                'Valid proof - user is eligible for sports betting' :
+                'Invalid proof or user not eligible'
+        };
+        if (!checkNetwork) {
+            return ok(response);
+        }
+
+        const status = await backend.queryVerification(cachedProof.proofHash);
+        if (!status.verified) {
+            return fail(502, { error: 'Could not query the network', code: 'NETWORK_QUERY_FAILED' });
+        }
+        return ok({
+            ...response,
+            network: {
+                networkId: backend.networkId,
+                transactionHash: cachedProof.network ? cachedProof.network.transactionHash : null,
+                onLedger: status.exists,
+                // The ledger entry agrees with the proof this server verified
+                confirmed: status.exists && status.isEligible === cachedProof.isEligible
+            }
+        });
+    }
+
+    async bettingEligibility({ body, tenant }) {
+        const { bettingAmount, jurisdiction, issueCertificate, recordWager } = body;
+
+        const lookup = await this.findPlayerProof(tenant, body);
+        if (lookup.rejection) {
+            return fail(lookup.status, { eligible: false, canBet: false, ...lookup.rejection });
+        }
+        if (!lookup.proof) {
+            return lookup;
+        }
+        const cachedProof = lookup.proof;
+
+        // Check age eligibility
+        if (!cachedProof.isEligible) {
+            return ok({
+                eligible: false,
+                canBet: false,
+                reason: `Age verification failed - must be ${cachedProof.minAge} or older`
+            });
+        }
+
+        // The proven threshold must cover the jurisdiction's minimum age
+        const jurisdictionRules = this.rulesForProof(tenant, cachedProof, jurisdiction);
+        if (cachedProof.minAge < jurisdictionRules.minAge) {
+            return ok({
+                eligible: false,
+                canBet: false,
+                reason: `Age proof only covers ${cachedProof.minAge}+ - ${jurisdictionRules.code} requires ${jurisdictionRules.minAge}+`,
+                requiredMinAge: jurisdictionRules.minAge,
+                provenMinAge: cachedProof.minAge
+            });
+        }
+
+        // Wagers already placed by this player count towards the rolling limits
+        const wageringKeys = this.wageringKeys(tenant, cachedProof);
+        let wagerUsage = await this.wagering.usage(wageringKeys, 'wager');
+        const depositUsage = await this.wagering.usage(wageringKeys, 'deposit');
+
+        // Additional jurisdiction checks
+        const eligibilityCheck = this.checkBettingEligibility(bettingAmount, jurisdictionRules, wagerUsage);
+
+        console.log(`🎲 Betting eligibility check: ${cachedProof.proofId} - Amount: ${bettingAmount} ${jurisdictionRules.currency} - Jurisdiction: ${jurisdictionRules.code} - Eligible: ${eligibilityCheck.eligible}`);
+
+        const canBet = cachedProof.isEligible && eligibilityCheck.eligible;
+
+        let wagerRecorded = false;
+        if (canBet && recordWager) {
+            try {
+                wagerUsage = await this.wagering.record(
+                    wageringKeys,
+                    'wager',
+                    bettingAmount,
+                    jurisdictionRules.wagerLimits
+                );
+                wagerRecorded = true;
+            } catch (error) {
+                if (error.code !== 'LIMIT_EXCEEDED') {
+                    throw error;
+                }
+                // Another request used up the allowance since the check above
+                return fail(error.status, {
+                    eligible: false,
+                    canBet: false,
+                    code: error.code,
+                    reason: `Betting amount exceeds ${error.window} wager limit`
+                });
+            }
+        }
+
+        let certificate;
+        if (canBet && issueCertificate) {
+            certificate = this.certificates.issue({
+                tenant: tenant.id,
+                proofHash: cachedProof.proofHash,
+                jurisdiction: jurisdictionRules.code,
+                maxBet: jurisdictionRules.maxBet,
+                proofExpiresAt: cachedProof.expiresAt
+            });
+            // Only certificates on record can be revoked
+            await tenant.revocations.recordCertificate({ ...certificate, proofHash: cachedProof.proofHash });
+        }
+
+        return ok({
+            eligible: eligibilityCheck.eligible,
+            canBet,
+            reason: eligibilityCheck.reason,
+            maxBet: jurisdictionRules.maxBet,
+            minAge: jurisdictionRules.minAge,
+            jurisdiction: jurisdictionRules.code,
+            currency: jurisdictionRules.currency,
+            ageVerified: true,
+            proofValid: true,
+            expiresAt: cachedProof.expiresAt,
+            wagerRecorded,
+            allowance: {
+                wager: this.wagering.allowance(jurisdictionRules.wagerLimits, wagerUsage),
+                deposit: this.wagering.allowance(jurisdictionRules.depositLimits, depositUsage)
+            },
+            certificate
+        });
+    }
+
+    async recordDeposit({ body, tenant }) {
+        const { amount, jurisdiction } = body;
+
+        const lookup = await this.findPlayerProof(tenant, body);
+        if (lookup.rejection) {
+            return fail(lookup.status, { accepted: false, ...lookup.rejection });
+        }
+        if (!lookup.proof) {
+            return lookup;
+        }
+        const cachedProof = lookup.proof;
+
+        const jurisdictionRules = this.rulesForProof(tenant, cachedProof, jurisdiction);
+        if (!cachedProof.isEligible || cachedProof.minAge < jurisdictionRules.minAge ||
+            jurisdictionRules.restricted) {
+            return fail(403, {
+                accepted: false,
+                code: 'NOT_ELIGIBLE',
+                reason: `Not eligible to deposit in ${jurisdictionRules.code}`
+            });
+        }
+
+        const wageringKeys = this.wageringKeys(tenant, cachedProof);
+        let depositUsage;
+        try {
+            depositUsage = await this.wagering.record(
+                wageringKeys,
+                'deposit',
+                amount,
+                jurisdictionRules.depositLimits
+            );
+        } catch (error) {
+            if (error.code !== 'LIMIT_EXCEEDED') {
+                throw error;
+            }
+            depositUsage = await this.wagering.usage(wageringKeys, 'deposit');
+            return fail(error.status, {
+                accepted: false,
+                code: error.code,
+                reason: `Deposit exceeds ${error.window} deposit limit`,
+                allowance: this.wagering.allowance(jurisdictionRules.depositLimits, depositUsage)
+            });
+        }
+
+        console.log(`💰 Deposit recorded: ${cachedProof.proofId} - Amount: ${amount} ${jurisdictionRules.currency}`);
+
+        return ok({
+            success: true,
+            accepted: true,
+            amount,
+            currency: jurisdictionRules.currency,
+            jurisdiction: jurisdictionRules.code,
+            allowance: this.wagering.allowance(jurisdictionRules.depositLimits, depositUsage)
+        });
+    }
+
+    async selfExclude({ body, tenant, keyId }) {
+        const { proofId, proofHash, walletAddress, playerToken, durationDays, permanent } = body;
+
+        // Expired proofs still identify the player, so they can be used here
+        const cachedProof = await this.findProof(tenant, proofId, proofHash);
+        if (!cachedProof) {
+            return fail(404, { error: 'Age verification proof not found' });
+        }
+
+        if (walletBinding(walletAddress) !== cachedProof.walletBinding) {
+            return fail(403, {
+                error: 'Proof is bound to a different wallet',
+                code: 'WALLET_MISMATCH'
+            });
+        }
+
+        // The proof hash and wallet are public; the player token was only
+        // ever sent to whoever submitted the proof. An operator API key
+        // vouches for the player instead.
+        if (!keyId && !this.isPlayerToken(cachedProof, playerToken)) {
+            return fail(403, {
+                error: 'Self-exclusion needs the playerToken returned with the proof, or an operator API key',
+                code: 'PLAYER_TOKEN_INVALID'
+            });
+        }
+
+        const exclusion = await this.selfExclusions.exclude(this.exclusionKeys(cachedProof), {
+            durationMs: permanent === true ? undefined : durationDays * DAY_MS,
+            permanent: permanent === true
+        });
+
+        console.log(`⛔ Self-exclusion registered for ${cachedProof.proofId} until ${exclusion.until || 'permanent'}`);
+
+        return ok({
+            success: true,
+            excluded: true,
+            ...exclusion
+        });
+    }
+
+    async revoke({ body, tenant }) {
+        const { proofId, proofHash, certificateId, identity, reason } = body;
+
+        const targets = [{ type: 'certificate', id: certificateId }];
+        let record = null;
+        if (proofId || proofHash) {
+            record = await this.findProof(tenant, proofId, proofHash);
+            if (!record) {
+                return fail(404, { error: 'Proof not found' });
+            }
+            targets.push({ type: 'proof', id: record.proofHash });
+            if (identity) {
+                // Every proof of the identity, including future ones
+                targets.push(...this.identityKeys(record).map((id) => ({ type: 'identity', id })));
+            }
+        }
+
+        if (certificateId) {
+            const certificate = await tenant.revocations.issuedCertificate(certificateId);
+            let problem = null;
+            if (!certificate) {
+                problem = 'No unexpired certificate with this id was issued by this tenant';
+            } else if (record && certificate.proofHash !== record.proofHash) {
+                problem = 'The certificate was not issued for this proof';
+            }
+            if (problem) {
+                return invalidRequest([{ code: 'UNKNOWN_CERTIFICATE', field: 'certificateId', message: problem }]);
+            }
+        }
+
+        const revocations = await tenant.revocations.revoke(targets, { reason });
+
+        console.log(`🚫 Revoked ${revocations.map(({ type }) => type).join(', ')} (${reason})`);
+
+        return ok({ success: true, revocations });
+    }
+
+    async revocationList({ tenant }) {
+        const revocations = await tenant.revocations.list();
+        return ok({
+            ...this.certificates.issueRevocationList({ tenant: tenant.id, revocations }),
+            count: revocations.length
+        });
+    }
+
+    async auditEntries({ query, tenant }) {
+        const { proofId, proofHash, route, decision, since, before, limit } = query;
+
+        const entries = await this.auditLog.query({
+            tenant: tenant.id,
+            proofId,
+            proofHash,
+            route,
+            decision,
+            since,
+            before,
+            limit: limit ? Number(limit) : undefined
+        });
+        return ok({ tenant: tenant.id, count: entries.length, entries });
+    }
+
+    async selfExclusionStatus({ query }) {
+        const { identity } = query;
+
+        const exclusion = await this.selfExclusions.check([identity]);
+        return ok(exclusion ? { excluded: true, ...exclusion } : { excluded: false });
+    }
+
+    async residencySet({ query, tenant }) {
+        const set = this.resolveResidencySet(tenant, query.name, 'name');
+        if (set.error) {
+            return set.error;
+        }
+        const tree = await buildResidencyTree(set.codes);
+
+        return ok({
+            name: set.name,
+            jurisdictions: set.codes,
+            regionCodes: set.codes.map(regionCode),
+            regionsRoot: tree.root,
+            rules: set.rules
+        });
+    }
+
+    async generateResidencyProof({ body, tenant }) {
+        const {
+            birthYear,
+            birthMonth,
+            birthDay,
+            identitySecret,
+            identityCommitment,
+            attestation,
+            jurisdiction,
+            residencySet,
+            walletAddress,
+            minAge
+        } = body;
+
+        const set = this.resolveResidencySet(tenant, residencySet);
+        if (set.error) {
+            return set.error;
+        }
+        const unattested = this.checkResidencyAttestation(attestation, identityCommitment);
+        if (unattested) {
+            return unattested;
+        }
+        const code = tenant.jurisdictions.canonicalCode(jurisdiction);
+        if (!set.codes.includes(code)) {
+            return fail(400, {
+                error: `jurisdiction is not in the residency set ${set.name}`,
+                code: 'JURISDICTION_NOT_ALLOWED'
+            });
+        }
+
+        const tree = await buildResidencyTree(set.codes);
+        const { pathElements, pathIndices } = residencyPath(tree, code);
+
+        const now = new Date();
+        const input = {
+            birth_year: birthYear,
+            birth_month: birthMonth,
+            birth_day: birthDay,
+            identity_secret: identitySecret,
+            region: regionCode(code),
+            path_elements: pathElements,
+            path_indices: pathIndices,
+            current_year: now.getFullYear(),
+            current_month: now.getMonth() + 1,
+            current_day: now.getDate(),
+            identity_commitment: identityCommitment,
+            // The strictest minimum age of the set, since any member may apply
+            min_age: Math.max(set.rules.minAge, minAge || 0),
+            operator_scope: tenant.operatorScope,
+            wallet_binding: walletBinding(walletAddress),
+            regions_root: tree.root
+        };
+
+        let generated;
+        try {
+            generated = await this.provingQueue.run(() => this.residencyProofBackend.generateProof(input));
+        } catch (error) {
+            if (error.code === 'PROVING_QUEUE_FULL') {
+                return tooManyRequests({ error: error.message, code: error.code }, error.retryAfterSeconds);
+            }
+            if (error.code === 'CIRCUIT_ARTIFACTS_MISSING' || error.code === 'INVALID_FIELD_ELEMENT') {
+                throw error;
+            }
+            console.error('Witness generation failed:', error.message);
+            return fail(400, { error: 'Inputs do not satisfy the residency verification circuit' });
+        }
+
+        const record = await this.storeProof(tenant, generated.proof, generated.publicSignals, {
+            set: set.name,
+            jurisdictions: set.codes,
+            regionsRoot: tree.root
+        });
+        if (record.error) {
+            return fail(record.error.status, { error: record.error.message, code: record.error.code });
+        }
+
+        console.log(`🎯 Residency proof generated: ${record.proofId} (Eligible: ${record.isEligible}, Set: ${set.codes.join(',')})`);
+
+        return ok({ ...this.proofResponse(record), residency: record.residency });
+    }
+
+    async submitResidencyProof({ body, tenant }) {
+        const { proof, publicSignals, attestation, residencySet } = body;
+
+        if (!this.isCurrentProofDate(publicSignals)) {
+            return fail(400, { error: 'Proof date does not match the current date' });
+        }
+
+        // The root in the proof must be the one for the named set
+        const set = this.resolveResidencySet(tenant, residencySet);
+        if (set.error) {
+            return set.error;
+        }
+        const tree = await buildResidencyTree(set.codes);
+        if (publicSignals[RESIDENCY_PUBLIC_SIGNALS.regionsRoot] !== tree.root) {
+            return fail(400, {
+                error: 'Proof was made for a different set of jurisdictions',
+                code: 'RESIDENCY_SET_MISMATCH'
+            });
+        }
+
+        const unattested = this.checkResidencyAttestation(
+            attestation,
+            publicSignals[RESIDENCY_PUBLIC_SIGNALS.identityCommitment]
+        );
+        if (unattested) {
+            return unattested;
+        }
+
+        const isValid = await this.residencyProofBackend.verifyProof(proof, publicSignals);
+        if (!isValid) {
+            return fail(400, { error: 'Invalid residency proof' });
+        }
+
+        const record = await this.storeProof(tenant, proof, publicSignals, {
+            set: set.name,
+            jurisdictions: set.codes,
+            regionsRoot: tree.root
+        });
+        if (record.error) {
+            return fail(record.error.status, { error: record.error.message, code: record.error.code });
+        }
+
+        console.log(`📥 Residency proof submitted: ${record.proofId} (Eligible: ${record.isEligible}, Set: ${set.codes.join(',')})`);
+
+        return ok({ ...this.proofResponse(record), residency: record.residency });
+    }
+
+    async generateEntityProof({ body, tenant }) {
+        const { entityId, secretKey, balance, timestamp, commitment, attestation, minBalance, walletAddress } = body;
+
+        const unattested = this.checkBalanceAttestation(attestation, commitment);
+        if (unattested) {
+            return unattested;
+        }
+
+        // The balance snapshot may not be dated after the proof
+        const input = {
+            entity_id: entityId,
+            secret_key: secretKey,
+            balance,
+            timestamp,
+            commitment,
+            min_balance_threshold: minBalance,
+            max_timestamp: Math.floor(Date.now() / 1000),
+            wallet_binding: walletBinding(walletAddress)
+        };
+
+        let generated;
+        try {
+            generated = await this.provingQueue.run(() => this.entityProofBackend.generateProof(input));
+        } catch (error) {
+            if (error.code === 'PROVING_QUEUE_FULL') {
+                return tooManyRequests({ error: error.message, code: error.code }, error.retryAfterSeconds);
+            }
+            if (error.code === 'CIRCUIT_ARTIFACTS_MISSING' || error.code === 'INVALID_FIELD_ELEMENT') {
+                throw error;
+            }
+            console.error('Witness generation failed:', error.message);
+            return fail(400, { error: 'Inputs do not satisfy the entity proof circuit' });
+        }
+
+        const record = await this.storeEntityProof(tenant, generated.proof, generated.publicSignals);
+
+        console.log(`🏦 Proof of funds generated: ${record.proofId} (Valid: ${record.validEntity})`);
+
+        return ok({
+            success: true,
+            proofId: record.proofId,
+            validEntity: record.validEntity,
+            minBalance: record.minBalance,
+            proofHash: record.proofHash,
+            expiresAt: record.expiresAt,
+            message: record.validEntity ?
+                'Proof of funds generated - balance meets the threshold' :
+                'Balance does not meet the threshold or is dated in the future'
+        });
+    }
+
+    async verifyEntityProof({ body, tenant }) {
+        const { proofId, proofHash, walletAddress, minBalance } = body;
+
+        const cachedProof = await this.findEntityProof(tenant, proofId, proofHash);
+        if (!cachedProof) {
+            return fail(404, { error: 'Proof of funds not found' });
+        }
+
+        if (walletBinding(walletAddress) !== cachedProof.walletBinding) {
+            return fail(403, {
+                error: 'Proof of funds is bound to a different wallet',
+                code: 'WALLET_MISMATCH',
+                isValid: false
+            });
+        }
+
+        if (isProofExpired(cachedProof)) {
+            return fail(410, {
+                error: 'Proof of funds has expired',
+                code: 'PROOF_EXPIRED',
+                isValid: false,
+                expiresAt: cachedProof.expiresAt
+            });
+        }
+
+        const isValid = await this.entityProofBackend.verifyProof(cachedProof.proof, cachedProof.publicSignals);
+
+        // The proven threshold must cover the operator's requirement
+        const meetsThreshold = isValid && cachedProof.validEntity &&
+            (minBalance === undefined || BigInt(cachedProof.minBalance) >= BigInt(minBalance));
+
+        console.log(`🔍 Proof of funds verification: ${cachedProof.proofId} (Valid: ${isValid}, Meets threshold: ${meetsThreshold})`);
+
+        return ok({
+            success: true,
+            isValid,
+            validEntity: cachedProof.validEntity,
+            meetsThreshold,
+            minBalance: cachedProof.minBalance,
+            maxTimestamp: cachedProof.maxTimestamp,
+            timestamp: cachedProof.timestamp,
+            expiresAt: cachedProof.expiresAt,
+            message: meetsThreshold ?
+                'Valid proof of funds - balance meets the threshold' :
+                'Invalid proof or balance below the required threshold'
+        });
+    }
+
+    async createApiKey({ body }) {
+        const { tenantId, label } = body;
+
+        if (!this.tenants.has(tenantId)) {
+            return fail(400, {
+                error: `Unknown tenant: ${tenantId} (configured: ${[...this.tenants.keys()].join(', ')})`,
+                code: 'UNKNOWN_TENANT'
+            });
+        }
+
+        const key = await this.apiKeys.create(tenantId, { label });
+
+        console.log(`🔑 API key ${key.keyId} created for tenant ${tenantId}`);
+
+        return ok({ success: true, ...key });
+    }
+
+    async revokeApiKey({ body }) {
+        const key = await this.apiKeys.revoke(body.keyId);
+        if (!key) {
+            return fail(404, { error: 'API key not found' });
+        }
+
+        console.log(`🚫 API key ${key.keyId} revoked for tenant ${key.tenantId}`);
+
+        return ok({ success: true, revoked: true, ...key });
+    }
+
+    /**
+     * Look up a player's proof for betting or deposits. Returns { proof },
+     * a { status, body } error, or { status, rejection } for the caller to
+     * wrap in its own response shape.
+     */
+    async findPlayerProof(tenant, { proofId, proofHash, walletAddress, jurisdiction }) {
+        const cachedProof = await this.findProof(tenant, proofId, proofHash);
+        if (!cachedProof) {
+            return fail(404, { error: 'Age verification proof not found' });
+        }
+
+        // Proofs are bound to the wallet they were generated for
+        if (walletBinding(walletAddress) !== cachedProof.walletBinding) {
+            return {
+                status: 403,
+                rejection: {
+                    code: 'WALLET_MISMATCH',
+                    reason: 'Age verification proof was generated for a different wallet'
+                }
+            };
+        }
+
+        if (isProofExpired(cachedProof)) {
+            return {
+                status: 410,
+                rejection: {
+                    code: 'PROOF_EXPIRED',
+                    reason: 'Age verification proof has expired',
+                    expiresAt: cachedProof.expiresAt
+                }
+            };
+        }
+
+        const revocation = await this.revocationFor(tenant, cachedProof);
+        if (revocation) {
+            return {
+                status: 403,
+                rejection: {
+                    code: 'PROOF_REVOKED',
+                    reason: 'Age verification proof has been revoked',
+                    revocationReason: revocation.reason,
+                    revokedAt: revocation.revokedAt
+                }
+            };
+        }
+
+        if (this.config.requireResidencyProof && !cachedProof.residency) {
+            return {
+                status: 403,
+                rejection: {
+                    code: 'RESIDENCY_PROOF_REQUIRED',
+                    reason: 'A residency proof is required - generate one with /api/residency/proof'
+                }
+            };
+        }
+
+        // A residency proof covers bets placed from its set only
+        if (cachedProof.residency && jurisdiction &&
+            !tenant.jurisdictions.isWithin(jurisdiction, cachedProof.residency.jurisdictions)) {
+            return {
+                status: 403,
+                rejection: {
+                    code: 'JURISDICTION_MISMATCH',
+                    reason: `Residency proof covers ${cachedProof.residency.jurisdictions.join(', ')}, not ${jurisdiction}`
+                }
+            };
+        }
+
+        const exclusion = await this.selfExclusions.check(this.exclusionKeys(cachedProof));
+        if (exclusion) {
+            return {
+                status: 403,
+                rejection: {
+                    code: 'SELF_EXCLUDED',
+                    reason: this.describeExclusion(exclusion),
+                    excludedUntil: exclusion.until,
+                    permanent: exclusion.permanent
+                }
+            };
+        }
+
+        return { proof: cachedProof };
+    }
+
+    proofResponse(record) {
+        return {
+            success: true,
+            proofId: record.proofId,
+            playerToken: record.playerToken,
+            isEligible: record.isEligible,
+            minAge: record.minAge,
+            age: record.age,
+            proofHash: record.proofHash,
+            expiresAt: record.expiresAt,
+            message: record.isEligible ?
+                'Age verification successful - eligible for sports betting' :
+                'Age verification failed - not eligible for sports betting'
+        };
+    }
+
+    isCurrentProofDate(publicSignals) {
+        const proofDate = Date.UTC(
+            Number(publicSignals[PUBLIC_SIGNALS.currentYear]),
+            Number(publicSignals[PUBLIC_SIGNALS.currentMonth]) - 1,
+            Number(publicSignals[PUBLIC_SIGNALS.currentDay])
+        );
+        const now = new Date();
+        const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+        // Allow one day either side for clients in other time zones
+        return Math.abs(proofDate - today) <= DAY_MS;
+    }
+
+    /**
+     * Record an age or residency proof; `residency` is { set, jurisdictions,
+     * regionsRoot } for residency proofs
+     */
+    async storeProof(tenant, proof, publicSignals, residency = null) {
+        if (publicSignals[PUBLIC_SIGNALS.operatorScope] !== tenant.operatorScope) {
+            return {
+                error: {
+                    status: 400,
+                    code: 'OPERATOR_SCOPE_MISMATCH',
+                    message: 'Proof was generated for a different operator'
+                }
+            };
+        }
+
+        // One identity per account and one account per identity, per operator
+        const nullifier = publicSignals[PUBLIC_SIGNALS.nullifier];
+        const boundWallet = publicSignals[PUBLIC_SIGNALS.walletBinding];
+
+        const revokedIdentity = await tenant.revocations.check([
+            { type: 'identity', id: nullifier },
+            { type: 'identity', id: publicSignals[PUBLIC_SIGNALS.identityCommitment] }
+        ]);
+        if (revokedIdentity) {
+            return {
+                error: {
+                    status: 403,
+                    code: 'IDENTITY_REVOKED',
+                    message: `Identity has been revoked (${revokedIdentity.reason})`
+                }
+            };
+        }
+
+        try {
+            await this.nullifiers.claim(nullifier, boundWallet, tenant.operatorScope);
+        } catch (error) {
+            if (error.code === 'IDENTITY_ALREADY_BOUND') {
+                console.warn(`⚠️  Nullifier ${nullifier.substring(0, 12)}… claimed by a second wallet`);
+                return { error };
+            }
+            if (error.code === 'WALLET_ALREADY_BOUND') {
+                console.warn(`⚠️  Wallet ${boundWallet.substring(0, 12)}… presented a second identity`);
+                return { error };
+            }
+            throw error;
+        }
+
+        const now = Date.now();
+        const expiresAt = computeProofExpiry({
+            issuedAt: now,
+            proofDate: {
+                year: Number(publicSignals[PUBLIC_SIGNALS.currentYear]),
+                month: Number(publicSignals[PUBLIC_SIGNALS.currentMonth]),
+                day: Number(publicSignals[PUBLIC_SIGNALS.currentDay])
+            },
+            lifetimeMs: this.proofLifetimeMs
+        });
+
+        const isEligible = publicSignals[PUBLIC_SIGNALS.isEligible] === '1';
+        const minAge = Number(publicSignals[PUBLIC_SIGNALS.minAge]);
+        const proofId = this.generateProofId({ proof, publicSignals });
+        const playerToken = randomBytes(32).toString('base64url');
+        const record = {
+            proof,
+            publicSignals,
+            proofHash: publicSignals[PUBLIC_SIGNALS.proofHash],
+            playerTokenHash: hashPlayerToken(playerToken),
+            nullifier,
+            identityCommitment: publicSignals[PUBLIC_SIGNALS.identityCommitment],
+            walletBinding: boundWallet,
+            timestamp: new Date(now).toISOString(),
+            expiresAt: new Date(expiresAt).toISOString(),
+            isEligible,
+            minAge,
+            age: isEligible ? `${minAge}+` : `under_${minAge}`,
+            residency
+        };
+
+        await tenant.proofStore.set(proofId, record, { ttlMs: storeTtlFor(expiresAt, now) });
+        // The player token goes back to the submitter once and is never stored
+        return { proofId, ...record, playerToken };
+    }
+
+    /**
+     * Whether `playerToken` is the one returned when the proof was stored
+     */
+    isPlayerToken(record, playerToken) {
+        return Boolean(playerToken && record.playerTokenHash) &&
+            secretsEqual(hashPlayerToken(playerToken), record.playerTokenHash);
+    }
+
+    /**
+     * Submit a stored age proof to the proof backend's ledger and keep the
+     * transaction hash on the record. Failures are reported in the result
+     * rather than thrown, since the proof itself is already stored.
+     */
+    async publishProof(tenant, { proofId, playerToken, ...record }, walletAddress) {
+        try {
+            const { transactionHash, networkId } = await this.proofBackend.submitVerification(record, walletAddress);
+            const network = { submitted: true, networkId, transactionHash };
+            await tenant.proofStore.set(proofId, { ...record, network }, {
+                ttlMs: storeTtlFor(Date.parse(record.expiresAt))
+            });
+            console.log(`📡 Proof ${proofId} submitted to ${networkId}: ${transactionHash}`);
+            return network;
+        } catch (error) {
+            console.error(`❌ Failed to submit proof ${proofId} to the network:`, error.message);
+            return { submitted: false, error: 'Failed to submit the verification to the network' };
+        }
+    }
+
+    async storeEntityProof(tenant, proof, publicSignals) {
+        const now = Date.now();
+        const expiresAt = computeProofExpiry({ issuedAt: now, lifetimeMs: this.proofLifetimeMs });
+        const proofId = this.generateProofId({ proof, publicSignals });
+        const record = {
+            proof,
+            publicSignals,
+            proofHash: publicSignals[ENTITY_PUBLIC_SIGNALS.proofHash],
+            commitment: publicSignals[ENTITY_PUBLIC_SIGNALS.commitment],
+            validEntity: publicSignals[ENTITY_PUBLIC_SIGNALS.validEntity] === '1',
+            minBalance: publicSignals[ENTITY_PUBLIC_SIGNALS.minBalance],
+            maxTimestamp: Number(publicSignals[ENTITY_PUBLIC_SIGNALS.maxTimestamp]),
+            walletBinding: publicSignals[ENTITY_PUBLIC_SIGNALS.walletBinding],
+            timestamp: new Date(now).toISOString(),
+            expiresAt: new Date(expiresAt).toISOString()
+        };
+
+        await tenant.entityProofStore.set(proofId, record, { ttlMs: storeTtlFor(expiresAt, now) });
+        return { proofId, ...record };
+    }
+
+    async findEntityProof(tenant, proofId, proofHash) {
+        return proofId ?
+            tenant.entityProofStore.get(proofId) :
+            tenant.entityProofStore.getByHash(proofHash);
+    }
+
+    backendFor(record) {
+        return record.residency ? this.residencyProofBackend : this.proofBackend;
+    }
+
+    /**
+     * Rules for a player's proof: the strictest rules of a proven residency
+     * set, otherwise the jurisdiction named in the request
+     */
+    rulesForProof(tenant, record, jurisdiction) {
+        if (record.residency) {
+            return tenant.jurisdictions.resolveSet(record.residency.jurisdictions);
+        }
+        return this.getJurisdictionRules(tenant, jurisdiction);
+    }
+
+    /**
+     * Member codes and strictest rules of one of the tenant's configured
+     * residency sets, or an { error } response for an unknown set
+     */
+    resolveResidencySet(tenant, name, field = 'residencySet') {
+        const codes = tenant.jurisdictions.residencySet(name);
+        if (!codes) {
+            const configured = tenant.jurisdictions.residencySetNames();
+            return {
+                error: invalidRequest([{
+                    code: 'UNKNOWN_RESIDENCY_SET',
+                    field,
+                    message: `Unknown residency set: ${name} (configured: ${configured.join(', ') || 'none'})`
+                }])
+            };
+        }
+        return { name, codes, rules: tenant.jurisdictions.resolveSet(codes) };
+    }
+
+    /**
+     * A 403 response unless a trusted issuer attested the identity commitment,
+     * otherwise null
+     */
+    checkResidencyAttestation(attestation, identityCommitment) {
+        let reason = null;
+        try {
+            const payload = verifyResidencyAttestation(attestation, this.residencyIssuers);
+            if (BigInt(payload.sub) !== BigInt(identityCommitment)) {
+                reason = 'the attestation is for a different commitment';
+            }
+        } catch (error) {
+            reason = error.message;
+        }
+        return reason && fail(403, {
+            error: `Residency commitment is not attested by a trusted issuer: ${reason}`,
+            code: 'RESIDENCY_NOT_ATTESTED'
+        });
+    }
+
+    /**
+     * A 403 response unless a trusted issuer attested the balance commitment,
+     * otherwise null
+     */
+    checkBalanceAttestation(attestation, commitment) {
+        let reason = null;
+        try {
+            const payload = verifyBalanceAttestation(attestation, this.balanceIssuers);
+            if (BigInt(payload.sub) !== BigInt(commitment)) {
+                reason = 'the attestation is for a different commitment';
+            }
+        } catch (error) {
+            reason = error.message;
+        }
+        return reason && fail(403, {
+            error: `Balance commitment is not attested by a trusted issuer: ${reason}`,
+            code: 'BALANCE_NOT_ATTESTED'
+        });
+    }
+
+    async findProof(tenant, proofId, proofHash) {
+        return proofId ?
+            tenant.proofStore.get(proofId) :
+            tenant.proofStore.getByHash(proofHash);
+    }
+
+    generateProofId(proof) {
+        const proofString = JSON.stringify(proof);
+        return createHash('sha256').update(proofString).digest('hex').substring(0, 16);
+    }
+
+    /**
+     * Append a route's decision to the audit log. Only the fields below are
+     * recorded, never the request itself, and request values only when the
+     * route's schema has validated them.
+     */
+    async recordAudit(route, { tenant, keyId }, body, result) {
+        const request = Object.fromEntries(Object.keys(route.schema.fields)
+            .filter((field) => body[field] !== undefined)
+            .map((field) => [field, body[field]]));
+        const { status } = result;
+        const response = result.body;
+
+        let { proofId = request.proofId, proofHash = request.proofHash } = response;
+        if (Boolean(proofId) !== Boolean(proofHash)) {
+            const record = await this.findProof(tenant, proofId, proofHash);
+            if (record) {
+                ({ proofId, proofHash } = record);
+            }
+        }
+
+        let decision = 'denied';
+        if (status >= 500) {
+            decision = 'error';
+        } else if (status < 300 && response[route.audit] === true && response.isEligible !== false) {
+            decision = 'allowed';
+        }
+
+        // The `jurisdiction` of a residency request is the player's region, which the proof keeps private
+        let requestJurisdiction = request.jurisdiction;
+        if (request.residencySet) {
+            requestJurisdiction = response.residency ?
+                response.residency.jurisdictions.join(',') :
+                request.residencySet;
+        }
+
+        await this.auditLog.append({
+            route: route.path,
+            tenant: tenant.id,
+            operator: tenant.operatorId,
+            apiKeyId: keyId,
+            proofId,
+            proofHash,
+            jurisdiction: response.jurisdiction || requestJurisdiction,
+            decision,
+            reason: response.code || response.reason || request.reason || response.error ||
+                (decision === 'denied' ? (response.isEligible === false ? 'NOT_ELIGIBLE' : 'INVALID_PROOF') : null),
+            status
+        });
+    }
+
+    /**
+     * Revocation of a proof record, directly or through its identity, or null
+     */
+    async revocationFor(tenant, record) {
+        return tenant.revocations.check([
+            { type: 'proof', id: record.proofHash },
+            ...this.identityKeys(record).map((id) => ({ type: 'identity', id }))
+        ]);
+    }
+
+    identityKeys(record) {
+        return [record.nullifier, record.identityCommitment];
+    }
+
+    /**
+     * Keys a self-exclusion is recorded and checked against: the identity,
+     * and the wallet, so a new identity secret does not lift it
+     */
+    exclusionKeys(record) {
+        return [...this.identityKeys(record), `wallet:${record.walletBinding}`];
+    }
+
+    /**
+     * Ledger keys a proof's wagers and deposits count against: its nullifier
+     * and its wallet at this tenant
+     */
+    wageringKeys(tenant, record) {
+        return [record.nullifier, `wallet:${tenant.operatorScope}:${record.walletBinding}`];
+    }
+
+    describeExclusion(exclusion) {
+        return exclusion.permanent ?
+            'Player has permanently self-excluded from betting' :
+            `Player has self-excluded from betting until ${exclusion.until}`;
+    }
+
+    getJurisdictionRules(tenant, jurisdiction) {
+        return tenant.jurisdictions.resolve(jurisdiction);
+    }
+
+    resolveMinAge(tenant, jurisdiction, requestedMinAge) {
+        const jurisdictionMinAge = this.getJurisdictionRules(tenant, jurisdiction).minAge;
+        return Math.max(jurisdictionMinAge, requestedMinAge || 0);
+    }
+
+    checkBettingEligibility(bettingAmount, rules, wagerUsage) {
+        if (rules.restricted) {
+            return {
+                eligible: false,
+                reason: 'Sports betting restricted in this jurisdiction'
+            };
+        }
+
+        if (bettingAmount > rules.maxBet) {
+            return {
+                eligible: false,
+                reason: `Betting amount exceeds maximum allowed (${rules.maxBet.toLocaleString()} ${rules.currency})`
+            };
+        }
+
+        const exceeded = this.wagering.findExceededWindow(rules.wagerLimits, wagerUsage, bettingAmount);
+        if (exceeded) {
+            const remaining = Math.max(rules.wagerLimits[exceeded] - wagerUsage[exceeded], 0);
+            return {
+                eligible: false,
+                reason: `Betting amount exceeds ${exceeded} wager limit (${remaining.toLocaleString()} ${rules.currency} remaining)`
+            };
+        }
+
+        return {
+            eligible: true,
+            reason: 'All eligibility requirements met'
+        };
+    }
+
+    close() {
+        for (const rules of this.ruleSets) {
+            rules.close();
+        }
+    }
+}
+
+module.exports = {
+    PUBLIC_SIGNALS,
+    RESIDENCY_PUBLIC_SIGNALS,
+    ENTITY_PUBLIC_SIGNALS,
+    MAX_MIN_AGE,
+    ROUTES,
+    DEFAULT_TENANT,
+    TENANT_HEADER,
+    GapService
+};
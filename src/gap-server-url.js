@@ -0,0 +1,5 @@
+/**
+ * Base URL of the GAP server for the React app
+ * Set REACT_APP_GAP_SERVER_URL at build time (or in .env) to point elsewhere.
+ */
+export const GAP_SERVER_URL = (process.env.REACT_APP_GAP_SERVER_URL || 'http://localhost:6300').replace(/\/+$/, '');
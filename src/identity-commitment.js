@@ -0,0 +1,78 @@
+const { buildPoseidon } = require('circomlibjs');
+
+/**
+ * Identity commitments compatible with the `identity_hasher` in
+ * circuits/age_verification.circom: Poseidon(birth_year, birth_month, birth_day, identity_secret)
+ */
+
+// BN254 scalar field modulus used by circom and snarkjs
+const FIELD_MODULUS = BigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617');
+
+let poseidonPromise = null;
+
+/**
+ * Build the Poseidon hasher once and share it across calls
+ */
+function getPoseidon() {
+    if (!poseidonPromise) {
+        poseidonPromise = buildPoseidon();
+    }
+    return poseidonPromise;
+}
+
+/**
+ * Convert a number, bigint or decimal string into a field element
+ */
+function toFieldElement(value, name = 'value') {
+    let element;
+    try {
+        if (typeof value === 'number' && !Number.isSafeInteger(value)) {
+            throw new Error('not an integer');
+        }
+        if (typeof value === 'string' && !/^\d+$/.test(value.trim())) {
+            throw new Error('not a decimal integer');
+        }
+        element = BigInt(typeof value === 'string' ? value.trim() : value);
+    } catch (error) {
+        const invalid = new Error(`${name} must be a non-negative integer field element`);
+        invalid.code = 'INVALID_FIELD_ELEMENT';
+        invalid.field = name;
+        throw invalid;
+    }
+
+    if (element < 0n || element >= FIELD_MODULUS) {
+        const invalid = new Error(`${name} must be less than the BN254 field modulus`);
+        invalid.code = 'INVALID_FIELD_ELEMENT';
+        invalid.field = name;
+        throw invalid;
+    }
+
+    return element;
+}
+
+/**
+ * Poseidon hash over field elements, returned as a decimal field string
+ */
+async function poseidonHash(inputs) {
+    const poseidon = await getPoseidon();
+    return poseidon.F.toString(poseidon(inputs));
+}
+
+/**
+ * Generate the identity commitment the age circuit checks against
+ */
+async function generateIdentityCommitment(birthYear, birthMonth, birthDay, identitySecret) {
+    return poseidonHash([
+        toFieldElement(birthYear, 'birthYear'),
+        toFieldElement(birthMonth, 'birthMonth'),
+        toFieldElement(birthDay, 'birthDay'),
+        toFieldElement(identitySecret, 'identitySecret')
+    ]);
+}
+
+module.exports = {
+    FIELD_MODULUS,
+    toFieldElement,
+    poseidonHash,
+    generateIdentityCommitment
+};
@@ -0,0 +1,287 @@
+const fs = require('fs');
+const { LIMIT_WINDOWS } = require('./wagering-limits');
+const { MAX_RESIDENCY_SET_SIZE } = require('./residency');
+
+/**
+ * Data-driven jurisdiction rules
+ *
+ * Rules are read from a JSON file (config/jurisdictions.json) keyed by ISO
+ * 3166 country or subdivision code. A region inherits every field it does
+ * not set from its `parent`, and ultimately from `default`; wagering and
+ * deposit limits are inherited window by window. `residencySets` names the
+ * sets of jurisdictions players may prove residency in. The file is watched
+ * and reloaded on change; a broken edit keeps the last good rules.
+ */
+
+const RULE_FIELDS = ['minAge', 'maxBet', 'currency', 'restricted'];
+const LIMIT_FIELDS = ['wagerLimits', 'depositLimits'];
+const RESIDENCY_SET_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+class JurisdictionRules {
+    constructor({ filePath, watch = true }) {
+        this.filePath = filePath;
+        this.rules = null;
+        this.load();
+
+        if (watch) {
+            this.onFileChange = () => this.reload();
+            fs.watchFile(this.filePath, { interval: 1000 }, this.onFileChange).unref();
+        }
+    }
+
+    load() {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.validate(data);
+
+        const previous = this.rules;
+        this.rules = {
+            default: data.default,
+            aliases: data.aliases || {},
+            regions: data.regions || {},
+            residencySets: {}
+        };
+        try {
+            this.rules.residencySets = this.buildResidencySets(data.residencySets || {});
+        } catch (error) {
+            this.rules = previous;
+            throw error;
+        }
+    }
+
+    reload() {
+        try {
+            this.load();
+            console.log(`🌍 Jurisdiction rules reloaded from ${this.filePath}`);
+        } catch (error) {
+            console.error(`❌ Failed to reload jurisdiction rules, keeping previous rules: ${error.message}`);
+        }
+    }
+
+    validate(data) {
+        if (!data.default) {
+            throw new Error('Jurisdiction rules must define "default"');
+        }
+        for (const field of RULE_FIELDS) {
+            if (data.default[field] === undefined) {
+                throw new Error(`Default jurisdiction rules are missing "${field}"`);
+            }
+        }
+
+        const regions = data.regions || {};
+        this.validateLimits('default', data.default);
+        for (const [code, region] of Object.entries(regions)) {
+            this.validateLimits(code, region);
+
+            // Walk the parent chain to catch unknown parents and cycles
+            const seen = new Set([code]);
+            let parent = region.parent;
+            while (parent) {
+                if (!regions[parent]) {
+                    throw new Error(`Jurisdiction ${code} has unknown parent ${parent}`);
+                }
+                if (seen.has(parent)) {
+                    throw new Error(`Jurisdiction ${code} has a circular parent chain`);
+                }
+                seen.add(parent);
+                parent = regions[parent].parent;
+            }
+        }
+
+        for (const [name, codes] of Object.entries(data.residencySets || {})) {
+            if (!RESIDENCY_SET_NAME_PATTERN.test(name)) {
+                throw new Error(`Invalid residency set name "${name}" (lowercase letters, digits, - and _)`);
+            }
+            if (!Array.isArray(codes) || codes.length === 0 || codes.length > MAX_RESIDENCY_SET_SIZE) {
+                throw new Error(`Residency set ${name} needs 1 to ${MAX_RESIDENCY_SET_SIZE} jurisdictions`);
+            }
+            const unknown = codes.find((code) => !regions[code]);
+            if (unknown) {
+                throw new Error(`Residency set ${name} has unknown jurisdiction ${unknown}`);
+            }
+        }
+    }
+
+    /**
+     * Sorted member codes per residency set; throws for a set whose members
+     * use different currencies
+     */
+    buildResidencySets(sets) {
+        const built = {};
+        for (const [name, codes] of Object.entries(sets)) {
+            try {
+                this.resolveSet(codes);
+            } catch (error) {
+                throw new Error(`Residency set ${name}: ${error.message}`);
+            }
+            built[name] = [...new Set(codes)].sort();
+        }
+        return built;
+    }
+
+    validateLimits(code, region) {
+        for (const field of LIMIT_FIELDS) {
+            for (const [window, limit] of Object.entries(region[field] || {})) {
+                if (!LIMIT_WINDOWS[window]) {
+                    throw new Error(`Jurisdiction ${code} has unknown ${field} window "${window}"`);
+                }
+                if (limit !== null && !(typeof limit === 'number' && limit >= 0)) {
+                    throw new Error(`Jurisdiction ${code} ${field}.${window} must be a non-negative number or null`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Canonical code for a requested jurisdiction, or null if unknown
+     */
+    canonicalCode(jurisdiction) {
+        if (!jurisdiction || jurisdiction === 'default') {
+            return null;
+        }
+
+        let code = String(jurisdiction).trim().toUpperCase();
+        code = this.rules.aliases[code] || code;
+        if (this.rules.regions[code]) {
+            return code;
+        }
+
+        // Unlisted subdivision (e.g. US-WY) falls back to its country
+        const country = code.split('-')[0];
+        return this.rules.regions[country] ? country : null;
+    }
+
+    /**
+     * Effective rules for a jurisdiction after inheritance
+     */
+    resolve(jurisdiction) {
+        const code = this.canonicalCode(jurisdiction);
+        if (!code) {
+            return {
+                code: 'default',
+                name: this.rules.default.name || 'default',
+                parent: null,
+                ...this.inherit({}, this.rules.default)
+            };
+        }
+
+        const chain = [];
+        for (let current = code; current; current = this.rules.regions[current].parent) {
+            chain.unshift(this.rules.regions[current]);
+        }
+
+        const resolved = chain.reduce(
+            (rules, region) => this.inherit(rules, region),
+            this.inherit({}, this.rules.default)
+        );
+
+        const region = this.rules.regions[code];
+        return {
+            code,
+            name: region.name || code,
+            parent: region.parent || null,
+            ...resolved
+        };
+    }
+
+    /**
+     * Strictest rules across a set of jurisdictions, for a player proven to
+     * live in one of them without revealing which: the highest minimum age,
+     * the lowest maximum bet and limits, and restricted if any member is.
+     * Throws MIXED_CURRENCIES when the members use different currencies.
+     */
+    resolveSet(jurisdictions) {
+        const members = jurisdictions.map((jurisdiction) => this.resolve(jurisdiction));
+        const currencies = [...new Set(members.map((rules) => rules.currency))];
+        if (currencies.length > 1) {
+            const error = new Error(`Jurisdictions in one set must share a currency (got ${currencies.join(', ')})`);
+            error.code = 'MIXED_CURRENCIES';
+            throw error;
+        }
+
+        const strictest = {};
+        for (const field of LIMIT_FIELDS) {
+            strictest[field] = this.emptyLimits();
+            for (const window of Object.keys(strictest[field])) {
+                const caps = members.map((rules) => rules[field][window]).filter((cap) => cap !== null);
+                strictest[field][window] = caps.length > 0 ? Math.min(...caps) : null;
+            }
+        }
+
+        return {
+            code: members.map((rules) => rules.code).join(','),
+            name: members.map((rules) => rules.name).join(' / '),
+            parent: null,
+            minAge: Math.max(...members.map((rules) => rules.minAge)),
+            maxBet: Math.min(...members.map((rules) => rules.maxBet)),
+            currency: currencies[0],
+            restricted: members.some((rules) => rules.restricted),
+            ...strictest
+        };
+    }
+
+    /**
+     * Member codes of a named residency set, or null if there is none
+     */
+    residencySet(name) {
+        return Object.prototype.hasOwnProperty.call(this.rules.residencySets, name) ?
+            this.rules.residencySets[name] :
+            null;
+    }
+
+    residencySetNames() {
+        return Object.keys(this.rules.residencySets).sort();
+    }
+
+    /**
+     * Whether a jurisdiction, or a region it belongs to, is one of `codes`
+     */
+    isWithin(jurisdiction, codes) {
+        for (let code = this.canonicalCode(jurisdiction); code; code = this.rules.regions[code].parent) {
+            if (codes.includes(code)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * All configured jurisdictions with their effective rules
+     */
+    list() {
+        return Object.keys(this.rules.regions)
+            .sort()
+            .map((code) => this.resolve(code));
+    }
+
+    /**
+     * Apply a region's own settings on top of the rules it inherits
+     */
+    inherit(rules, region) {
+        const inherited = { ...rules };
+        for (const field of RULE_FIELDS) {
+            if (region[field] !== undefined) {
+                inherited[field] = region[field];
+            }
+        }
+        for (const field of LIMIT_FIELDS) {
+            inherited[field] = { ...this.emptyLimits(), ...rules[field], ...region[field] };
+        }
+        return inherited;
+    }
+
+    emptyLimits() {
+        const limits = {};
+        for (const window of Object.keys(LIMIT_WINDOWS)) {
+            limits[window] = null;
+        }
+        return limits;
+    }
+
+    close() {
+        if (this.onFileChange) {
+            fs.unwatchFile(this.filePath, this.onFileChange);
+        }
+    }
+}
+
+module.exports = { JurisdictionRules };
@@ -0,0 +1,112 @@
+const { id } = require('ethers');
+const { FIELD_MODULUS, toFieldElement, poseidonHash } = require('./identity-commitment');
+
+/**
+ * Nullifiers and wallet binding for age proofs
+ *
+ * The age circuit outputs nullifier = Poseidon(identity_secret, operator_scope)
+ * and takes wallet_binding as a public input. The same identity therefore
+ * always produces the same nullifier at one operator (but unlinkable ones
+ * across operators), and every proof names the wallet it was made for.
+ */
+
+// Bindings last as long as an account; renewed each time a proof is stored
+const NULLIFIER_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Map an arbitrary string onto a field element (decimal string)
+ */
+function hashToField(value) {
+    return (BigInt(id(String(value))) % FIELD_MODULUS).toString();
+}
+
+/**
+ * Public operator scope fed into the circuit's nullifier hasher
+ */
+function operatorScope(operatorId) {
+    return hashToField(`gap-operator:${operatorId}`);
+}
+
+/**
+ * Public wallet binding fed into the circuit's wallet_binding input
+ */
+function walletBinding(walletAddress) {
+    return hashToField(`gap-wallet:${String(walletAddress).trim().toLowerCase()}`);
+}
+
+/**
+ * Compute the nullifier the circuit outputs for an identity secret and scope
+ */
+async function computeNullifier(identitySecret, scope) {
+    return poseidonHash([
+        toFieldElement(identitySecret, 'identitySecret'),
+        toFieldElement(scope, 'operatorScope')
+    ]);
+}
+
+/**
+ * Tracks which wallet each nullifier has been bound to, and which nullifier
+ * each wallet holds at each operator scope, so neither side can be rebound
+ */
+class NullifierRegistry {
+    constructor({ store, ttlMs = NULLIFIER_TTL_MS }) {
+        this.store = store;
+        this.ttlMs = ttlMs;
+    }
+
+    /**
+     * Bind a nullifier to a wallet at an operator scope; rejects when the
+     * identity already belongs to another wallet, or the wallet already
+     * holds another identity (a second secret). Both checks and both
+     * writes are one store update, so concurrent claims on this or another
+     * instance cannot both pass.
+     */
+    async claim(nullifier, boundWallet, scope) {
+        const walletKey = `wallet:${scope}:${boundWallet}`;
+        const now = new Date().toISOString();
+
+        await this.store.update([nullifier, walletKey], (records) => {
+            const existing = records[nullifier];
+            if (existing && existing.walletBinding !== boundWallet) {
+                const error = new Error('This identity is already verified for another account');
+                error.code = 'IDENTITY_ALREADY_BOUND';
+                error.status = 409;
+                throw error;
+            }
+
+            const wallet = records[walletKey];
+            if (wallet && wallet.nullifier !== nullifier) {
+                const error = new Error('This account is already verified with another identity');
+                error.code = 'WALLET_ALREADY_BOUND';
+                error.status = 409;
+                throw error;
+            }
+
+            return {
+                [nullifier]: {
+                    walletBinding: boundWallet,
+                    firstSeenAt: existing ? existing.firstSeenAt : now,
+                    lastSeenAt: now
+                },
+                [walletKey]: {
+                    nullifier,
+                    firstSeenAt: wallet ? wallet.firstSeenAt : now,
+                    lastSeenAt: now
+                }
+            };
+        }, { ttlMs: this.ttlMs });
+    }
+
+    async lookup(nullifier) {
+        return this.store.get(nullifier);
+    }
+}
+
+module.exports = {
+    NULLIFIER_TTL_MS,
+    hashToField,
+    operatorScope,
+    walletBinding,
+    computeNullifier,
+    NullifierRegistry
+};
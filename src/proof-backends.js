@@ -0,0 +1,532 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const snarkjs = require('snarkjs');
+const { generateIdentityCommitment, poseidonHash } = require('./identity-commitment');
+const { computeNullifier } = require('./nullifier');
+const { RESIDENCY_TREE_DEPTH } = require('./residency');
+const { MAX_AGE_YEARS, daysInMonth } = require('./validation');
+
+/**
+ * Proof backends used by the GAP service
+ *
+ * Every backend takes one circuit's input signals (the age circuit, the
+ * entity proof-of-funds circuit for the *Entity* backends, or the combined
+ * age and residency circuit for the *Residency* backends) and implements:
+ *   generateProof(input)                 { proof, publicSignals } in circuit order
+ *   verifyProof(proof, publicSignals)    boolean
+ *   checkArtifacts()                     throws CIRCUIT_ARTIFACTS_MISSING when not ready
+ *
+ * Backends that publish to a ledger (CompactProofBackend) also implement:
+ *   submitVerification(record, walletAddress)   { transactionHash, networkId }
+ *   queryVerification(proofHash)                on-ledger status
+ *
+ * createProofBackend(), createEntityProofBackend() and
+ * createResidencyProofBackend() build one by name from the server
+ * configuration.
+ */
+
+// Artifacts produced by `npm run compile-age-circuit` and `npm run generate-age-keys`
+const PROJECT_ROOT = path.join(__dirname, '..');
+const AGE_CIRCUIT_WASM = path.join(PROJECT_ROOT, 'build', 'circuits', 'age_verification_js', 'age_verification.wasm');
+const AGE_CIRCUIT_ZKEY = path.join(PROJECT_ROOT, 'age_verification_0001.zkey');
+const AGE_VERIFICATION_KEY = path.join(PROJECT_ROOT, 'age_verification_key.json');
+const SIMULATED_PROOF_KEY = path.join(PROJECT_ROOT, 'data', 'simulated-proof-key');
+
+// entity_proof.circom compares balances and timestamps as 64-bit integers
+const ENTITY_VALUE_BITS = 64;
+
+/**
+ * Real Groth16 proofs with snarkjs and a compiled circuit (the age circuit
+ * unless other artifacts are given)
+ */
+class SnarkjsProofBackend {
+    constructor({
+        wasmFile = AGE_CIRCUIT_WASM,
+        zkeyFile = AGE_CIRCUIT_ZKEY,
+        verificationKeyFile = AGE_VERIFICATION_KEY,
+        circuitName = 'age verification',
+        setupCommands = ['npm run compile-age-circuit', 'npm run generate-age-keys']
+    } = {}) {
+        this.wasmFile = wasmFile;
+        this.zkeyFile = zkeyFile;
+        this.verificationKeyFile = verificationKeyFile;
+        this.circuitName = circuitName;
+        this.setupCommands = setupCommands;
+        this.verificationKey = null;
+    }
+
+    async generateProof(input) {
+        console.log(`Generating ZK proof for ${this.circuitName}...`);
+        this.assertArtifacts([this.wasmFile, this.zkeyFile]);
+        return snarkjs.groth16.fullProve(input, this.wasmFile, this.zkeyFile);
+    }
+
+    async verifyProof(proof, publicSignals) {
+        console.log('Verifying ZK proof...');
+        return snarkjs.groth16.verify(this.loadVerificationKey(), publicSignals, proof);
+    }
+
+    checkArtifacts() {
+        this.assertArtifacts([this.wasmFile, this.zkeyFile, this.verificationKeyFile]);
+    }
+
+    loadVerificationKey() {
+        if (!this.verificationKey) {
+            this.assertArtifacts([this.verificationKeyFile]);
+            this.verificationKey = JSON.parse(fs.readFileSync(this.verificationKeyFile, 'utf8'));
+        }
+        return this.verificationKey;
+    }
+
+    assertArtifacts(files) {
+        const missing = files.filter((file) => !fs.existsSync(file));
+        if (missing.length > 0) {
+            const error = new Error(
+                `Missing ${this.circuitName} circuit artifacts: ${missing.join(', ')}. ` +
+                `Run ${this.setupCommands.map((command) => `\`${command}\``).join(' and ')} first.`
+            );
+            error.code = 'CIRCUIT_ARTIFACTS_MISSING';
+            throw error;
+        }
+    }
+}
+
+/**
+ * Simulated proofs for demos without circuit artifacts
+ *
+ * Public signals are computed exactly as the circuit would, but the proof
+ * itself is only an HMAC under a key kept in keyFile, so it verifies on
+ * this deployment and nowhere else.
+ */
+class SimulatedProofBackend {
+    constructor({ keyFile = SIMULATED_PROOF_KEY } = {}) {
+        this.macKey = loadOrCreateMacKey(keyFile);
+    }
+
+    async generateProof(input) {
+        // Reject inputs the circuit would reject, like a failed witness
+        if (!satisfiesDateConstraints(input)) {
+            throw new Error('Dates do not satisfy the age verification circuit');
+        }
+        const commitment = await generateIdentityCommitment(
+            input.birth_year, input.birth_month, input.birth_day, input.identity_secret
+        );
+        if (commitment !== String(input.identity_commitment)) {
+            throw new Error('Identity commitment does not match the birth date and secret');
+        }
+
+        const isEligible = eligibilitySignal(input);
+
+        const proofHash = await poseidonHash([
+            commitment,
+            isEligible,
+            input.current_year * 10000 + input.current_month * 100 + input.current_day
+        ]);
+        const nullifier = await computeNullifier(input.identity_secret, input.operator_scope);
+
+        const publicSignals = [
+            isEligible,
+            proofHash,
+            nullifier,
+            String(input.current_year),
+            String(input.current_month),
+            String(input.current_day),
+            commitment,
+            String(input.min_age),
+            String(input.operator_scope),
+            String(input.wallet_binding)
+        ];
+
+        return {
+            proof: {
+                protocol: 'simulated',
+                nonce: crypto.randomBytes(8).toString('hex'),
+                mac: this.mac(publicSignals)
+            },
+            publicSignals
+        };
+    }
+
+    async verifyProof(proof, publicSignals) {
+        if (!proof || proof.protocol !== 'simulated' || typeof proof.mac !== 'string') {
+            return false;
+        }
+        const expected = Buffer.from(this.mac(publicSignals), 'hex');
+        const actual = Buffer.from(proof.mac, 'hex');
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    checkArtifacts() {}
+
+    mac(publicSignals) {
+        return crypto.createHmac('sha256', this.macKey).update(JSON.stringify(publicSignals)).digest('hex');
+    }
+}
+
+/**
+ * Simulated proofs for circuits/residency_verification.circom: the age
+ * checks, a commitment that also covers the region, and a Merkle path from
+ * Poseidon(region) to regions_root
+ */
+class SimulatedResidencyProofBackend extends SimulatedProofBackend {
+    async generateProof(input) {
+        if (!satisfiesDateConstraints(input)) {
+            throw new Error('Dates do not satisfy the residency verification circuit');
+        }
+        const commitment = await poseidonHash([
+            input.birth_year, input.birth_month, input.birth_day, input.identity_secret, input.region
+        ]);
+        if (commitment !== String(input.identity_commitment)) {
+            throw new Error('Identity commitment does not match the birth date, secret and region');
+        }
+
+        // Walk the path like the circuit's MerkleRoot
+        let node = await poseidonHash([input.region]);
+        for (let level = 0; level < RESIDENCY_TREE_DEPTH; level++) {
+            const sibling = input.path_elements[level];
+            const isRight = String(input.path_indices[level]);
+            if (isRight !== '0' && isRight !== '1') {
+                throw new Error('Path indices must be 0 or 1');
+            }
+            node = await poseidonHash(isRight === '1' ? [sibling, node] : [node, sibling]);
+        }
+        if (node !== String(input.regions_root)) {
+            throw new Error('Region is not in the residency set');
+        }
+
+        const isEligible = eligibilitySignal(input);
+        const proofHash = await poseidonHash([
+            commitment,
+            isEligible,
+            input.current_year * 10000 + input.current_month * 100 + input.current_day,
+            input.regions_root
+        ]);
+        const nullifier = await computeNullifier(input.identity_secret, input.operator_scope);
+
+        const publicSignals = [
+            isEligible,
+            proofHash,
+            nullifier,
+            String(input.current_year),
+            String(input.current_month),
+            String(input.current_day),
+            commitment,
+            String(input.min_age),
+            String(input.operator_scope),
+            String(input.wallet_binding),
+            String(input.regions_root)
+        ];
+
+        return {
+            proof: {
+                protocol: 'simulated',
+                nonce: crypto.randomBytes(8).toString('hex'),
+                mac: this.mac(publicSignals)
+            },
+            publicSignals
+        };
+    }
+
+    mac(publicSignals) {
+        return super.mac(['residency_verification', ...publicSignals]);
+    }
+}
+
+/**
+ * Simulated proofs for circuits/entity_proof.circom, computed like the
+ * circuit: Poseidon(entity_id, secret_key, balance, timestamp) must match
+ * the commitment, and the entity is valid when the balance meets the
+ * threshold and the timestamp is not after max_timestamp. The proof hash
+ * covers the commitment, the result and every public input.
+ */
+class SimulatedEntityProofBackend extends SimulatedProofBackend {
+    async generateProof(input) {
+        const values = [input.balance, input.timestamp, input.min_balance_threshold, input.max_timestamp];
+        if (!values.every(isUnsigned64)) {
+            throw new Error('Balances and timestamps must be 64-bit unsigned integers');
+        }
+        const commitment = await poseidonHash([input.entity_id, input.secret_key, input.balance, input.timestamp]);
+        if (commitment !== String(input.commitment)) {
+            throw new Error('Commitment does not match the entity data');
+        }
+
+        const [balance, timestamp, minBalance, maxTimestamp] = values.map(BigInt);
+        const validEntity = balance >= minBalance && timestamp <= maxTimestamp ? '1' : '0';
+        const publicSignals = [
+            validEntity,
+            await poseidonHash([commitment, validEntity, minBalance, maxTimestamp, input.wallet_binding]),
+            commitment,
+            String(input.min_balance_threshold),
+            String(input.max_timestamp),
+            String(input.wallet_binding)
+        ];
+
+        return {
+            proof: {
+                protocol: 'simulated',
+                nonce: crypto.randomBytes(8).toString('hex'),
+                mac: this.mac(publicSignals)
+            },
+            publicSignals
+        };
+    }
+
+    // Separate the MAC domain so an age proof can never pass as an entity proof
+    mac(publicSignals) {
+        return super.mac(['entity_proof', ...publicSignals]);
+    }
+}
+
+/**
+ * Age proofs from the Compact runtime through CompactAgeVerification
+ *
+ * The Compact age circuit has the same public inputs and outputs as
+ * circuits/age_verification.circom, so its proofs carry the usual public
+ * signals. Verifications can also be submitted to and queried from the
+ * network's ledger. The 'mock' network runs in process (see
+ * src/compact-providers.js).
+ */
+class CompactProofBackend {
+    constructor({ networkId = 'mock', compact } = {}) {
+        // Required here rather than at the top: compact-providers requires this module
+        const CompactAgeVerification = require('./compact-integration');
+        this.networkId = networkId;
+        this.compact = compact || new CompactAgeVerification(networkId);
+        this.connecting = null;
+    }
+
+    async generateProof(input) {
+        if (!satisfiesDateConstraints(input)) {
+            throw new Error('Dates do not satisfy the age verification circuit');
+        }
+        await this.connect();
+
+        const { proof: compactProof } = await this.compact.generateAgeProof({
+            birthYear: input.birth_year,
+            birthMonth: input.birth_month,
+            birthDay: input.birth_day,
+            identitySecret: input.identity_secret,
+            identityCommitment: BigInt(input.identity_commitment)
+        }, {
+            year: input.current_year,
+            month: input.current_month,
+            day: input.current_day
+        }, {
+            minAge: input.min_age,
+            operatorScope: input.operator_scope,
+            walletBinding: input.wallet_binding
+        });
+
+        const { outputs } = compactProof;
+        const publicSignals = [
+            outputs.is_eligible ? '1' : '0',
+            outputs.proof_hash,
+            outputs.nullifier,
+            String(input.current_year),
+            String(input.current_month),
+            String(input.current_day),
+            String(input.identity_commitment),
+            String(input.min_age),
+            String(input.operator_scope),
+            String(input.wallet_binding)
+        ];
+
+        return {
+            proof: { protocol: 'compact', networkId: this.networkId, compact: compactProof },
+            publicSignals
+        };
+    }
+
+    async verifyProof(proof, publicSignals) {
+        if (!proof || proof.protocol !== 'compact' || proof.networkId !== this.networkId || !proof.compact) {
+            return false;
+        }
+        const [isEligible, proofHash, nullifier, year, month, day, commitment, minAge, scope, binding] = publicSignals;
+        const { outputs } = proof.compact;
+        if (!outputs || outputs.is_eligible !== (isEligible === '1') ||
+            outputs.proof_hash !== proofHash || outputs.nullifier !== nullifier) {
+            return false;
+        }
+        await this.connect();
+
+        // Same order as CompactAgeVerification.generateAgeProof()
+        return this.compact.verifyAgeProof(proof.compact, {
+            current_year: BigInt(year),
+            current_month: BigInt(month),
+            current_day: BigInt(day),
+            min_age: BigInt(minAge),
+            identity_commitment: BigInt(commitment),
+            operator_scope: BigInt(scope),
+            wallet_binding: BigInt(binding)
+        });
+    }
+
+    async submitVerification({ proof, proofHash, isEligible, timestamp }, walletAddress) {
+        await this.connect();
+        const { transactionHash, networkId } = await this.compact.submitVerificationToNetwork(
+            { proof: proof.compact, proofHash, isEligible, timestamp },
+            walletAddress
+        );
+        return { transactionHash, networkId };
+    }
+
+    async queryVerification(proofHash) {
+        await this.connect();
+        return this.compact.queryVerificationStatus(proofHash);
+    }
+
+    checkArtifacts() {}
+
+    /**
+     * Initialize the Compact runtime once; fails with COMPACT_UNAVAILABLE
+     * (and retries on the next call) when the network cannot be reached
+     */
+    async connect() {
+        if (!this.connecting) {
+            this.connecting = this.compact.initialize().then((initialized) => {
+                if (!initialized) {
+                    this.connecting = null;
+                    const error = new Error(`Compact runtime unavailable on network ${this.networkId}`);
+                    error.code = 'COMPACT_UNAVAILABLE';
+                    throw error;
+                }
+            });
+        }
+        return this.connecting;
+    }
+}
+
+function isUnsigned64(value) {
+    try {
+        const n = BigInt(value);
+        return n >= 0n && n < 2n ** BigInt(ENTITY_VALUE_BITS);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * The date checks of circuits/age_verification.circom: calendar-valid birth
+ * and current dates, birth date not after the current date and at most
+ * MAX_AGE_YEARS before it, and an 8-bit min_age
+ */
+function satisfiesDateConstraints(input) {
+    const [birthYear, birthMonth, birthDay, currentYear, currentMonth, currentDay, minAge] = [
+        input.birth_year, input.birth_month, input.birth_day,
+        input.current_year, input.current_month, input.current_day,
+        input.min_age
+    ].map(Number);
+
+    const isValidDate = (year, month, day) =>
+        [year, month, day].every(Number.isInteger) &&
+        year >= 0 && year < 4096 &&
+        month >= 1 && month <= 12 &&
+        day >= 1 && day <= daysInMonth(year, month);
+
+    return isValidDate(birthYear, birthMonth, birthDay) &&
+        isValidDate(currentYear, currentMonth, currentDay) &&
+        birthYear * 10000 + birthMonth * 100 + birthDay <= currentYear * 10000 + currentMonth * 100 + currentDay &&
+        birthYear + MAX_AGE_YEARS >= currentYear &&
+        Number.isInteger(minAge) && minAge >= 0 && minAge < 256;
+}
+
+/**
+ * The circuit's is_eligible output: '1' when the age reaches min_age
+ */
+function eligibilitySignal(input) {
+    const age = calculateAge(
+        Number(input.birth_year), Number(input.birth_month), Number(input.birth_day),
+        Number(input.current_year), Number(input.current_month), Number(input.current_day)
+    );
+    return age >= Number(input.min_age) ? '1' : '0';
+}
+
+function loadOrCreateMacKey(keyFile) {
+    if (fs.existsSync(keyFile)) {
+        return Buffer.from(fs.readFileSync(keyFile, 'utf8').trim(), 'hex');
+    }
+
+    const key = crypto.randomBytes(32);
+    fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+    fs.writeFileSync(keyFile, key.toString('hex'), { mode: 0o600 });
+    return key;
+}
+
+/**
+ * Proof backend by name ('snarkjs', 'simulated' or 'compact') with paths from config
+ */
+function createProofBackend(name, config) {
+    switch (name) {
+        case 'snarkjs':
+            return new SnarkjsProofBackend(config.circuit);
+        case 'simulated':
+            return new SimulatedProofBackend({ keyFile: config.simulatedProofKeyFile });
+        case 'compact':
+            return new CompactProofBackend(config.compact);
+        default:
+            throw new Error(`Unknown proof backend: ${name}`);
+    }
+}
+
+/**
+ * Age and residency backend by name, paired with createProofBackend()
+ */
+function createResidencyProofBackend(name, config) {
+    switch (name) {
+        case 'snarkjs':
+            return new SnarkjsProofBackend({
+                ...config.residencyCircuit,
+                circuitName: 'residency verification',
+                setupCommands: ['npm run compile-residency-circuit', 'npm run generate-residency-keys']
+            });
+        case 'simulated':
+            return new SimulatedResidencyProofBackend({ keyFile: config.simulatedProofKeyFile });
+        default:
+            throw new Error(`Unknown proof backend: ${name}`);
+    }
+}
+
+/**
+ * Proof-of-funds backend by name, paired with createProofBackend()
+ */
+function createEntityProofBackend(name, config) {
+    switch (name) {
+        case 'snarkjs':
+            return new SnarkjsProofBackend({
+                ...config.entityCircuit,
+                circuitName: 'entity proof',
+                setupCommands: ['npm run compile-circuits', 'npm run generate-keys']
+            });
+        case 'simulated':
+            return new SimulatedEntityProofBackend({ keyFile: config.simulatedProofKeyFile });
+        default:
+            throw new Error(`Unknown proof backend: ${name}`);
+    }
+}
+
+/**
+ * Completed years between a birth date and the current date
+ */
+function calculateAge(birthYear, birthMonth, birthDay, currentYear, currentMonth, currentDay) {
+    let age = currentYear - birthYear;
+    if (currentMonth < birthMonth || (currentMonth === birthMonth && currentDay < birthDay)) {
+        age--;
+    }
+    return age;
+}
+
+module.exports = {
+    AGE_CIRCUIT_WASM,
+    AGE_CIRCUIT_ZKEY,
+    AGE_VERIFICATION_KEY,
+    SnarkjsProofBackend,
+    SimulatedProofBackend,
+    SimulatedEntityProofBackend,
+    SimulatedResidencyProofBackend,
+    CompactProofBackend,
+    createProofBackend,
+    createEntityProofBackend,
+    createResidencyProofBackend,
+    calculateAge
+};
@@ -0,0 +1,51 @@
+/**
+ * Proof lifetime policy shared by the GAP servers
+ *
+ * A proof is valid for `lifetimeMs` after it was accepted, but never longer
+ * than `lifetimeMs` after the end of the date bound into it by the circuit
+ * (current_year/month/day), so an old proof cannot be refreshed by
+ * resubmitting it.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Matches the expires_at of CompactAgeVerification.createBettingCertificate
+const DEFAULT_PROOF_LIFETIME_MS = DAY_MS;
+
+// Expired proofs are kept this long so callers get PROOF_EXPIRED instead of 404
+const STALE_PROOF_RETENTION_MS = DAY_MS;
+
+/**
+ * Expiry timestamp (ms) for a proof accepted at `issuedAt` for `proofDate`
+ */
+function computeProofExpiry({ issuedAt = Date.now(), proofDate, lifetimeMs = DEFAULT_PROOF_LIFETIME_MS }) {
+    const issuedExpiry = issuedAt + lifetimeMs;
+    if (!proofDate) {
+        return issuedExpiry;
+    }
+
+    const proofDayEnd = Date.UTC(proofDate.year, proofDate.month - 1, proofDate.day) + DAY_MS;
+    return Math.min(issuedExpiry, proofDayEnd + lifetimeMs);
+}
+
+/**
+ * Whether a stored proof record is past its expiresAt
+ */
+function isProofExpired(record, now = Date.now()) {
+    return now > new Date(record.expiresAt).getTime();
+}
+
+/**
+ * Store TTL that keeps a record around a while after it expires
+ */
+function storeTtlFor(expiresAtMs, now = Date.now()) {
+    return Math.max(expiresAtMs - now, 0) + STALE_PROOF_RETENTION_MS;
+}
+
+module.exports = {
+    DEFAULT_PROOF_LIFETIME_MS,
+    STALE_PROOF_RETENTION_MS,
+    computeProofExpiry,
+    isProofExpired,
+    storeTtlFor
+};
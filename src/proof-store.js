@@ -0,0 +1,249 @@
+const fs = require('fs');
+const path = require('path');
+const { withFileLock } = require('./file-lock');
+
+/**
+ * Proof storage for the GAP servers
+ *
+ * Every backend implements the same async interface so the servers do not
+ * care where proofs live:
+ *   set(proofId, record, { ttlMs })  store a proof record (record.proofHash is indexed)
+ *   get(proofId)                     record or null when missing/expired
+ *   getByHash(proofHash)             record or null when missing/expired
+ *   delete(proofId)
+ *   update(proofIds, change, { ttlMs })  atomic read-modify-write, see below
+ *   purgeExpired()                   number of records removed
+ */
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Stores have no "forever"; records that must never expire (API keys,
+// revocations, permanent self-exclusions) are kept for a century
+const PERMANENT_TTL_MS = 100 * 365 * DEFAULT_TTL_MS;
+
+/**
+ * In-process store, wiped on restart
+ */
+class MemoryProofStore {
+    constructor({ ttlMs = DEFAULT_TTL_MS } = {}) {
+        this.ttlMs = ttlMs;
+        this.entries = new Map();
+        this.hashIndex = new Map();
+    }
+
+    async set(proofId, record, { ttlMs = this.ttlMs } = {}) {
+        this.setEntry(proofId, record, ttlMs);
+        return proofId;
+    }
+
+    setEntry(proofId, record, ttlMs) {
+        this.entries.set(proofId, {
+            record,
+            expiresAt: Date.now() + ttlMs
+        });
+        if (record.proofHash) {
+            this.hashIndex.set(record.proofHash, proofId);
+        }
+    }
+
+    /**
+     * Read several records and write changes to them as one step, so checks
+     * made on the records still hold when the changes land. `change` gets
+     * { [proofId]: record or null } and returns { [proofId]: newRecord } for
+     * the records to write, or throws to write nothing. It must be
+     * synchronous. Resolves to the written records.
+     */
+    async update(proofIds, change, { ttlMs = this.ttlMs } = {}) {
+        return this.updateEntries(proofIds, change, ttlMs);
+    }
+
+    updateEntries(proofIds, change, ttlMs) {
+        const now = Date.now();
+        const current = Object.fromEntries(proofIds.map((proofId) => {
+            const entry = this.entries.get(proofId);
+            return [proofId, entry && entry.expiresAt > now ? structuredClone(entry.record) : null];
+        }));
+        const changes = change(current) || {};
+        for (const [proofId, record] of Object.entries(changes)) {
+            this.setEntry(proofId, record, ttlMs);
+        }
+        return changes;
+    }
+
+    async get(proofId) {
+        const entry = this.entries.get(proofId);
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            await this.delete(proofId);
+            return null;
+        }
+        return { proofId, ...entry.record };
+    }
+
+    async getByHash(proofHash) {
+        const proofId = this.hashIndex.get(proofHash);
+        return proofId ? this.get(proofId) : null;
+    }
+
+    async delete(proofId) {
+        return this.deleteEntry(proofId);
+    }
+
+    deleteEntry(proofId) {
+        const entry = this.entries.get(proofId);
+        if (!entry) {
+            return false;
+        }
+        this.entries.delete(proofId);
+        if (entry.record.proofHash && this.hashIndex.get(entry.record.proofHash) === proofId) {
+            this.hashIndex.delete(entry.record.proofHash);
+        }
+        return true;
+    }
+
+    async purgeExpired() {
+        return this.removeExpired();
+    }
+
+    removeExpired(now = Date.now()) {
+        let removed = 0;
+        for (const [proofId, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.deleteEntry(proofId);
+                removed++;
+            }
+        }
+        return removed;
+    }
+}
+
+/**
+ * JSON file store that survives restarts and can be shared by several
+ * server instances on the same host. Every change re-reads the file, applies
+ * the change and rewrites it atomically while holding the file lock, so
+ * concurrent writers never drop each other's records. Expired records are
+ * dropped on every write, which keeps the file from growing without bound.
+ */
+class FileProofStore extends MemoryProofStore {
+    constructor({ filePath, ttlMs = DEFAULT_TTL_MS } = {}) {
+        super({ ttlMs });
+        if (!filePath) {
+            throw new Error('FileProofStore requires a filePath');
+        }
+        this.filePath = filePath;
+        this.loaded = { mtimeMs: 0, size: 0 };
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.reload();
+    }
+
+    reload() {
+        let stat;
+        try {
+            stat = fs.statSync(this.filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+        if (stat.mtimeMs === this.loaded.mtimeMs && stat.size === this.loaded.size) {
+            return;
+        }
+
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.entries = new Map(Object.entries(data.entries || {}));
+        this.hashIndex = new Map();
+        for (const [proofId, entry] of this.entries) {
+            if (entry.record.proofHash) {
+                this.hashIndex.set(entry.record.proofHash, proofId);
+            }
+        }
+        this.loaded = { mtimeMs: stat.mtimeMs, size: stat.size };
+    }
+
+    persist() {
+        const data = {
+            version: 1,
+            entries: Object.fromEntries(this.entries)
+        };
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data));
+        fs.renameSync(tmpPath, this.filePath);
+        const stat = fs.statSync(this.filePath);
+        this.loaded = { mtimeMs: stat.mtimeMs, size: stat.size };
+    }
+
+    /**
+     * Apply `change` to the latest file contents under the lock and write
+     * the result back, without the records that have expired meanwhile
+     */
+    async transact(change) {
+        return withFileLock(this.filePath, () => {
+            this.reload();
+            const result = change();
+            const purged = this.removeExpired();
+            if (result !== false || purged > 0) {
+                this.persist();
+            }
+            return result;
+        });
+    }
+
+    async set(proofId, record, { ttlMs = this.ttlMs } = {}) {
+        await this.transact(() => this.setEntry(proofId, record, ttlMs));
+        return proofId;
+    }
+
+    async get(proofId) {
+        this.reload();
+        return super.get(proofId);
+    }
+
+    async getByHash(proofHash) {
+        this.reload();
+        return super.getByHash(proofHash);
+    }
+
+    async delete(proofId) {
+        return this.transact(() => this.deleteEntry(proofId));
+    }
+
+    async update(proofIds, change, { ttlMs = this.ttlMs } = {}) {
+        return this.transact(() => this.updateEntries(proofIds, change, ttlMs));
+    }
+
+    async purgeExpired() {
+        return withFileLock(this.filePath, () => {
+            this.reload();
+            const removed = this.removeExpired();
+            if (removed > 0) {
+                this.persist();
+            }
+            return removed;
+        });
+    }
+}
+
+/**
+ * Create a proof store for the configured backend ('memory' or 'file')
+ */
+function createProofStore({ backend = 'memory', filePath, ttlMs } = {}) {
+    switch (backend) {
+        case 'memory':
+            return new MemoryProofStore({ ttlMs });
+        case 'file':
+            return new FileProofStore({ filePath, ttlMs });
+        default:
+            throw new Error(`Unknown proof store backend: ${backend}`);
+    }
+}
+
+module.exports = {
+    DEFAULT_TTL_MS,
+    PERMANENT_TTL_MS,
+    MemoryProofStore,
+    FileProofStore,
+    createProofStore
+};
@@ -0,0 +1,167 @@
+/**
+ * Abuse protection for the proof endpoints
+ *
+ * Token buckets limit how often one client (by IP, and also by API key
+ * when one is sent) may call the commitment and proof endpoints, which also
+ * slows down brute-forcing birth dates against a known commitment. The
+ * proving queue bounds how many proofs are generated at once and how many
+ * may wait, so a burst of requests cannot exhaust CPU or memory.
+ */
+
+// Buckets are pruned once this many clients are tracked
+const MAX_TRACKED_CLIENTS = 10000;
+
+/**
+ * One bucket per client key holding up to `capacity` tokens, refilled
+ * continuously at `capacity` tokens per `intervalMs`
+ */
+class TokenBucketLimiter {
+    constructor({ capacity, intervalMs = 60 * 1000 }) {
+        this.capacity = capacity;
+        this.refillPerMs = capacity / intervalMs;
+        this.buckets = new Map();
+    }
+
+    /**
+     * Take a token for a client; returns 0 when allowed, otherwise the
+     * seconds until the next token is available
+     */
+    take(client, now = Date.now()) {
+        const retryAfter = this.retryAfter(client, now);
+        if (retryAfter === 0) {
+            this.buckets.get(client).tokens -= 1;
+        }
+        return retryAfter;
+    }
+
+    /**
+     * Seconds until the client has a token, without taking it
+     */
+    retryAfter(client, now = Date.now()) {
+        const bucket = this.refill(client, now);
+        return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / this.refillPerMs / 1000);
+    }
+
+    refill(client, now) {
+        let bucket = this.buckets.get(client);
+        if (!bucket) {
+            if (this.buckets.size >= MAX_TRACKED_CLIENTS) {
+                this.prune(now);
+            }
+            bucket = { tokens: this.capacity, updatedAt: now };
+            this.buckets.set(client, bucket);
+        }
+
+        bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs);
+        bucket.updatedAt = now;
+        return bucket;
+    }
+
+    /**
+     * Forget clients whose buckets have refilled; they start full anyway
+     */
+    prune(now = Date.now()) {
+        for (const [client, bucket] of this.buckets) {
+            if (bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs >= this.capacity) {
+                this.buckets.delete(client);
+            }
+        }
+    }
+}
+
+/**
+ * Per-IP and per-API-key limits for rate-limited routes
+ */
+class RateLimiter {
+    constructor({ perIpPerMinute, perApiKeyPerMinute }) {
+        this.byIp = new TokenBucketLimiter({ capacity: perIpPerMinute });
+        this.byApiKey = new TokenBucketLimiter({ capacity: perApiKeyPerMinute });
+    }
+
+    /**
+     * Seconds the client must wait, or 0 when the request may proceed.
+     * A request is charged to its IP and, with a key, to the key as well;
+     * a refused request is charged to neither.
+     */
+    take({ ip, keyId }, now = Date.now()) {
+        const charges = [[this.byIp, ip || 'unknown']];
+        if (keyId) {
+            charges.push([this.byApiKey, keyId]);
+        }
+
+        const retryAfter = Math.max(...charges.map(([limiter, client]) => limiter.retryAfter(client, now)));
+        if (retryAfter === 0) {
+            charges.forEach(([limiter, client]) => limiter.take(client, now));
+        }
+        return retryAfter;
+    }
+}
+
+/**
+ * Runs at most `concurrency` proving tasks at once with up to `maxQueued`
+ * waiting; further tasks are rejected with PROVING_QUEUE_FULL
+ */
+class ProvingQueue {
+    constructor({ concurrency, maxQueued }) {
+        this.concurrency = concurrency;
+        this.maxQueued = maxQueued;
+        this.running = 0;
+        this.waiting = [];
+        // Moving average of task duration, for Retry-After estimates
+        this.averageMs = 1000;
+    }
+
+    async run(task) {
+        if (this.running >= this.concurrency) {
+            if (this.waiting.length >= this.maxQueued) {
+                const error = new Error('Proof generation queue is full');
+                error.code = 'PROVING_QUEUE_FULL';
+                error.status = 429;
+                error.retryAfterSeconds = this.estimateWaitSeconds();
+                throw error;
+            }
+            // A finishing task hands its slot straight to the next waiter
+            await new Promise((resolve) => this.waiting.push(resolve));
+        } else {
+            this.running++;
+        }
+
+        const startedAt = Date.now();
+        try {
+            return await task();
+        } finally {
+            this.averageMs = 0.8 * this.averageMs + 0.2 * (Date.now() - startedAt);
+            const next = this.waiting.shift();
+            if (next) {
+                next();
+            } else {
+                this.running--;
+            }
+        }
+    }
+
+    estimateWaitSeconds() {
+        const rounds = (this.waiting.length + this.running) / this.concurrency;
+        return Math.max(1, Math.ceil(rounds * this.averageMs / 1000));
+    }
+}
+
+/**
+ * Client IP. Behind a trusted reverse proxy this is the last
+ * X-Forwarded-For entry, the one the proxy appended; earlier entries come
+ * from the client and can be forged.
+ */
+function clientIp({ headers = {}, remoteAddress }, trustProxy) {
+    const forwarded = headers['x-forwarded-for'];
+    if (trustProxy && forwarded) {
+        return forwarded.split(',').pop().trim();
+    }
+    return remoteAddress;
+}
+
+module.exports = {
+    TokenBucketLimiter,
+    RateLimiter,
+    ProvingQueue,
+    clientIp
+};
@@ -0,0 +1,74 @@
+const { CertificateIssuer, verifyToken, loadIssuerKeys } = require('./certificates');
+const { generateResidencyCommitment } = require('./residency');
+
+/**
+ * Issuer attestations for residency commitments
+ *
+ * The residency circuit can only prove what was committed, so the
+ * commitment has to come from an issuer that checked the player's birth
+ * date and address (a KYC provider). The issuer computes
+ * Poseidon(birthYear, birthMonth, birthDay, identitySecret, region) itself
+ * and signs it as an Ed25519 JWS with typ "residency-attestation+jwt" and
+ * the commitment as `sub`. The region stays between the player and the
+ * issuer; the GAP server only accepts residency proofs whose identity
+ * commitment carries an attestation from a key in its issuer JWKS.
+ */
+
+const RESIDENCY_ATTESTATION_TYPE = 'residency-attestation+jwt';
+const DEFAULT_ATTESTATION_LIFETIME_MS = 365 * 24 * 60 * 60 * 1000;
+
+class ResidencyAttestor {
+    constructor({ keyFile, issuer, lifetimeMs = DEFAULT_ATTESTATION_LIFETIME_MS } = {}) {
+        this.signer = new CertificateIssuer({ keyFile, issuer, lifetimeMs });
+    }
+
+    /**
+     * Commit to a checked birth date and region (a canonical jurisdiction
+     * code) under the player's identity secret, and sign the commitment
+     */
+    async attest({ birthYear, birthMonth, birthDay, identitySecret, jurisdiction }) {
+        const commitment = await generateResidencyCommitment(birthYear, birthMonth, birthDay, identitySecret, jurisdiction);
+        const now = Date.now();
+        const payload = {
+            iss: this.signer.issuer,
+            sub: commitment,
+            iat: Math.floor(now / 1000),
+            exp: Math.floor((now + this.signer.lifetimeMs) / 1000)
+        };
+
+        return {
+            token: this.signer.sign(payload, RESIDENCY_ATTESTATION_TYPE),
+            commitment,
+            expiresAt: new Date(payload.exp * 1000).toISOString()
+        };
+    }
+
+    /**
+     * Public keys for the GAP server's residency issuer JWKS
+     */
+    jwks() {
+        return this.signer.jwks();
+    }
+}
+
+/**
+ * Verify an attestation against the trusted issuer keys; returns the
+ * payload or throws
+ */
+function verifyResidencyAttestation(token, jwks, options = {}) {
+    return verifyToken(token, jwks, { typ: RESIDENCY_ATTESTATION_TYPE, kind: 'residency attestation' }, options);
+}
+
+/**
+ * Trusted issuer keys from a JWKS file ({ "keys": [...] })
+ */
+function loadResidencyIssuers(filePath) {
+    return loadIssuerKeys(filePath, 'residency');
+}
+
+module.exports = {
+    RESIDENCY_ATTESTATION_TYPE,
+    ResidencyAttestor,
+    verifyResidencyAttestation,
+    loadResidencyIssuers
+};
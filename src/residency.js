@@ -0,0 +1,80 @@
+const { poseidonHash } = require('./identity-commitment');
+
+/**
+ * Residency sets for circuits/residency_verification.circom
+ *
+ * An allowed set of jurisdictions is a Poseidon(2) Merkle tree of depth
+ * RESIDENCY_TREE_DEPTH whose leaves are Poseidon(regionCode(code)) for the
+ * sorted canonical codes, padded with zero leaves. The same codes always
+ * give the same root, so the root identifies the set.
+ */
+
+// Must match AgeResidencyVerification(150, depth) in the circuit
+const RESIDENCY_TREE_DEPTH = 6;
+const MAX_RESIDENCY_SET_SIZE = 2 ** RESIDENCY_TREE_DEPTH;
+
+/**
+ * Jurisdiction code as a field element: its ASCII bytes read as a big-endian integer
+ */
+function regionCode(code) {
+    return BigInt(`0x${Buffer.from(String(code), 'ascii').toString('hex')}`).toString();
+}
+
+/**
+ * Merkle tree over a set of canonical jurisdiction codes
+ */
+async function buildResidencyTree(codes) {
+    const sorted = [...new Set(codes)].sort();
+    if (sorted.length === 0 || sorted.length > MAX_RESIDENCY_SET_SIZE) {
+        throw new Error(`A residency set needs 1 to ${MAX_RESIDENCY_SET_SIZE} jurisdictions`);
+    }
+
+    const leaves = await Promise.all(sorted.map((code) => poseidonHash([regionCode(code)])));
+    const levels = [[...leaves, ...new Array(MAX_RESIDENCY_SET_SIZE - leaves.length).fill('0')]];
+    for (let depth = 0; depth < RESIDENCY_TREE_DEPTH; depth++) {
+        const nodes = levels[depth];
+        const parents = [];
+        for (let i = 0; i < nodes.length; i += 2) {
+            parents.push(await poseidonHash([nodes[i], nodes[i + 1]]));
+        }
+        levels.push(parents);
+    }
+
+    return { codes: sorted, root: levels[RESIDENCY_TREE_DEPTH][0], levels };
+}
+
+/**
+ * Authentication path for one code of a tree, as circuit inputs
+ */
+function residencyPath(tree, code) {
+    let index = tree.codes.indexOf(code);
+    if (index === -1) {
+        throw new Error(`${code} is not in the residency set`);
+    }
+
+    const pathElements = [];
+    const pathIndices = [];
+    for (let depth = 0; depth < RESIDENCY_TREE_DEPTH; depth++) {
+        pathElements.push(tree.levels[depth][index ^ 1]);
+        pathIndices.push(index & 1);
+        index >>= 1;
+    }
+    return { pathElements, pathIndices };
+}
+
+/**
+ * Commitment the residency circuit checks against:
+ * Poseidon(birth_year, birth_month, birth_day, identity_secret, region)
+ */
+async function generateResidencyCommitment(birthYear, birthMonth, birthDay, identitySecret, code) {
+    return poseidonHash([birthYear, birthMonth, birthDay, identitySecret, regionCode(code)]);
+}
+
+module.exports = {
+    RESIDENCY_TREE_DEPTH,
+    MAX_RESIDENCY_SET_SIZE,
+    regionCode,
+    buildResidencyTree,
+    residencyPath,
+    generateResidencyCommitment
+};
@@ -0,0 +1,109 @@
+const { PERMANENT_TTL_MS } = require('./proof-store');
+
+/**
+ * Revocation registry
+ *
+ * Operators revoke single proofs (by proof hash), whole identities (by
+ * nullifier and identity commitment, so new proofs for the identity are
+ * refused too) and betting certificates (by certificate id). Revocations
+ * are permanent and keep the first reason given. The full list is
+ * published, signed, as the revocation status list. Issued certificates
+ * are recorded until they expire, so only those can be revoked.
+ */
+
+const REVOCATION_REASONS = [
+    'FRAUDULENT_IDENTITY',
+    'COURT_ORDER',
+    'SECRET_COMPROMISED',
+    'OPERATOR_REQUEST'
+];
+
+const REVOCATION_TYPES = ['proof', 'identity', 'certificate'];
+
+// One record holds every revocation, so the status list is a single read
+const REVOCATIONS_KEY = 'revocations';
+
+class RevocationRegistry {
+    constructor({ store }) {
+        this.store = store;
+    }
+
+    /**
+     * Revoke every { type, id } target; returns the revocations, including
+     * earlier ones for targets that were already revoked
+     */
+    async revoke(targets, { reason, now = Date.now() }) {
+        const revokedAt = new Date(now).toISOString();
+        const keyed = targets.filter((target) => target.id)
+            .map(({ type, id }) => ({ type, id: String(id), key: revocationKey(type, id) }));
+
+        // Read and written as one step, so concurrent revocations cannot drop each other
+        const written = await this.store.update([REVOCATIONS_KEY], (current) => {
+            const revocations = { ...(current[REVOCATIONS_KEY] && current[REVOCATIONS_KEY].revocations) };
+            for (const { type, id, key } of keyed) {
+                if (!revocations[key]) {
+                    revocations[key] = { type, id, reason, revokedAt };
+                }
+            }
+            return { [REVOCATIONS_KEY]: { revocations } };
+        }, { ttlMs: PERMANENT_TTL_MS });
+
+        return keyed.map(({ key }) => written[REVOCATIONS_KEY].revocations[key]);
+    }
+
+    /**
+     * Record a certificate issued for a proof, until it expires
+     */
+    async recordCertificate({ certificateId, proofHash, expiresAt }, now = Date.now()) {
+        await this.store.set(`issued:${certificateId}`, { proofHash, expiresAt }, {
+            ttlMs: new Date(expiresAt).getTime() - now
+        });
+    }
+
+    /**
+     * An unexpired certificate issued by this tenant, as { proofHash, expiresAt }, or null
+     */
+    async issuedCertificate(certificateId) {
+        const record = await this.store.get(`issued:${certificateId}`);
+        return record ? { proofHash: record.proofHash, expiresAt: record.expiresAt } : null;
+    }
+
+    /**
+     * First revocation covering any of the { type, id } targets, or null
+     */
+    async check(targets) {
+        const revocations = await this.load();
+        for (const { type, id } of targets.filter((target) => target.id)) {
+            const revocation = revocations[revocationKey(type, id)];
+            if (revocation) {
+                return revocation;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Every revocation, oldest first
+     */
+    async list() {
+        return Object.values(await this.load())
+            .sort((a, b) => a.revokedAt.localeCompare(b.revokedAt));
+    }
+
+    async load() {
+        const record = await this.store.get(REVOCATIONS_KEY);
+        return { ...(record && record.revocations) };
+    }
+}
+
+function revocationKey(type, id) {
+    if (!REVOCATION_TYPES.includes(type)) {
+        throw new Error(`Unknown revocation type: ${type}`);
+    }
+    return `${type}:${id}`;
+}
+
+module.exports = {
+    REVOCATION_REASONS,
+    RevocationRegistry
+};
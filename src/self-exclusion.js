@@ -0,0 +1,75 @@
+const { PERMANENT_TTL_MS } = require('./proof-store');
+
+/**
+ * Self-exclusion registry
+ *
+ * Players can exclude themselves from betting for a fixed period or
+ * permanently. Exclusions are recorded against the identity commitment,
+ * the nullifier and the wallet binding of the player's proof, so neither a
+ * new proof for the same identity nor a new identity secret for the same
+ * wallet lifts them. An active exclusion can be extended but never
+ * shortened or lifted early.
+ */
+
+const MAX_EXCLUSION_DAYS = 5 * 365;
+
+class SelfExclusionRegistry {
+    constructor({ store }) {
+        this.store = store;
+    }
+
+    /**
+     * Exclude every given identity key for durationMs, or permanently
+     */
+    async exclude(identities, { durationMs, permanent = false, now = Date.now() }) {
+        const existing = await this.check(identities, now);
+        const isPermanent = permanent || Boolean(existing && existing.permanent);
+
+        let until = null;
+        if (!isPermanent) {
+            until = now + durationMs;
+            if (existing) {
+                until = Math.max(until, new Date(existing.until).getTime());
+            }
+        }
+
+        const exclusion = {
+            permanent: isPermanent,
+            excludedAt: existing ? existing.excludedAt : new Date(now).toISOString(),
+            until: until === null ? null : new Date(until).toISOString()
+        };
+        const ttlMs = isPermanent ? PERMANENT_TTL_MS : until - now;
+
+        for (const identity of identities.filter(Boolean)) {
+            await this.store.set(identity, exclusion, { ttlMs });
+        }
+        return exclusion;
+    }
+
+    /**
+     * Active exclusion covering any of the identity keys, or null
+     */
+    async check(identities, now = Date.now()) {
+        let active = null;
+        for (const identity of identities.filter(Boolean)) {
+            const exclusion = await this.store.get(identity);
+            if (!exclusion || (!exclusion.permanent && new Date(exclusion.until).getTime() <= now)) {
+                continue;
+            }
+            if (!active || exclusion.permanent || (!active.permanent && exclusion.until > active.until)) {
+                active = exclusion;
+            }
+        }
+
+        return active && {
+            permanent: active.permanent,
+            excludedAt: active.excludedAt,
+            until: active.until
+        };
+    }
+}
+
+module.exports = {
+    MAX_EXCLUSION_DAYS,
+    SelfExclusionRegistry
+};
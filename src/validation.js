@@ -0,0 +1,244 @@
+const { toFieldElement } = require('./identity-commitment');
+
+/**
+ * Request validation for the GAP routes
+ *
+ * A schema maps field names to rules, plus optional cross-field `checks`:
+ *   { fields: { birthMonth: integer({ min: 1, max: 12 }), label: optional(string()) },
+ *     checks: [birthDateCheck()] }
+ *
+ * validate() returns every problem as { code, field, message } so clients
+ * can show each one next to its form field. Shared with the React app,
+ * so this module must not depend on Node built-ins.
+ */
+
+// The age circuit accepts birth years up to this many years before the current year
+const MAX_AGE_YEARS = 150;
+
+const issue = (code, field, message) => ({ code, field, message });
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Wrap a rule so a missing value is accepted
+ */
+function optional(rule) {
+    return Object.assign((value, field, input) => rule(value, field, input), { optional: true });
+}
+
+/**
+ * Integer between min and max; either bound may be a function of the current time
+ */
+function integer({ min = Number.MIN_SAFE_INTEGER, max = Number.MAX_SAFE_INTEGER } = {}) {
+    return (value, field) => {
+        if (!Number.isSafeInteger(value)) {
+            return issue('INVALID_TYPE', field, `${field} must be an integer`);
+        }
+        const low = typeof min === 'function' ? min() : min;
+        const high = typeof max === 'function' ? max() : max;
+        if (value < low || value > high) {
+            return issue('OUT_OF_RANGE', field, `${field} must be between ${low} and ${high}`);
+        }
+        return null;
+    };
+}
+
+function positiveNumber() {
+    return (value, field) => {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return issue('INVALID_TYPE', field, `${field} must be a number`);
+        }
+        if (value <= 0) {
+            return issue('OUT_OF_RANGE', field, `${field} must be greater than 0`);
+        }
+        return null;
+    };
+}
+
+function string({ maxLength = 256, pattern, format } = {}) {
+    return (value, field) => {
+        if (typeof value !== 'string') {
+            return issue('INVALID_TYPE', field, `${field} must be a string`);
+        }
+        if (value.length > maxLength) {
+            return issue('TOO_LONG', field, `${field} must be at most ${maxLength} characters`);
+        }
+        if (pattern && !pattern.test(value)) {
+            return issue('INVALID_FORMAT', field, `${field} must be ${format}`);
+        }
+        return null;
+    };
+}
+
+function boolean() {
+    return (value, field) => (typeof value === 'boolean' ?
+        null :
+        issue('INVALID_TYPE', field, `${field} must be true or false`));
+}
+
+function object() {
+    return (value, field) => (typeof value === 'object' && !Array.isArray(value) ?
+        null :
+        issue('INVALID_TYPE', field, `${field} must be an object`));
+}
+
+/**
+ * Decimal string or safe integer below the BN254 field modulus
+ */
+function fieldElement() {
+    return (value, field) => {
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            return issue('INVALID_TYPE', field, `${field} must be a decimal string or integer`);
+        }
+        try {
+            toFieldElement(value, field);
+            return null;
+        } catch (error) {
+            return issue(error.code, field, error.message);
+        }
+    };
+}
+
+/**
+ * Unsigned integer of at most `bits` bits, as a safe integer or a decimal
+ * string for values beyond Number.MAX_SAFE_INTEGER
+ */
+function unsignedInteger({ bits }) {
+    const limit = 2n ** BigInt(bits);
+    return (value, field) => {
+        if (!Number.isSafeInteger(value) && !(typeof value === 'string' && /^[0-9]{1,40}$/.test(value))) {
+            return issue('INVALID_TYPE', field, `${field} must be an integer or decimal string`);
+        }
+        if (BigInt(value) < 0n || BigInt(value) >= limit) {
+            return issue('OUT_OF_RANGE', field, `${field} must be between 0 and ${limit - 1n}`);
+        }
+        return null;
+    };
+}
+
+/**
+ * List of `length` (or minLength to maxLength) items, each checked with `itemRule`
+ */
+function list(itemRule, { length, minLength = length, maxLength = length }) {
+    return (value, field, input) => {
+        if (!Array.isArray(value)) {
+            return issue('INVALID_TYPE', field, `${field} must be a list`);
+        }
+        if (value.length < minLength || value.length > maxLength) {
+            return issue('INVALID_LENGTH', field, minLength === maxLength ?
+                `${field} must have exactly ${length} items` :
+                `${field} must have ${minLength} to ${maxLength} items`);
+        }
+        for (let i = 0; i < value.length; i++) {
+            const problem = itemRule(value[i], `${field}[${i}]`, input);
+            if (problem) {
+                return problem;
+            }
+        }
+        return null;
+    };
+}
+
+/**
+ * At least one of the fields must be present
+ */
+function requireOneOf(...fields) {
+    return (input) => (fields.some((field) => !isMissing(input[field])) ?
+        null :
+        issue('REQUIRED', fields[0], `Provide ${fields.join(' or ')}`));
+}
+
+const isLeapYear = (year) => (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+function daysInMonth(year, month) {
+    return [31, isLeapYear(year) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+}
+
+const currentYear = () => new Date().getFullYear();
+
+/**
+ * Problems with a birth date: days past the end of the month (including
+ * 29 February outside leap years) and dates after today. Expects year,
+ * month and day to be integers already range-checked.
+ */
+function checkBirthDate(year, month, day, today = new Date()) {
+    if (day > daysInMonth(year, month)) {
+        return issue('INVALID_DATE', 'birthDay', `${year}-${String(month).padStart(2, '0')} has only ${daysInMonth(year, month)} days`);
+    }
+
+    const birth = year * 10000 + month * 100 + day;
+    const now = today.getFullYear() * 10000 + (today.getMonth() + 1) * 100 + today.getDate();
+    if (birth > now) {
+        return issue('FUTURE_DATE', 'birthYear', 'Birth date cannot be in the future');
+    }
+    return null;
+}
+
+/**
+ * Rules for birthYear, birthMonth and birthDay
+ */
+const BIRTH_DATE_FIELDS = {
+    birthYear: integer({ min: () => currentYear() - MAX_AGE_YEARS, max: currentYear }),
+    birthMonth: integer({ min: 1, max: 12 }),
+    birthDay: integer({ min: 1, max: 31 })
+};
+
+function birthDateCheck() {
+    return (input, errors) => {
+        // Only meaningful once each part is individually valid
+        if (errors.some((error) => error.field in BIRTH_DATE_FIELDS)) {
+            return null;
+        }
+        return checkBirthDate(input.birthYear, input.birthMonth, input.birthDay);
+    };
+}
+
+/**
+ * Validate input against a schema; returns a list of problems (empty when valid)
+ */
+function validate(schema, input) {
+    const values = input !== null && typeof input === 'object' && !Array.isArray(input) ? input : {};
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(schema.fields || {})) {
+        const value = values[field];
+        if (isMissing(value)) {
+            if (!rule.optional) {
+                errors.push(issue('REQUIRED', field, `${field} is required`));
+            }
+            continue;
+        }
+        const problem = rule(value, field, values);
+        if (problem) {
+            errors.push(problem);
+        }
+    }
+
+    for (const check of schema.checks || []) {
+        const problem = check(values, errors);
+        if (problem) {
+            errors.push(problem);
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    MAX_AGE_YEARS,
+    BIRTH_DATE_FIELDS,
+    optional,
+    integer,
+    positiveNumber,
+    string,
+    boolean,
+    object,
+    fieldElement,
+    unsignedInteger,
+    list,
+    requireOneOf,
+    birthDateCheck,
+    checkBirthDate,
+    daysInMonth,
+    validate
+};
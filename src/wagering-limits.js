@@ -0,0 +1,140 @@
+/**
+ * Cumulative wagering and deposit limits
+ *
+ * Wagers and deposits are recorded against every key of a player (the
+ * proof's nullifier and the wallet it is bound to) and summed over rolling
+ * daily, weekly and monthly windows. A player's usage is the highest of
+ * their keys, so neither a new identity secret nor a new wallet starts the
+ * limits afresh on its own. Limits come from the jurisdiction rules; a null
+ * limit means the window is not capped.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LIMIT_WINDOWS = {
+    daily: DAY_MS,
+    weekly: 7 * DAY_MS,
+    monthly: 30 * DAY_MS
+};
+
+const LEDGER_TYPES = ['wager', 'deposit'];
+
+// Entries older than the longest window no longer count towards any limit
+const LEDGER_RETENTION_MS = Math.max(...Object.values(LIMIT_WINDOWS));
+
+class WageringLedger {
+    constructor({ store }) {
+        this.store = store;
+    }
+
+    /**
+     * Amounts recorded in each rolling window, the highest across the
+     * identity keys (one key or a list)
+     */
+    async usage(identities, type, now = Date.now()) {
+        const ledgers = await this.load(this.keys(identities, type), now);
+        return this.maxUsage(ledgers.map(({ entries }) => entries), now);
+    }
+
+    /**
+     * Record an amount against every identity key. The limits are checked
+     * and the amount appended in one store update, so concurrent requests
+     * for one player, from this or another instance, cannot both squeeze
+     * under the same allowance.
+     */
+    async record(identities, type, amount, limits, now = Date.now()) {
+        const keys = this.keys(identities, type);
+        const written = await this.store.update(keys, (records) => {
+            const ledgers = keys.map((key) => this.retained(records[key], now));
+            const exceeded = this.findExceededWindow(limits, this.maxUsage(ledgers, now), amount);
+            if (exceeded) {
+                const error = new Error(`${exceeded} ${type} limit exceeded`);
+                error.code = 'LIMIT_EXCEEDED';
+                error.status = 409;
+                error.window = exceeded;
+                throw error;
+            }
+            return Object.fromEntries(keys.map((key, i) => [key, { entries: [...ledgers[i], { amount, at: now }] }]));
+        }, { ttlMs: LEDGER_RETENTION_MS });
+
+        return this.maxUsage(keys.map((key) => written[key].entries), now);
+    }
+
+    /**
+     * Entries still within the retention period for each key
+     */
+    async load(keys, now) {
+        return Promise.all(keys.map(async (key) => ({ key, entries: this.retained(await this.store.get(key), now) })));
+    }
+
+    retained(record, now) {
+        return (record ? record.entries : []).filter((entry) => now - entry.at < LEDGER_RETENTION_MS);
+    }
+
+    /**
+     * First window whose limit the amount would exceed, or null
+     */
+    findExceededWindow(limits, usage, amount) {
+        for (const window of Object.keys(LIMIT_WINDOWS)) {
+            const limit = limits[window];
+            if (limit !== null && limit !== undefined && usage[window] + amount > limit) {
+                return window;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Limit, used and remaining amount per window
+     */
+    allowance(limits, usage) {
+        const allowance = {};
+        for (const window of Object.keys(LIMIT_WINDOWS)) {
+            const limit = limits[window] === undefined ? null : limits[window];
+            allowance[window] = {
+                limit,
+                used: usage[window],
+                remaining: limit === null ? null : Math.max(limit - usage[window], 0)
+            };
+        }
+        return allowance;
+    }
+
+    maxUsage(ledgers, now) {
+        const usage = Object.fromEntries(Object.keys(LIMIT_WINDOWS).map((window) => [window, 0]));
+        for (const entries of ledgers) {
+            for (const [window, amount] of Object.entries(this.sumWindows(entries, now))) {
+                usage[window] = Math.max(usage[window], amount);
+            }
+        }
+        return usage;
+    }
+
+    sumWindows(entries, now) {
+        const usage = {};
+        for (const [window, windowMs] of Object.entries(LIMIT_WINDOWS)) {
+            usage[window] = entries
+                .filter((entry) => now - entry.at < windowMs)
+                .reduce((total, entry) => total + entry.amount, 0);
+        }
+        return usage;
+    }
+
+    key(identity, type) {
+        if (!LEDGER_TYPES.includes(type)) {
+            throw new Error(`Unknown ledger type: ${type}`);
+        }
+        return `${type}:${identity}`;
+    }
+
+    keys(identities, type) {
+        const list = Array.isArray(identities) ? identities : [identities];
+        return [...new Set(list.filter(Boolean))].map((identity) => this.key(identity, type));
+    }
+}
+
+module.exports = {
+    LIMIT_WINDOWS,
+    LEDGER_TYPES,
+    WageringLedger
+};
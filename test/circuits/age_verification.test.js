@@ -0,0 +1,138 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { FIELD_MODULUS, generateIdentityCommitment, poseidonHash } = require('../../src/identity-commitment');
+const { computeNullifier } = require('../../src/nullifier');
+const { compileCircuit, calculateWitness, readOutputs, cleanup } = require('./harness');
+
+const OUTPUTS = ['is_eligible', 'proof_hash', 'nullifier'];
+const SECRET = '123456789';
+
+let circuit;
+
+before(() => {
+    circuit = compileCircuit('age_verification');
+});
+
+after(cleanup);
+
+/**
+ * Circuit input for a birth date and current date given as [year, month, day]
+ */
+async function ageInput(birth, current, { minAge = 18, secret = SECRET, commitment } = {}) {
+    const [birthYear, birthMonth, birthDay] = birth;
+    const [currentYear, currentMonth, currentDay] = current;
+    return {
+        birth_year: birthYear,
+        birth_month: birthMonth,
+        birth_day: birthDay,
+        identity_secret: secret,
+        current_year: currentYear,
+        current_month: currentMonth,
+        current_day: currentDay,
+        identity_commitment: commitment ||
+            await generateIdentityCommitment(birthYear, birthMonth, birthDay, secret),
+        min_age: minAge,
+        operator_scope: '42',
+        wallet_binding: '7'
+    };
+}
+
+async function isEligible(birth, current, options) {
+    const witness = await calculateWitness(circuit, await ageInput(birth, current, options));
+    return readOutputs(witness, OUTPUTS).is_eligible === '1';
+}
+
+async function assertRejected(birth, current, options) {
+    await assert.rejects(calculateWitness(circuit, await ageInput(birth, current, options)));
+}
+
+test('outputs match the JS commitment, proof hash and nullifier', async () => {
+    const input = await ageInput([1990, 1, 1], [2026, 10, 19]);
+    const outputs = readOutputs(await calculateWitness(circuit, input), OUTPUTS);
+
+    assert.equal(outputs.is_eligible, '1');
+    assert.equal(outputs.proof_hash, await poseidonHash([input.identity_commitment, 1, 20261019]));
+    assert.equal(outputs.nullifier, await computeNullifier(SECRET, '42'));
+});
+
+test('eligibility flips on the 18th birthday, not the day before', async () => {
+    assert.equal(await isEligible([2008, 10, 20], [2026, 10, 19]), false);
+    assert.equal(await isEligible([2008, 10, 19], [2026, 10, 19]), true);
+    assert.equal(await isEligible([2008, 11, 1], [2026, 10, 31]), false);
+    assert.equal(await isEligible([2008, 12, 31], [2027, 1, 1]), true);
+});
+
+test('29 February birthdays are reached on 1 March in common years', async () => {
+    assert.equal(await isEligible([2008, 2, 29], [2026, 2, 28]), false);
+    assert.equal(await isEligible([2008, 2, 29], [2026, 3, 1]), true);
+});
+
+test('29 February birthdays are reached on the day in leap years', async () => {
+    assert.equal(await isEligible([2004, 2, 29], [2024, 2, 28], { minAge: 20 }), false);
+    assert.equal(await isEligible([2004, 2, 29], [2024, 2, 29], { minAge: 20 }), true);
+});
+
+test('accepts 29 February only in leap years', async () => {
+    assert.equal(await isEligible([2000, 2, 29], [2026, 10, 19]), true);
+    await assertRejected([2001, 2, 29], [2026, 10, 19]);
+    await assertRejected([1900, 2, 29], [2026, 10, 19], { minAge: 1 });
+    await assertRejected([2026, 2, 29], [2026, 10, 19], { minAge: 0 });
+});
+
+test('rejects days past the end of the month', async () => {
+    assert.equal(await isEligible([1990, 12, 31], [2026, 10, 19]), true);
+    await assertRejected([1990, 4, 31], [2026, 10, 19]);
+    await assertRejected([1990, 6, 31], [2026, 10, 19]);
+    await assertRejected([1990, 9, 31], [2026, 10, 19]);
+    await assertRejected([1990, 11, 31], [2026, 10, 19]);
+    await assertRejected([1990, 2, 30], [2026, 10, 19]);
+    await assertRejected([1990, 1, 32], [2026, 10, 19]);
+});
+
+test('rejects zero and out-of-range months and days', async () => {
+    await assertRejected([1990, 0, 10], [2026, 10, 19]);
+    await assertRejected([1990, 13, 10], [2026, 10, 19]);
+    await assertRejected([1990, 5, 0], [2026, 10, 19]);
+});
+
+test('constrains the current date', async () => {
+    await assertRejected([1990, 1, 1], [2026, 13, 1]);
+    await assertRejected([1990, 1, 1], [2026, 0, 1]);
+    await assertRejected([1990, 1, 1], [2026, 9, 31]);
+    await assertRejected([1990, 1, 1], [2026, 2, 29]);
+    await assertRejected([1990, 1, 1], [2026, 10, 0]);
+});
+
+test('rejects birth dates after the current date', async () => {
+    await assertRejected([2026, 10, 20], [2026, 10, 19], { minAge: 0 });
+    await assertRejected([2026, 11, 1], [2026, 10, 19], { minAge: 0 });
+    await assertRejected([2027, 1, 1], [2026, 10, 19], { minAge: 0 });
+});
+
+test('a birth date of today is age 0', async () => {
+    assert.equal(await isEligible([2026, 10, 19], [2026, 10, 19], { minAge: 0 }), true);
+    assert.equal(await isEligible([2026, 10, 19], [2026, 10, 19], { minAge: 1 }), false);
+});
+
+test('bounds the birth year relative to the current year', async () => {
+    assert.equal(await isEligible([1876, 12, 31], [2026, 10, 19]), true);
+    await assertRejected([1875, 12, 31], [2026, 10, 19]);
+    assert.equal(await isEligible([1925, 1, 1], [2075, 1, 1]), true);
+});
+
+test('rejects values that would wrap around the field', async () => {
+    const minusOne = (FIELD_MODULUS - 1n).toString();
+
+    await assertRejected([minusOne, 1, 1], [2026, 10, 19]);
+    await assertRejected([1990, minusOne, 1], [2026, 10, 19]);
+    await assertRejected([1990, 1, minusOne], [2026, 10, 19]);
+    await assertRejected([1990, 1, 1], [minusOne, 10, 19]);
+    await assertRejected([1990, 1, 1], [4096, 1, 1]);
+    await assertRejected([1990, 1, 1], [2026, 10, 19], { minAge: minusOne });
+    await assertRejected([1990, 1, 1], [2026, 10, 19], { minAge: 256 });
+});
+
+test('rejects a commitment to a different birth date', async () => {
+    const commitment = await generateIdentityCommitment(1990, 1, 1, SECRET);
+    await assertRejected([1991, 1, 1], [2026, 10, 19], { commitment });
+});
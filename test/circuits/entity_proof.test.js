@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { FIELD_MODULUS, poseidonHash } = require('../../src/identity-commitment');
+const { compileCircuit, calculateWitness, readOutputs, cleanup } = require('./harness');
+
+const OUTPUTS = ['valid_entity', 'proof_hash'];
+const ENTITY_ID = '1001';
+const SECRET_KEY = '987654321';
+const MAX_UINT64 = ((1n << 64n) - 1n).toString();
+
+let circuit;
+
+before(() => {
+    circuit = compileCircuit('entity_proof');
+});
+
+after(cleanup);
+
+async function entityInput({
+    balance = 5000,
+    timestamp = 1760000000,
+    minBalance = 1000,
+    maxTimestamp = 1800000000,
+    walletBinding = '7',
+    commitment
+} = {}) {
+    return {
+        entity_id: ENTITY_ID,
+        secret_key: SECRET_KEY,
+        balance,
+        timestamp,
+        commitment: commitment ||
+            await poseidonHash([ENTITY_ID, SECRET_KEY, balance, timestamp]),
+        min_balance_threshold: minBalance,
+        max_timestamp: maxTimestamp,
+        wallet_binding: walletBinding
+    };
+}
+
+const expectedHash = (input, validEntity) => poseidonHash([
+    input.commitment, validEntity, input.min_balance_threshold, input.max_timestamp, input.wallet_binding
+]);
+
+async function proofHash(options) {
+    return readOutputs(await calculateWitness(circuit, await entityInput(options)), OUTPUTS).proof_hash;
+}
+
+async function isValidEntity(options) {
+    const witness = await calculateWitness(circuit, await entityInput(options));
+    return readOutputs(witness, OUTPUTS).valid_entity === '1';
+}
+
+async function assertRejected(options) {
+    await assert.rejects(calculateWitness(circuit, await entityInput(options)));
+}
+
+test('outputs match the JS proof hash', async () => {
+    const input = await entityInput();
+    const outputs = readOutputs(await calculateWitness(circuit, input), OUTPUTS);
+
+    assert.equal(outputs.valid_entity, '1');
+    assert.equal(outputs.proof_hash, await expectedHash(input, 1));
+});
+
+test('balance must meet the threshold', async () => {
+    assert.equal(await isValidEntity({ balance: 1000, minBalance: 1000 }), true);
+    assert.equal(await isValidEntity({ balance: 999, minBalance: 1000 }), false);
+    assert.equal(await isValidEntity({ balance: 0, minBalance: 0 }), true);
+});
+
+test('timestamp must not be after the maximum', async () => {
+    assert.equal(await isValidEntity({ timestamp: 1800000000, maxTimestamp: 1800000000 }), true);
+    assert.equal(await isValidEntity({ timestamp: 1800000001, maxTimestamp: 1800000000 }), false);
+});
+
+test('an invalid entity still gets a proof hash', async () => {
+    const input = await entityInput({ balance: 1 });
+    const outputs = readOutputs(await calculateWitness(circuit, input), OUTPUTS);
+
+    assert.equal(outputs.valid_entity, '0');
+    assert.equal(outputs.proof_hash, await expectedHash(input, 0));
+});
+
+test('proofs on one commitment for another threshold, time or wallet get another hash', async () => {
+    const hash = await proofHash();
+
+    assert.notEqual(await proofHash({ minBalance: 999 }), hash);
+    assert.notEqual(await proofHash({ maxTimestamp: 1800000001 }), hash);
+    assert.notEqual(await proofHash({ walletBinding: '8' }), hash);
+});
+
+test('accepts 64-bit values and rejects anything wider', async () => {
+    assert.equal(await isValidEntity({ balance: MAX_UINT64, minBalance: MAX_UINT64 }), true);
+    await assertRejected({ balance: (1n << 64n).toString() });
+    await assertRejected({ minBalance: (1n << 64n).toString() });
+    await assertRejected({ timestamp: (1n << 64n).toString() });
+    await assertRejected({ maxTimestamp: (1n << 64n).toString() });
+});
+
+test('rejects values that would wrap around the field', async () => {
+    const minusOne = (FIELD_MODULUS - 1n).toString();
+
+    await assertRejected({ balance: minusOne });
+    await assertRejected({ timestamp: minusOne });
+});
+
+test('rejects a commitment to different entity data', async () => {
+    const commitment = await poseidonHash([ENTITY_ID, SECRET_KEY, 100, 1760000000]);
+    await assertRejected({ balance: 5000, commitment });
+});
@@ -0,0 +1,93 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const snarkjs = require('snarkjs');
+
+/**
+ * Circuit test harness
+ *
+ * Compiles a circuit from circuits/ once per test run (with the circom2
+ * devDependency, or the circom 2 binary named by CIRCOM), then computes
+ * witnesses and checks them against every R1CS constraint, so tests catch
+ * both failed asserts during witness generation and under-constrained
+ * signals.
+ */
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const CIRCOM = process.env.CIRCOM || path.join(PROJECT_ROOT, 'node_modules', '.bin', 'circom2');
+
+const compiled = new Map();
+const quietLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Compile circuits/<name>.circom into a temporary directory
+ */
+function compileCircuit(name) {
+    if (!compiled.has(name)) {
+        const outDir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-`));
+        try {
+            execFileSync(CIRCOM, [
+                path.join('circuits', `${name}.circom`),
+                '-l', 'node_modules',
+                '--r1cs',
+                '--wasm',
+                '-o', outDir
+            ], { cwd: PROJECT_ROOT, stdio: 'pipe' });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`circom not found at ${CIRCOM} - run npm install, or set CIRCOM to a circom 2 binary`);
+            }
+            throw error;
+        }
+
+        compiled.set(name, {
+            name,
+            dir: outDir,
+            r1csFile: path.join(outDir, `${name}.r1cs`),
+            wasmFile: path.join(outDir, `${name}_js`, `${name}.wasm`)
+        });
+    }
+    return compiled.get(name);
+}
+
+/**
+ * Witness for the inputs; rejects when witness generation fails or the
+ * witness does not satisfy the constraints
+ */
+async function calculateWitness(circuit, input) {
+    const wtns = { type: 'mem' };
+    await snarkjs.wtns.calculate(input, circuit.wasmFile, wtns);
+    if (!await snarkjs.wtns.check(circuit.r1csFile, wtns, quietLogger)) {
+        throw new Error(`Witness does not satisfy the ${circuit.name} constraints`);
+    }
+    return snarkjs.wtns.exportJson(wtns);
+}
+
+/**
+ * Output signals by name; outputs follow the constant 1 in the witness
+ */
+function readOutputs(witness, names) {
+    return Object.fromEntries(names.map((name, i) => [name, witness[i + 1].toString()]));
+}
+
+/**
+ * Remove the compiled circuits and stop the curve's worker threads, which
+ * would otherwise keep the test process alive
+ */
+async function cleanup() {
+    for (const circuit of compiled.values()) {
+        fs.rmSync(circuit.dir, { recursive: true, force: true });
+    }
+    compiled.clear();
+    if (global.curve_bn128) {
+        await global.curve_bn128.terminate();
+    }
+}
+
+module.exports = {
+    compileCircuit,
+    calculateWitness,
+    readOutputs,
+    cleanup
+};
@@ -0,0 +1,109 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { poseidonHash } = require('../../src/identity-commitment');
+const { computeNullifier } = require('../../src/nullifier');
+const {
+    regionCode,
+    buildResidencyTree,
+    residencyPath,
+    generateResidencyCommitment
+} = require('../../src/residency');
+const { compileCircuit, calculateWitness, readOutputs, cleanup } = require('./harness');
+
+const OUTPUTS = ['is_eligible', 'proof_hash', 'nullifier'];
+const SECRET = '123456789';
+const ALLOWED = ['GB', 'IE', 'US-NJ'];
+
+let circuit;
+let tree;
+
+before(async () => {
+    circuit = compileCircuit('residency_verification');
+    tree = await buildResidencyTree(ALLOWED);
+});
+
+after(cleanup);
+
+/**
+ * Circuit input for a resident of `region` proving membership of `proofTree`
+ * with the path of `pathCode` (both default to the region and the allowed set)
+ */
+async function residencyInput(region, {
+    birth = [1990, 1, 1],
+    current = [2026, 10, 19],
+    minAge = 18,
+    proofTree = tree,
+    pathCode = region,
+    commitment
+} = {}) {
+    const [birthYear, birthMonth, birthDay] = birth;
+    const [currentYear, currentMonth, currentDay] = current;
+    const { pathElements, pathIndices } = residencyPath(proofTree, pathCode);
+    return {
+        birth_year: birthYear,
+        birth_month: birthMonth,
+        birth_day: birthDay,
+        identity_secret: SECRET,
+        region: regionCode(region),
+        path_elements: pathElements,
+        path_indices: pathIndices,
+        current_year: currentYear,
+        current_month: currentMonth,
+        current_day: currentDay,
+        identity_commitment: commitment ||
+            await generateResidencyCommitment(birthYear, birthMonth, birthDay, SECRET, region),
+        min_age: minAge,
+        operator_scope: '42',
+        wallet_binding: '7',
+        regions_root: proofTree.root
+    };
+}
+
+async function assertRejected(input) {
+    await assert.rejects(calculateWitness(circuit, input));
+}
+
+test('proves residency for every region in the set', async () => {
+    for (const region of ALLOWED) {
+        const input = await residencyInput(region);
+        const outputs = readOutputs(await calculateWitness(circuit, input), OUTPUTS);
+
+        assert.equal(outputs.is_eligible, '1');
+        assert.equal(outputs.proof_hash, await poseidonHash([input.identity_commitment, 1, 20261019, tree.root]));
+        assert.equal(outputs.nullifier, await computeNullifier(SECRET, '42'));
+    }
+});
+
+test('applies the age check', async () => {
+    const input = await residencyInput('GB', { birth: [2008, 10, 20] });
+    assert.equal(readOutputs(await calculateWitness(circuit, input), OUTPUTS).is_eligible, '0');
+
+    await assertRejected(await residencyInput('GB', { birth: [1990, 2, 30] }));
+    await assertRejected(await residencyInput('GB', { birth: [2027, 1, 1], minAge: 0 }));
+});
+
+test('rejects a region outside the set', async () => {
+    // A resident of FR borrowing the path of a member
+    await assertRejected(await residencyInput('FR', { pathCode: 'IE' }));
+});
+
+test('rejects a root for a different set', async () => {
+    const other = await buildResidencyTree(['GB', 'US']);
+    const input = await residencyInput('GB');
+    await assertRejected({ ...input, regions_root: other.root });
+});
+
+test('rejects a commitment to a different region', async () => {
+    const commitment = await generateResidencyCommitment(1990, 1, 1, SECRET, 'FR');
+    await assertRejected(await residencyInput('GB', { commitment }));
+});
+
+test('rejects path indices that are not bits', async () => {
+    const input = await residencyInput('IE');
+    await assertRejected({ ...input, path_indices: input.path_indices.map((bit, i) => (i === 0 ? 2 : bit)) });
+});
+
+test('padding leaves do not prove residency', async () => {
+    const input = await residencyInput('GB');
+    await assertRejected({ ...input, region: '0' });
+});
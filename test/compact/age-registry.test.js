@@ -0,0 +1,161 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const CompactAgeVerification = require('../../src/compact-integration');
+const { MockCompactProvider } = require('../../src/compact-providers');
+const { generateIdentityCommitment, poseidonHash } = require('../../src/identity-commitment');
+const { computeNullifier } = require('../../src/nullifier');
+
+const TODAY = { year: 2026, month: 10, day: 19 };
+const SECRET = '918273645';
+const SCOPE = '42';
+const REGISTRAR_KEY = crypto.randomBytes(32).toString('hex');
+
+let clock;
+let provider;
+let registrar;
+
+beforeEach(async () => {
+    clock = Date.UTC(2026, 9, 19, 12);
+    provider = new MockCompactProvider({ now: () => clock });
+    registrar = new CompactAgeVerification('mock', { provider });
+    await registrar.initialize();
+    await registrar.deployAgeRegistry(REGISTRAR_KEY);
+});
+
+async function register(birth, options = {}) {
+    const [birthYear, birthMonth, birthDay] = birth;
+    return registrar.registerVerification(
+        { birthYear, birthMonth, birthDay, identitySecret: SECRET },
+        { currentDate: TODAY, operatorScope: SCOPE, ...options }
+    );
+}
+
+/**
+ * An operator's read-only view of the registrar's contract
+ */
+async function operatorView() {
+    const operator = new CompactAgeVerification('mock', { provider });
+    await operator.initialize();
+    operator.useAgeRegistry(registrar.ageRegistry.address);
+    return operator;
+}
+
+test('registers the proof hash and nullifier of the age circuit', async () => {
+    const registered = await register([1990, 5, 15]);
+    const commitment = await generateIdentityCommitment(1990, 5, 15, SECRET);
+
+    assert.equal(registered.isEligible, true);
+    assert.equal(registered.proofHash, await poseidonHash([commitment, 1, 20261019]));
+    assert.equal(registered.nullifier, await computeNullifier(SECRET, SCOPE));
+    assert.match(registered.transactionHash, /^0x[0-9a-f]{64}$/);
+});
+
+test('operators check eligibility from ledger state alone', async () => {
+    const adult = await register([1990, 5, 15]);
+    const operator = await operatorView();
+
+    assert.equal(await operator.checkEligibility(adult.proofHash, 18), true);
+    assert.equal(await operator.checkEligibility(adult.proofHash, 21), false);
+    assert.equal(await operator.checkEligibility('12345', 18), false);
+
+    // The ledger holds no birth data or secret
+    const ledger = JSON.stringify(await provider.queryContract(registrar.ageRegistry.address));
+    assert.equal(ledger.includes(SECRET), false);
+    assert.equal(ledger.includes('1990'), false);
+});
+
+test('minors are registered as not eligible', async () => {
+    const minor = await register([2010, 10, 20]);
+    assert.equal(minor.isEligible, false);
+    assert.equal(await registrar.checkEligibility(minor.proofHash, 18), false);
+});
+
+test('verifications expire', async () => {
+    const { proofHash } = await register([1990, 5, 15], { expiresAt: clock + 60 * 60 * 1000 });
+    assert.equal(await registrar.checkEligibility(proofHash), true);
+
+    clock += 2 * 60 * 60 * 1000;
+    assert.equal(await registrar.checkEligibility(proofHash), false);
+    await assert.rejects(register([1990, 5, 15], { expiresAt: clock - 1000 }), /Expiry must be in the future/);
+});
+
+test('only the registrar registers and revokes', async () => {
+    const { proofHash } = await register([1990, 5, 15]);
+    const operator = await operatorView();
+
+    await assert.rejects(operator.revokeVerification(proofHash), /Only the registrar/);
+    await registrar.revokeVerification(proofHash);
+    assert.equal(await operator.checkEligibility(proofHash), false);
+    assert.equal((await operator.getRegisteredVerification(proofHash)).revoked, true);
+});
+
+test('a newer verification supersedes the previous one', async () => {
+    const first = await register([1990, 5, 15]);
+    clock += 24 * 60 * 60 * 1000;
+    const second = await register([1990, 5, 15], { currentDate: { ...TODAY, day: 20 }, minAge: 21 });
+
+    assert.notEqual(first.proofHash, second.proofHash);
+    assert.equal(await registrar.checkEligibility(first.proofHash), false);
+    assert.equal(await registrar.checkEligibility(second.proofHash, 21), true);
+});
+
+test('rejects a commitment to a different birth date', async () => {
+    const identityCommitment = await generateIdentityCommitment(1990, 5, 15, SECRET);
+    await assert.rejects(provider.callContract(registrar.ageRegistry.address, 'register', {
+        args: {
+            identity_commitment: BigInt(identityCommitment),
+            proof_date: 20261019n,
+            min_age: 18n,
+            operator_scope: BigInt(SCOPE),
+            expires_at: BigInt(clock / 1000 + 3600)
+        },
+        witnesses: {
+            birth_date: { year: 1980n, month: 5n, day: 15n },
+            identity_secret: BigInt(SECRET),
+            registrar_key: REGISTRAR_KEY
+        }
+    }), /Identity commitment does not match/);
+});
+
+test('rejects days past the end of the month, leap years included', async () => {
+    for (const birth of [[1990, 2, 30], [1990, 4, 31], [2001, 2, 29], [1900, 2, 29], [1990, 13, 1]]) {
+        await assert.rejects(register(birth), /Invalid birth date/, birth.join('-'));
+    }
+    assert.equal((await register([2000, 2, 29])).isEligible, true);
+    assert.equal((await register([1996, 2, 29])).isEligible, true);
+});
+
+test('hashes with the contract hash, which need not be the circuit Poseidon', async () => {
+    // Stands in for transientHash: same inputs, different function
+    const contractHash = async (values) => BigInt(
+        `0x${crypto.createHash('sha256').update(values.map(String).join(',')).digest('hex').slice(0, 60)}`
+    ).toString();
+    provider = new MockCompactProvider({ now: () => clock, hash: contractHash });
+    registrar = new CompactAgeVerification('mock', { provider });
+    await registrar.initialize();
+    await registrar.deployAgeRegistry(REGISTRAR_KEY);
+
+    const registered = await register([1990, 5, 15]);
+    const commitment = await contractHash([1990, 5, 15, SECRET]);
+    assert.equal(String(await registrar.createRegistryCommitment(1990, 5, 15, SECRET)), commitment);
+    assert.equal(registered.proofHash, await contractHash([commitment, 1, 20261019]));
+    assert.equal(registered.nullifier, await contractHash([SECRET, SCOPE]));
+    assert.equal(await registrar.checkEligibility(registered.proofHash), true);
+
+    // Not comparable with the GAP's circuit values
+    const gapCommitment = await generateIdentityCommitment(1990, 5, 15, SECRET);
+    assert.notEqual(registered.proofHash, await poseidonHash([gapCommitment, 1, 20261019]));
+    assert.notEqual(registered.nullifier, await computeNullifier(SECRET, SCOPE));
+});
+
+test('betting certificates can be revoked', async () => {
+    const registered = await register([1990, 5, 15]);
+    const certificate = await registrar.createBettingCertificate(registered, 'GB', 50000);
+    const operator = await operatorView();
+
+    assert.equal(await operator.isCertificateRevoked(certificate), false);
+    await assert.rejects(operator.revokeBettingCertificate(certificate.certificate_id), /Only the registrar/);
+    await registrar.revokeBettingCertificate(certificate.certificate_id);
+    assert.equal(await operator.isCertificateRevoked(certificate), true);
+});
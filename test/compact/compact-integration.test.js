@@ -0,0 +1,76 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const CompactAgeVerification = require('../../src/compact-integration');
+const { generateIdentityCommitment } = require('../../src/identity-commitment');
+
+const TODAY = { year: 2026, month: 10, day: 19 };
+const WALLET = 'mn_addr_test1player';
+
+let compact;
+
+beforeEach(async () => {
+    compact = new CompactAgeVerification('mock');
+    assert.equal(await compact.initialize(), true);
+});
+
+afterEach(() => compact.disconnect());
+
+async function proveAge(birthYear, birthMonth, birthDay, identitySecret = '4242') {
+    const identityCommitment = await compact.createIdentityCommitment(birthYear, birthMonth, birthDay, identitySecret);
+    return compact.generateAgeProof({ birthYear, birthMonth, birthDay, identitySecret, identityCommitment }, TODAY);
+}
+
+test('commitments match the age circuit', async () => {
+    const commitment = await compact.createIdentityCommitment(1990, 5, 15, '4242');
+    assert.equal(commitment, BigInt(await generateIdentityCommitment(1990, 5, 15, '4242')));
+});
+
+test('proofs verify against their public inputs only', async () => {
+    const { proof, isEligible } = await proveAge(1990, 5, 15);
+    assert.equal(isEligible, true);
+    assert.equal(await compact.verifyAgeProof(proof, proof.publicInputs), true);
+    assert.equal(await compact.verifyAgeProof(proof, { ...proof.publicInputs, min_age: '16' }), false);
+});
+
+test('rejects a commitment to a different birth date', async () => {
+    const identityCommitment = await compact.createIdentityCommitment(1990, 5, 15, '4242');
+    await assert.rejects(compact.generateAgeProof({
+        birthYear: 2010, birthMonth: 5, birthDay: 15, identitySecret: '4242', identityCommitment
+    }, TODAY));
+});
+
+test('submitted verifications can be queried from the ledger', async () => {
+    const proofData = await proveAge(2010, 3, 20);
+    const { success, transactionHash, networkId } = await compact.submitVerificationToNetwork(proofData, WALLET);
+
+    assert.equal(success, true);
+    assert.match(transactionHash, /^0x[0-9a-f]{64}$/);
+    assert.equal(networkId, 'mock');
+
+    const status = await compact.queryVerificationStatus(proofData.proofHash);
+    assert.equal(status.exists, true);
+    assert.equal(status.isEligible, false);
+    assert.equal(status.timestamp, proofData.timestamp);
+
+    assert.equal((await compact.queryVerificationStatus('0000000000000000')).exists, false);
+});
+
+test('the ledger refuses transactions with a forged proof', async () => {
+    const proofData = await proveAge(2010, 3, 20);
+    const forged = { ...proofData, proof: { ...proofData.proof, outputs: { is_eligible: true } } };
+    await assert.rejects(compact.submitVerificationToNetwork(forged, WALLET));
+});
+
+test('certificates are signed by the provider', async () => {
+    const proofData = await proveAge(1990, 5, 15);
+    const certificate = await compact.createBettingCertificate(proofData, 'GB', 50000);
+
+    assert.equal(certificate.jurisdiction, 'GB');
+    assert.equal(compact.compact.verifySignedData(certificate), true);
+    assert.equal(compact.compact.verifySignedData({ ...certificate, max_bet_amount: 1e9 }), false);
+});
+
+test('requires initialize()', async () => {
+    const offline = new CompactAgeVerification('mock');
+    await assert.rejects(offline.createIdentityCommitment(1990, 5, 15, '4242'), /not initialized/);
+});
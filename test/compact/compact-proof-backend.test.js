@@ -0,0 +1,105 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CompactProofBackend, SimulatedProofBackend } = require('../../src/proof-backends');
+const { generateIdentityCommitment } = require('../../src/identity-commitment');
+const { loadConfig } = require('../../src/config');
+const { GapService } = require('../../src/gap-core');
+const { CertificateIssuer } = require('../../src/certificates');
+
+const SIMULATED_KEY_FILE = path.join(os.tmpdir(), `gap-test-proof-key-${process.pid}`);
+
+after(() => fs.rmSync(SIMULATED_KEY_FILE, { force: true }));
+
+async function ageInput(identitySecret = '4242') {
+    return {
+        birth_year: 1990,
+        birth_month: 5,
+        birth_day: 15,
+        identity_secret: identitySecret,
+        current_year: 2026,
+        current_month: 10,
+        current_day: 19,
+        identity_commitment: await generateIdentityCommitment(1990, 5, 15, identitySecret),
+        min_age: 21,
+        operator_scope: '42',
+        wallet_binding: '7'
+    };
+}
+
+test('public signals match the age circuit', async () => {
+    const input = await ageInput();
+    const backend = new CompactProofBackend();
+    const simulated = new SimulatedProofBackend({ keyFile: SIMULATED_KEY_FILE });
+
+    const { proof, publicSignals } = await backend.generateProof(input);
+    assert.deepEqual(publicSignals, (await simulated.generateProof(input)).publicSignals);
+    assert.equal(await backend.verifyProof(proof, publicSignals), true);
+
+    const lowered = [...publicSignals];
+    lowered[7] = '18';
+    assert.equal(await backend.verifyProof(proof, lowered), false);
+    assert.equal(await simulated.verifyProof(proof, publicSignals), false);
+});
+
+test('submitted proofs are found on the ledger', async () => {
+    const backend = new CompactProofBackend();
+    const { proof, publicSignals } = await backend.generateProof(await ageInput());
+    const proofHash = publicSignals[1];
+
+    assert.equal((await backend.queryVerification(proofHash)).exists, false);
+    const { transactionHash, networkId } = await backend.submitVerification(
+        { proof, proofHash, isEligible: true, timestamp: new Date().toISOString() },
+        'mn_addr_test1player'
+    );
+    assert.match(transactionHash, /^0x[0-9a-f]{64}$/);
+    assert.equal(networkId, 'mock');
+
+    const status = await backend.queryVerification(proofHash);
+    assert.equal(status.exists, true);
+    assert.equal(status.isEligible, true);
+});
+
+test('rejects inputs the circuit would reject', async () => {
+    const backend = new CompactProofBackend();
+    await assert.rejects(backend.generateProof({ ...await ageInput(), birth_day: 31, birth_month: 4 }));
+    await assert.rejects(backend.generateProof({ ...await ageInput(), identity_secret: '1' }));
+});
+
+test('routes answer 503 COMPACT_UNAVAILABLE when the network goes away', async () => {
+    const config = loadConfig({ env: { GAP_PROOF_STORE: 'memory', GAP_SIMULATED_PROOF_KEY_FILE: SIMULATED_KEY_FILE } });
+    const backend = new CompactProofBackend();
+    const gap = new GapService({
+        config,
+        proofBackend: backend,
+        certificateIssuer: new CertificateIssuer(),
+        residencyIssuers: { keys: [] }
+    });
+    try {
+        const call = (routePath, body) => gap.handle(gap.route('POST', routePath), { body });
+        const player = { birthYear: 1990, birthMonth: 5, birthDay: 15, identitySecret: '4343' };
+        const walletAddress = 'mn_addr_test1player';
+        const { body: { commitment } } = await call('/api/generate-commitment', player);
+        const { body: proof } = await call('/api/generate-proof', {
+            ...player, identityCommitment: commitment, walletAddress, submitToNetwork: true
+        });
+        assert.equal(proof.network.submitted, true, JSON.stringify(proof));
+
+        // The next connection attempt fails
+        backend.connecting = null;
+        backend.compact.initialize = async () => false;
+
+        const verified = await call('/api/verify-proof', { proofId: proof.proofId, walletAddress, checkNetwork: true });
+        assert.equal(verified.status, 503);
+        assert.equal(verified.body.code, 'COMPACT_UNAVAILABLE');
+        assert.match(verified.body.error, /Compact runtime unavailable on network mock/);
+
+        // Verifying the proof itself also needs the runtime
+        const offline = await call('/api/verify-proof', { proofId: proof.proofId, walletAddress });
+        assert.equal(offline.status, 503);
+    } finally {
+        gap.close();
+    }
+});
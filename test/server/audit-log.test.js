@@ -0,0 +1,155 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const {
+    GENESIS_HASH,
+    MemoryAuditLog,
+    FileAuditLog,
+    auditEntryHash,
+    verifyAuditChain,
+    readAuditFile
+} = require('../../src/audit-log');
+const { main: auditExport } = require('../../src/audit-export');
+const { loadConfig } = require('../../src/config');
+const { GapService } = require('../../src/gap-core');
+const { CertificateIssuer } = require('../../src/certificates');
+
+const AUDIT_LOG = path.join(__dirname, '..', '..', 'src', 'audit-log.js');
+
+let dir;
+let filePath;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+    filePath = path.join(dir, 'audit.jsonl');
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+async function logWith(count) {
+    const log = new MemoryAuditLog();
+    for (let i = 1; i <= count; i++) {
+        await log.append({ route: '/api/verify-proof', tenant: 'default', proofId: `proof-${i}`, decision: 'allowed', status: 200 });
+    }
+    return log.entries();
+}
+
+/**
+ * Append `count` entries from a separate process
+ */
+function appendFromChild(count) {
+    const script = `
+        const { FileAuditLog } = require(${JSON.stringify(AUDIT_LOG)});
+        const log = new FileAuditLog({ filePath: ${JSON.stringify(filePath)} });
+        (async () => {
+            for (let i = 0; i < ${count}; i++) {
+                await log.append({ route: '/api/submit-proof', decision: 'allowed', status: 200 });
+            }
+        })();
+    `;
+    return promisify(execFile)(process.execPath, ['-e', script]);
+}
+
+test('entries chain from the genesis hash', async () => {
+    const entries = await logWith(3);
+
+    assert.deepEqual(entries.map(({ seq }) => seq), [1, 2, 3]);
+    assert.equal(entries[0].prevHash, GENESIS_HASH);
+    assert.equal(entries[2].prevHash, entries[1].hash);
+    assert.deepEqual(verifyAuditChain(entries), { valid: true, count: 3, head: entries[2].hash });
+    assert.deepEqual(verifyAuditChain([]), { valid: true, count: 0, head: GENESIS_HASH });
+});
+
+test('only audit fields are kept', async () => {
+    const log = new MemoryAuditLog();
+    const entry = await log.append({ route: '/api/generate-proof', identitySecret: '123', birthYear: 1990 });
+
+    assert.equal('identitySecret' in entry, false);
+    assert.equal('birthYear' in entry, false);
+    assert.equal(entry.hash, auditEntryHash(entry));
+});
+
+test('edited, dropped and reordered entries break the chain', async () => {
+    const entries = await logWith(4);
+
+    const edited = entries.map((entry) => ({ ...entry }));
+    edited[1].decision = 'denied';
+    assert.deepEqual(
+        verifyAuditChain(edited),
+        { valid: false, count: 4, head: entries[0].hash, seq: 2, error: 'Entry hash does not match its contents' }
+    );
+
+    // Rehashing the edited entry moves the break to the next one
+    edited[1].hash = auditEntryHash(edited[1]);
+    assert.equal(verifyAuditChain(edited).seq, 3);
+    assert.equal(verifyAuditChain(edited).error, 'Entry does not follow the previous entry');
+
+    const dropped = [entries[0], entries[2], entries[3]];
+    assert.equal(verifyAuditChain(dropped).error, 'Expected entry 2, found 3');
+
+    const reordered = [entries[1], entries[0], entries[2], entries[3]];
+    assert.equal(verifyAuditChain(reordered).seq, 1);
+});
+
+test('instances sharing a file continue each other\'s chain', async () => {
+    const first = new FileAuditLog({ filePath });
+    const second = new FileAuditLog({ filePath });
+
+    await first.append({ route: '/api/revoke' });
+    await second.append({ route: '/api/revoke' });
+    await first.append({ route: '/api/revoke' });
+
+    const entries = readAuditFile(filePath);
+    assert.deepEqual(entries.map(({ seq }) => seq), [1, 2, 3]);
+    assert.equal(verifyAuditChain(entries).valid, true);
+});
+
+test('concurrent writers in separate processes keep one chain', async () => {
+    await Promise.all([appendFromChild(400), appendFromChild(400)]);
+
+    const entries = readAuditFile(filePath);
+    assert.equal(entries.length, 800);
+    assert.deepEqual(verifyAuditChain(entries), { valid: true, count: 800, head: entries[799].hash });
+    assert.equal(fs.existsSync(`${filePath}.lock`), false);
+});
+
+test('audit-export checks the chain and exports the log', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const log = new FileAuditLog({ filePath });
+    await log.append({ route: '/api/verify-proof', decision: 'allowed' });
+    await log.append({ route: '/api/deposits', decision: 'denied' });
+
+    const out = path.join(dir, 'export.jsonl');
+    assert.equal(auditExport(['--out', out], { env: { GAP_AUDIT_LOG_FILE: filePath } }), 0);
+    assert.deepEqual(readAuditFile(out), readAuditFile(filePath));
+    assert.equal(auditExport(['--verify', out]), 0);
+
+    const [first, second] = readAuditFile(out);
+    fs.writeFileSync(out, `${JSON.stringify({ ...first, decision: 'denied' })}\n${JSON.stringify(second)}\n`);
+    assert.equal(auditExport(['--verify', out]), 1);
+    assert.match(console.error.mock.calls.at(-1).arguments[0], /broken at entry 1 of 2/);
+
+    assert.throws(() => auditExport(['--verify', path.join(dir, 'missing.jsonl')]), /No such file/);
+    assert.throws(() => auditExport(['--out']), /--out needs a file name/);
+    assert.throws(() => auditExport(['--all']), /Unknown argument: --all/);
+});
+
+test('reading the audit log needs an operator key', async () => {
+    const config = loadConfig({ env: { GAP_PROOF_STORE: 'memory' } });
+    const gap = new GapService({ config, certificateIssuer: new CertificateIssuer(), residencyIssuers: { keys: [] } });
+    try {
+        const route = gap.route('GET', '/api/audit');
+        const keyless = await gap.handle(route, { query: {} });
+        assert.equal(keyless.status, 401);
+
+        const { apiKey } = await gap.apiKeys.create('default');
+        const keyed = await gap.handle(route, { query: {}, headers: { 'x-api-key': apiKey } });
+        assert.equal(keyed.status, 200);
+    } finally {
+        gap.close();
+    }
+});
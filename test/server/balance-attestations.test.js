@@ -0,0 +1,97 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { poseidonHash } = require('../../src/identity-commitment');
+const { loadConfig } = require('../../src/config');
+const { GapService } = require('../../src/gap-core');
+const { createEntityProofBackend } = require('../../src/proof-backends');
+const { CertificateIssuer } = require('../../src/certificates');
+const { BalanceAttestor, verifyBalanceAttestation } = require('../../src/balance-attestations');
+const { ResidencyAttestor } = require('../../src/residency-attestations');
+
+const ENTITY = { entityId: '1001', secretKey: '987654321', balance: '250000', timestamp: 1760000000 };
+const MAX_UINT64 = ((1n << 64n) - 1n).toString();
+
+test('an attestation signs the commitment of the checked balance', async () => {
+    const attestor = new BalanceAttestor({ issuer: 'bank-test' });
+    const { token, commitment } = await attestor.attest(ENTITY);
+
+    assert.equal(commitment, await poseidonHash(['1001', '987654321', '250000', 1760000000]));
+    const payload = verifyBalanceAttestation(token, attestor.jwks());
+    assert.equal(payload.sub, commitment);
+    assert.equal(payload.iss, 'bank-test');
+});
+
+test('untrusted, expired and residency attestations are refused', async () => {
+    const attestor = new BalanceAttestor({ lifetimeMs: 1000 });
+    const { token } = await attestor.attest(ENTITY);
+
+    assert.throws(() => verifyBalanceAttestation(token, new BalanceAttestor().jwks()), /Unknown balance attestation key/);
+    assert.throws(() => verifyBalanceAttestation(token, attestor.jwks(), { now: Date.now() + 2000 }), /expired/);
+
+    const residency = new ResidencyAttestor();
+    const { token: residencyToken } = await residency.attest({
+        birthYear: 1990, birthMonth: 5, birthDay: 15, identitySecret: '1', jurisdiction: 'GB'
+    });
+    assert.throws(() => verifyBalanceAttestation(residencyToken, residency.jwks()), /Not a balance attestation/);
+});
+
+const attestor = new BalanceAttestor({ issuer: 'bank-test' });
+const config = loadConfig({ env: { GAP_PROOF_STORE: 'memory' } });
+const gap = new GapService({
+    config,
+    entityProofBackend: createEntityProofBackend('simulated', config),
+    certificateIssuer: new CertificateIssuer(),
+    residencyIssuers: { keys: [] },
+    balanceIssuers: attestor.jwks()
+});
+after(() => gap.close());
+
+const call = (method, routePath, body, headers = {}) => gap.handle(gap.route(method, routePath), { body, headers });
+const walletAddress = () => `0x${crypto.randomBytes(20).toString('hex')}`;
+
+test('proofs of funds need an attested commitment', async () => {
+    const inflated = { ...ENTITY, balance: MAX_UINT64 };
+    const commitment = await poseidonHash([inflated.entityId, inflated.secretKey, inflated.balance, inflated.timestamp]);
+    const { token: selfSigned } = await new BalanceAttestor().attest(inflated);
+    const { token: otherBalance } = await attestor.attest(ENTITY);
+
+    for (const attestation of [selfSigned, otherBalance]) {
+        const refused = await call('POST', '/api/entity/proof', {
+            ...inflated, commitment, attestation, minBalance: '100000', walletAddress: walletAddress()
+        });
+        assert.equal(refused.status, 403);
+        assert.equal(refused.body.code, 'BALANCE_NOT_ATTESTED');
+    }
+
+    const missing = await call('POST', '/api/entity/proof', {
+        ...inflated, commitment, minBalance: '100000', walletAddress: walletAddress()
+    });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.errors[0].field, 'attestation');
+
+    assert.equal(gap.route('POST', '/api/entity/commitment'), null);
+});
+
+test('proofs for other thresholds on one commitment are found by their own hash', async () => {
+    const { token: attestation, commitment } = await attestor.attest(ENTITY);
+    const wallet = walletAddress();
+    const prove = (minBalance) => call('POST', '/api/entity/proof', {
+        ...ENTITY, commitment, attestation, minBalance, walletAddress: wallet
+    });
+
+    const { body: high } = await prove('200000');
+    const { body: low } = await prove('1000');
+    assert.equal(high.validEntity, true);
+    assert.notEqual(high.proofHash, low.proofHash);
+
+    const { apiKey } = await gap.apiKeys.create('default');
+    const verified = await call(
+        'POST', '/api/entity/verify',
+        { proofHash: high.proofHash, walletAddress: wallet, minBalance: '200000' },
+        { authorization: `Bearer ${apiKey}` }
+    );
+    assert.equal(verified.status, 200);
+    assert.equal(verified.body.minBalance, '200000');
+    assert.equal(verified.body.meetsThreshold, true);
+});
@@ -0,0 +1,95 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { loadConfig } = require('../../src/config');
+const { GapService } = require('../../src/gap-core');
+const { createProofBackend } = require('../../src/proof-backends');
+const { CertificateIssuer, verifyCertificate } = require('../../src/certificates');
+
+const config = loadConfig({ env: { GAP_PROOF_BACKEND: 'simulated', GAP_PROOF_STORE: 'memory' } });
+const gap = new GapService({
+    config,
+    proofBackend: createProofBackend('simulated', config),
+    certificateIssuer: new CertificateIssuer({ issuer: 'gap-test' }),
+    residencyIssuers: { keys: [] }
+});
+after(() => gap.close());
+
+const call = (method, routePath, body) =>
+    gap.handle(gap.route(method, routePath), method === 'GET' ? { query: body } : { body });
+
+async function proveAge() {
+    const player = { birthYear: 1990, birthMonth: 5, birthDay: 15, identitySecret: String(crypto.randomInt(1, 2 ** 47)) };
+    const walletAddress = `0x${crypto.randomBytes(20).toString('hex')}`;
+    const { body: { commitment } } = await call('POST', '/api/generate-commitment', player);
+    const { body } = await call('POST', '/api/generate-proof', { ...player, identityCommitment: commitment, walletAddress });
+    assert.ok(body.proofId, JSON.stringify(body));
+    return { ...body, walletAddress };
+}
+
+const eligibility = (proof, request) => call('POST', '/api/betting-eligibility', {
+    proofId: proof.proofId,
+    walletAddress: proof.walletAddress,
+    ...request
+});
+
+test('betting eligibility returns a certificate partners can verify offline', async () => {
+    const proof = await proveAge();
+    const { status, body } = await eligibility(proof, { bettingAmount: 100, jurisdiction: 'GB', issueCertificate: true });
+    assert.equal(status, 200);
+    assert.equal(body.canBet, true);
+
+    const { body: jwks } = await call('GET', '/.well-known/jwks.json', {});
+    const certificate = verifyCertificate(body.certificate.token, jwks, { issuer: 'gap-test' });
+
+    assert.equal(certificate.jti, body.certificate.certificateId);
+    assert.equal(certificate.tenant, 'default');
+    assert.equal(certificate.proof_hash, proof.proofHash);
+    assert.equal(certificate.is_eligible, true);
+    assert.equal(certificate.jurisdiction, body.jurisdiction);
+    assert.equal(certificate.max_bet_amount, body.maxBet);
+    assert.equal(new Date(certificate.exp * 1000).toISOString(), body.certificate.expiresAt);
+    // The certificate never outlives the proof it is based on
+    assert.ok(certificate.exp * 1000 <= Date.parse(proof.expiresAt));
+});
+
+test('certificates are only issued when asked for and the player can bet', async () => {
+    const proof = await proveAge();
+
+    const notRequested = await eligibility(proof, { bettingAmount: 100 });
+    assert.equal(notRequested.body.canBet, true);
+    assert.equal(notRequested.body.certificate, undefined);
+
+    const overMaxBet = await eligibility(proof, { bettingAmount: 1000000, issueCertificate: true });
+    assert.equal(overMaxBet.body.canBet, false);
+    assert.equal(overMaxBet.body.certificate, undefined);
+});
+
+test('certificates are capped at the proof expiry and the issuer lifetime', () => {
+    const issuer = new CertificateIssuer({ lifetimeMs: 60 * 60 * 1000 });
+    const inTenMinutes = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+    const inTwoHours = new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString();
+
+    const short = issuer.issue({ tenant: 'default', proofHash: '1', jurisdiction: 'GB', maxBet: 100, proofExpiresAt: inTenMinutes });
+    assert.ok(Date.parse(short.expiresAt) <= Date.parse(inTenMinutes));
+
+    const capped = issuer.issue({ tenant: 'default', proofHash: '1', jurisdiction: 'GB', maxBet: 100, proofExpiresAt: inTwoHours });
+    assert.ok(Date.parse(capped.expiresAt) <= Date.now() + 60 * 60 * 1000);
+});
+
+test('forged, foreign and expired certificates are refused', () => {
+    const issuer = new CertificateIssuer({ lifetimeMs: 1000 });
+    const { token } = issuer.issue({ tenant: 'default', proofHash: '1', jurisdiction: 'GB', maxBet: 100 });
+
+    const [header, payload, signature] = token.split('.');
+    const raised = Buffer.from(JSON.stringify({
+        ...JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')),
+        max_bet_amount: 1000000
+    })).toString('base64url');
+
+    assert.throws(() => verifyCertificate(`${header}.${raised}.${signature}`, issuer.jwks()), /Invalid certificate signature/);
+    assert.throws(() => verifyCertificate(token, new CertificateIssuer().jwks()), /Unknown certificate key/);
+    assert.throws(() => verifyCertificate(token, issuer.jwks(), { now: Date.now() + 2000 }), /expired/);
+    assert.throws(() => verifyCertificate(token, issuer.jwks(), { issuer: 'someone-else' }), /Unexpected certificate issuer/);
+    assert.throws(() => verifyCertificate('not-a-token', issuer.jwks()), /Malformed certificate/);
+});
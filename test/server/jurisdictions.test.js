@@ -0,0 +1,141 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JurisdictionRules } = require('../../src/jurisdictions');
+
+const RULES = {
+    default: { minAge: 18, maxBet: 100, currency: 'USD', restricted: false, wagerLimits: { daily: 500 } },
+    aliases: { USA: 'US' },
+    regions: {
+        US: { name: 'United States', minAge: 21, wagerLimits: { weekly: 2000 } },
+        'US-NJ': { parent: 'US', maxBet: 50, wagerLimits: { daily: 200 }, depositLimits: { monthly: 1000 } },
+        'US-NV': { parent: 'US', minAge: 18, restricted: true }
+    }
+};
+
+let dir;
+let filePath;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jurisdictions-'));
+    filePath = path.join(dir, 'jurisdictions.json');
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function rulesFrom(data, options = { watch: false }) {
+    fs.writeFileSync(filePath, JSON.stringify(data));
+    return new JurisdictionRules({ filePath, ...options });
+}
+
+test('regions inherit what they do not set from their parent and the default', () => {
+    const rules = rulesFrom(RULES);
+
+    assert.deepEqual(rules.resolve('US-NJ'), {
+        code: 'US-NJ',
+        name: 'US-NJ',
+        parent: 'US',
+        minAge: 21,
+        maxBet: 50,
+        currency: 'USD',
+        restricted: false,
+        wagerLimits: { daily: 200, weekly: 2000, monthly: null },
+        depositLimits: { daily: null, weekly: null, monthly: 1000 }
+    });
+
+    const nevada = rules.resolve('us-nv');
+    assert.equal(nevada.minAge, 18);
+    assert.equal(nevada.restricted, true);
+    assert.equal(nevada.maxBet, 100);
+    assert.deepEqual(nevada.wagerLimits, { daily: 500, weekly: 2000, monthly: null });
+});
+
+test('aliases, unlisted subdivisions and unknown codes resolve', () => {
+    const rules = rulesFrom(RULES);
+
+    assert.equal(rules.resolve('USA').name, 'United States');
+    // An unlisted subdivision falls back to its country
+    assert.equal(rules.resolve('US-WY').code, 'US');
+    assert.equal(rules.resolve('XX').code, 'default');
+    assert.equal(rules.resolve(undefined).minAge, 18);
+    assert.deepEqual(rules.list().map(({ code }) => code), ['US', 'US-NJ', 'US-NV']);
+});
+
+test('unknown parents and parent cycles are refused', () => {
+    assert.throws(
+        () => rulesFrom({ ...RULES, regions: { 'US-NJ': { parent: 'US' } } }),
+        /Jurisdiction US-NJ has unknown parent US/
+    );
+    assert.throws(
+        () => rulesFrom({ ...RULES, regions: { A: { parent: 'B' }, B: { parent: 'C' }, C: { parent: 'A' } } }),
+        /circular parent chain/
+    );
+    assert.throws(() => rulesFrom({ ...RULES, regions: { A: { parent: 'A' } } }), /circular parent chain/);
+});
+
+test('incomplete defaults and bad limits are refused', () => {
+    assert.throws(() => rulesFrom({ regions: {} }), /must define "default"/);
+    assert.throws(() => rulesFrom({ default: { minAge: 18, maxBet: 100, currency: 'USD' } }), /missing "restricted"/);
+    assert.throws(
+        () => rulesFrom({ ...RULES, regions: { GB: { wagerLimits: { hourly: 10 } } } }),
+        /unknown wagerLimits window "hourly"/
+    );
+    assert.throws(
+        () => rulesFrom({ ...RULES, regions: { GB: { depositLimits: { daily: -1 } } } }),
+        /depositLimits.daily must be a non-negative number or null/
+    );
+});
+
+test('a reload picks up a changed file and keeps the old rules on a bad one', (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const rules = rulesFrom(RULES);
+
+    const stricter = structuredClone(RULES);
+    stricter.regions['US-NJ'].maxBet = 25;
+    fs.writeFileSync(filePath, JSON.stringify(stricter));
+    rules.reload();
+    assert.equal(rules.resolve('US-NJ').maxBet, 25);
+
+    fs.writeFileSync(filePath, '{ "default": ');
+    rules.reload();
+    assert.equal(rules.resolve('US-NJ').maxBet, 25);
+
+    fs.writeFileSync(filePath, JSON.stringify({ ...stricter, regions: { ...stricter.regions, GB: { parent: 'UK' } } }));
+    rules.reload();
+    assert.equal(rules.resolve('US-NJ').maxBet, 25);
+    assert.equal(rules.resolve('GB').code, 'default');
+
+    // A residency set that fails after validation must not leave half-loaded rules
+    fs.writeFileSync(filePath, JSON.stringify({
+        ...RULES,
+        regions: { ...RULES.regions, GB: { currency: 'GBP' } },
+        residencySets: { mixed: ['US-NJ', 'GB'] }
+    }));
+    rules.reload();
+    assert.equal(rules.resolve('US-NJ').maxBet, 25);
+    assert.equal(rules.residencySet('mixed'), null);
+
+    assert.equal(console.error.mock.callCount(), 3);
+    assert.match(console.error.mock.calls[1].arguments[0], /keeping previous rules: Jurisdiction GB has unknown parent UK/);
+});
+
+test('the rules file is watched for changes', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const rules = rulesFrom(RULES, { watch: true });
+    try {
+        // Let the watcher take its first look at the file before changing it
+        await new Promise((resolve) => setTimeout(resolve, 1100));
+        fs.writeFileSync(filePath, JSON.stringify({ ...RULES, default: { ...RULES.default, maxBet: 75 } }));
+
+        const deadline = Date.now() + 10 * 1000;
+        while (rules.resolve('GB').maxBet !== 75 && Date.now() < deadline) {
+            await new Promise((resolve) => setTimeout(resolve, 100));
+        }
+        assert.equal(rules.resolve('GB').maxBet, 75);
+    } finally {
+        rules.close();
+    }
+});
@@ -0,0 +1,91 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { MemoryProofStore, FileProofStore } = require('../../src/proof-store');
+const { NullifierRegistry, walletBinding } = require('../../src/nullifier');
+
+const NULLIFIER = path.join(__dirname, '..', '..', 'src', 'nullifier.js');
+const PROOF_STORE = path.join(__dirname, '..', '..', 'src', 'proof-store.js');
+
+const SCOPE = '42';
+const ALICE = walletBinding('mn_addr_test1alice');
+const BOB = walletBinding('mn_addr_test1bob');
+
+let registry;
+
+beforeEach(() => {
+    registry = new NullifierRegistry({ store: new MemoryProofStore() });
+});
+
+test('a nullifier can be claimed again by the same wallet', async () => {
+    await registry.claim('111', ALICE, SCOPE);
+    await registry.claim('111', ALICE, SCOPE);
+    assert.equal((await registry.lookup('111')).walletBinding, ALICE);
+});
+
+test('a nullifier bound to one wallet is refused for another', async () => {
+    await registry.claim('111', ALICE, SCOPE);
+    await assert.rejects(registry.claim('111', BOB, SCOPE), { code: 'IDENTITY_ALREADY_BOUND', status: 409 });
+});
+
+test('a wallet cannot claim a second nullifier with a new secret', async () => {
+    await registry.claim('111', ALICE, SCOPE);
+    await assert.rejects(registry.claim('222', ALICE, SCOPE), { code: 'WALLET_ALREADY_BOUND', status: 409 });
+    assert.equal(await registry.lookup('222'), null);
+});
+
+test('a wallet holds one nullifier per operator scope', async () => {
+    await registry.claim('111', ALICE, SCOPE);
+    await registry.claim('333', ALICE, '43');
+});
+
+test('concurrent claims for one wallet let only one nullifier through', async () => {
+    const results = await Promise.allSettled([
+        registry.claim('111', ALICE, SCOPE),
+        registry.claim('222', ALICE, SCOPE)
+    ]);
+    assert.deepEqual(results.map((result) => result.status).sort(), ['fulfilled', 'rejected']);
+});
+
+/**
+ * From a separate process, starting at `startAt`, claim nullifier i for
+ * wallet `<prefix>-<i>` for i below count; resolves to the accepted i
+ */
+async function claimFromChild(filePath, prefix, count, startAt) {
+    const script = `
+        const { NullifierRegistry } = require(${JSON.stringify(NULLIFIER)});
+        const { FileProofStore } = require(${JSON.stringify(PROOF_STORE)});
+        const registry = new NullifierRegistry({ store: new FileProofStore({ filePath: ${JSON.stringify(filePath)} }) });
+        setTimeout(async () => {
+            const accepted = [];
+            for (let i = 0; i < ${count}; i++) {
+                await registry.claim(String(i), '${prefix}-' + i, '${SCOPE}').then(() => accepted.push(i), () => {});
+            }
+            process.stdout.write(JSON.stringify(accepted));
+        }, ${startAt} - Date.now());
+    `;
+    const { stdout } = await promisify(execFile)(process.execPath, ['-e', script]);
+    return JSON.parse(stdout);
+}
+
+test('instances sharing a file store never bind a nullifier to two wallets', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nullifiers-'));
+    try {
+        const filePath = path.join(dir, 'nullifiers.json');
+        const startAt = Date.now() + 500;
+        const [first, second] = await Promise.all([
+            claimFromChild(filePath, 'first', 200, startAt),
+            claimFromChild(filePath, 'second', 200, startAt)
+        ]);
+
+        // Every nullifier went to exactly one of the two wallets racing for it
+        assert.equal(first.length + second.length, 200);
+        assert.deepEqual([...first, ...second].sort((a, b) => a - b), [...Array(200).keys()]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,92 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { computeProofExpiry, isProofExpired, storeTtlFor, STALE_PROOF_RETENTION_MS } = require('../../src/proof-freshness');
+const { loadConfig } = require('../../src/config');
+const { GapService } = require('../../src/gap-core');
+const { createProofBackend } = require('../../src/proof-backends');
+const { CertificateIssuer } = require('../../src/certificates');
+
+const HOUR_MS = 60 * 60 * 1000;
+const PROOF_LIFETIME_MS = 50;
+
+test('proofs expire a lifetime after acceptance, and no later than a lifetime after their date', () => {
+    const proofDate = { year: 2026, month: 10, day: 19 };
+    const endOfProofDay = Date.UTC(2026, 9, 20);
+
+    const sameDay = Date.UTC(2026, 9, 19, 12);
+    assert.equal(computeProofExpiry({ issuedAt: sameDay, proofDate, lifetimeMs: HOUR_MS }), sameDay + HOUR_MS);
+
+    // Accepting an old proof again does not extend it
+    const weekLater = endOfProofDay + 7 * 24 * HOUR_MS;
+    assert.equal(computeProofExpiry({ issuedAt: weekLater, proofDate, lifetimeMs: HOUR_MS }), endOfProofDay + HOUR_MS);
+
+    assert.equal(computeProofExpiry({ issuedAt: 1000, lifetimeMs: HOUR_MS }), 1000 + HOUR_MS);
+});
+
+test('expired records are kept a while so callers learn they expired', () => {
+    const expiresAt = Date.UTC(2026, 9, 19);
+    const record = { expiresAt: new Date(expiresAt).toISOString() };
+
+    assert.equal(isProofExpired(record, expiresAt), false);
+    assert.equal(isProofExpired(record, expiresAt + 1), true);
+    assert.equal(storeTtlFor(expiresAt, expiresAt - HOUR_MS), HOUR_MS + STALE_PROOF_RETENTION_MS);
+    assert.equal(storeTtlFor(expiresAt, expiresAt + HOUR_MS), STALE_PROOF_RETENTION_MS);
+});
+
+const config = loadConfig({ env: { GAP_PROOF_BACKEND: 'simulated', GAP_PROOF_STORE: 'memory' } });
+const gap = new GapService({
+    config,
+    proofBackend: createProofBackend('simulated', config),
+    certificateIssuer: new CertificateIssuer(),
+    residencyIssuers: { keys: [] },
+    proofLifetimeMs: PROOF_LIFETIME_MS
+});
+after(() => gap.close());
+
+const call = (routePath, body) => gap.handle(gap.route('POST', routePath), { body });
+
+async function expiredProof() {
+    const player = { birthYear: 1990, birthMonth: 5, birthDay: 15, identitySecret: String(crypto.randomInt(1, 2 ** 47)) };
+    const walletAddress = `0x${crypto.randomBytes(20).toString('hex')}`;
+    const { body: { commitment } } = await call('/api/generate-commitment', player);
+    const { body } = await call('/api/generate-proof', { ...player, identityCommitment: commitment, walletAddress });
+    assert.ok(Date.parse(body.expiresAt) <= Date.now() + PROOF_LIFETIME_MS, JSON.stringify(body));
+
+    await new Promise((resolve) => setTimeout(resolve, 2 * PROOF_LIFETIME_MS));
+    return { ...body, walletAddress };
+}
+
+test('expired proofs are refused with 410 PROOF_EXPIRED', async () => {
+    const proof = await expiredProof();
+    const reference = { proofId: proof.proofId, walletAddress: proof.walletAddress };
+
+    const verified = await call('/api/verify-proof', reference);
+    assert.equal(verified.status, 410);
+    assert.deepEqual(
+        [verified.body.code, verified.body.isValid, verified.body.expiresAt],
+        ['PROOF_EXPIRED', false, proof.expiresAt]
+    );
+
+    const betting = await call('/api/betting-eligibility', { ...reference, bettingAmount: 10, issueCertificate: true });
+    assert.equal(betting.status, 410);
+    assert.equal(betting.body.code, 'PROOF_EXPIRED');
+    assert.equal(betting.body.canBet, false);
+    assert.equal(betting.body.certificate, undefined);
+
+    const deposit = await call('/api/deposits', { ...reference, amount: 10 });
+    assert.equal(deposit.status, 410);
+    assert.equal(deposit.body.code, 'PROOF_EXPIRED');
+});
+
+test('an expired proof can still be used to take a break', async () => {
+    const proof = await expiredProof();
+
+    const excluded = await call('/api/self-exclusion', {
+        proofId: proof.proofId,
+        walletAddress: proof.walletAddress,
+        playerToken: proof.playerToken,
+        durationDays: 7
+    });
+    assert.equal(excluded.status, 200);
+});
@@ -0,0 +1,112 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { FileProofStore } = require('../../src/proof-store');
+const { STALE_LOCK_MS, LOCK_TIMEOUT_MS } = require('../../src/file-lock');
+
+const PROOF_STORE = path.join(__dirname, '..', '..', 'src', 'proof-store.js');
+
+let dir;
+let filePath;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proof-store-'));
+    filePath = path.join(dir, 'proofs.json');
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Store `count` records named `<prefix>-<n>` from a separate process
+ */
+function writeFromChild(prefix, count) {
+    const script = `
+        const { FileProofStore } = require(${JSON.stringify(PROOF_STORE)});
+        const store = new FileProofStore({ filePath: ${JSON.stringify(filePath)} });
+        (async () => {
+            for (let i = 0; i < ${count}; i++) {
+                await store.set('${prefix}-' + i, { proofHash: '${prefix}-hash-' + i });
+            }
+        })();
+    `;
+    return promisify(execFile)(process.execPath, ['-e', script]);
+}
+
+test('instances sharing a file see each other\'s records', async () => {
+    const first = new FileProofStore({ filePath });
+    const second = new FileProofStore({ filePath });
+
+    await first.set('a', { proofHash: 'hash-a' });
+    await second.set('b', { proofHash: 'hash-b' });
+
+    assert.equal((await first.get('b')).proofHash, 'hash-b');
+    assert.equal((await second.getByHash('hash-a')).proofId, 'a');
+});
+
+test('concurrent writers in separate processes do not lose records', async () => {
+    await Promise.all([writeFromChild('x', 40), writeFromChild('y', 40)]);
+
+    const store = new FileProofStore({ filePath });
+    for (let i = 0; i < 40; i++) {
+        assert.ok(await store.get(`x-${i}`), `x-${i} missing`);
+        assert.ok(await store.get(`y-${i}`), `y-${i} missing`);
+    }
+    assert.equal(fs.existsSync(`${filePath}.lock`), false);
+});
+
+test('expired records are dropped from the file on the next write', async () => {
+    const store = new FileProofStore({ filePath });
+    await store.set('old', { proofHash: 'hash-old' }, { ttlMs: -1 });
+    await store.set('new', { proofHash: 'hash-new' });
+
+    const { entries } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    assert.deepEqual(Object.keys(entries), ['new']);
+    assert.equal(await store.getByHash('hash-old'), null);
+});
+
+test('a lock left behind by a crashed process is taken over once stale', async () => {
+    const store = new FileProofStore({ filePath });
+    fs.writeFileSync(`${filePath}.lock`, '99999');
+    const stale = (Date.now() - 60 * 1000) / 1000;
+    fs.utimesSync(`${filePath}.lock`, stale, stale);
+
+    await store.set('a', { proofHash: 'hash-a' });
+    assert.equal((await store.get('a')).proofHash, 'hash-a');
+});
+
+test('callers wait for a crashed process\'s lock to go stale without blocking', async () => {
+    const store = new FileProofStore({ filePath });
+    fs.writeFileSync(`${filePath}.lock`, '99999');
+    // Goes stale in about half a second
+    const almostStale = (Date.now() - STALE_LOCK_MS + 500) / 1000;
+    fs.utimesSync(`${filePath}.lock`, almostStale, almostStale);
+
+    let ticks = 0;
+    const timer = setInterval(() => ticks++, 20);
+    try {
+        await store.set('a', { proofHash: 'hash-a' });
+    } finally {
+        clearInterval(timer);
+    }
+
+    assert.equal((await store.get('a')).proofHash, 'hash-a');
+    assert.ok(ticks > 5, `event loop ran ${ticks} timer ticks while waiting`);
+    assert.ok(LOCK_TIMEOUT_MS > STALE_LOCK_MS);
+});
+
+test('update() writes several records as one step, or none when the change throws', async () => {
+    const store = new FileProofStore({ filePath });
+    await store.set('a', { count: 1 });
+
+    const written = await store.update(['a', 'b'], ({ a, b }) => ({ a: { count: a.count + 1 }, b: { count: b ? 0 : 1 } }));
+    assert.deepEqual(written, { a: { count: 2 }, b: { count: 1 } });
+
+    await assert.rejects(store.update(['a'], () => {
+        throw new Error('refused');
+    }), /refused/);
+    assert.equal((await new FileProofStore({ filePath }).get('a')).count, 2);
+});
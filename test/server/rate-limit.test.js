@@ -0,0 +1,119 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TokenBucketLimiter, RateLimiter, ProvingQueue } = require('../../src/rate-limit');
+const { loadConfig } = require('../../src/config');
+const { GapService } = require('../../src/gap-core');
+const { createProofBackend } = require('../../src/proof-backends');
+const { CertificateIssuer } = require('../../src/certificates');
+
+const PLAYER = { birthYear: 1990, birthMonth: 5, birthDay: 15, identitySecret: '31415926535' };
+
+test('buckets refill continuously up to their capacity', () => {
+    const limiter = new TokenBucketLimiter({ capacity: 2, intervalMs: 60 * 1000 });
+
+    assert.equal(limiter.take('a', 0), 0);
+    assert.equal(limiter.take('a', 0), 0);
+    assert.equal(limiter.take('a', 0), 30);
+    assert.equal(limiter.take('b', 0), 0);
+
+    assert.equal(limiter.take('a', 15 * 1000), 15);
+    assert.equal(limiter.take('a', 30 * 1000), 0);
+    assert.equal(limiter.take('a', 30 * 1000), 30);
+
+    // Ten idle minutes still only refill two tokens
+    assert.equal(limiter.take('a', 630 * 1000), 0);
+    assert.equal(limiter.take('a', 630 * 1000), 0);
+    assert.equal(limiter.take('a', 630 * 1000), 30);
+});
+
+test('requests with an API key are charged to the key and the IP', () => {
+    const limiter = new RateLimiter({ perIpPerMinute: 2, perApiKeyPerMinute: 3 });
+
+    assert.equal(limiter.take({ ip: '10.0.0.1', keyId: 'k1' }, 0), 0);
+    assert.equal(limiter.take({ ip: '10.0.0.1', keyId: 'k2' }, 0), 0);
+    // The IP is spent, whichever key is sent
+    assert.equal(limiter.take({ ip: '10.0.0.1', keyId: 'k3' }, 0), 30);
+    assert.equal(limiter.take({ ip: '10.0.0.1' }, 0), 30);
+
+    assert.equal(limiter.take({ ip: '10.0.0.2', keyId: 'k1' }, 0), 0);
+    assert.equal(limiter.take({ ip: '10.0.0.3', keyId: 'k1' }, 0), 0);
+    // The key is spent, whichever IP sends it
+    assert.equal(limiter.take({ ip: '10.0.0.4', keyId: 'k1' }, 0), 20);
+    // ...and the refused request did not use up the IP's tokens
+    assert.equal(limiter.take({ ip: '10.0.0.4' }, 0), 0);
+    assert.equal(limiter.take({ ip: '10.0.0.4' }, 0), 0);
+});
+
+test('the proving queue runs tasks in order and refuses them when full', async () => {
+    const queue = new ProvingQueue({ concurrency: 1, maxQueued: 1 });
+    const started = [];
+    let release;
+    const first = queue.run(() => new Promise((resolve) => {
+        started.push('first');
+        release = resolve;
+    }));
+    const second = queue.run(async () => started.push('second'));
+
+    await assert.rejects(queue.run(async () => started.push('third')), (error) => {
+        assert.equal(error.code, 'PROVING_QUEUE_FULL');
+        assert.equal(error.status, 429);
+        assert.ok(error.retryAfterSeconds >= 1);
+        return true;
+    });
+
+    release();
+    await Promise.all([first, second]);
+    assert.deepEqual(started, ['first', 'second']);
+    assert.equal(queue.running, 0);
+});
+
+const services = [];
+after(() => services.forEach((gap) => gap.close()));
+
+function service(env, proofBackend) {
+    const config = loadConfig({ env: { GAP_PROOF_BACKEND: 'simulated', GAP_PROOF_STORE: 'memory', ...env } });
+    const gap = new GapService({
+        config,
+        proofBackend: proofBackend || createProofBackend('simulated', config),
+        certificateIssuer: new CertificateIssuer(),
+        residencyIssuers: { keys: [] }
+    });
+    services.push(gap);
+    return (routePath, body, remoteAddress = '10.0.0.1') =>
+        gap.handle(gap.route('POST', routePath), { body, remoteAddress });
+}
+
+test('rate-limited routes answer 429 with Retry-After', async () => {
+    const call = service({ GAP_RATE_LIMIT_PER_IP: '2' });
+
+    assert.equal((await call('/api/generate-commitment', PLAYER)).status, 200);
+    assert.equal((await call('/api/generate-commitment', PLAYER)).status, 200);
+
+    const limited = await call('/api/generate-commitment', PLAYER);
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'RATE_LIMITED');
+    assert.equal(limited.headers['Retry-After'], '30');
+    assert.equal(limited.body.retryAfter, 30);
+
+    assert.equal((await call('/api/generate-commitment', PLAYER, '10.0.0.2')).status, 200);
+});
+
+test('proof requests beyond the proving queue answer 429 with Retry-After', async () => {
+    let release;
+    const slowBackend = {
+        generateProof: () => new Promise((resolve, reject) => {
+            release = () => reject(new Error('released'));
+        })
+    };
+    const call = service({ GAP_PROVING_CONCURRENCY: '1', GAP_PROVING_QUEUE_SIZE: '0' }, slowBackend);
+    const request = { ...PLAYER, identityCommitment: '1', walletAddress: '0x01' };
+
+    const running = call('/api/generate-proof', request);
+    const refused = await call('/api/generate-proof', request, '10.0.0.2');
+    assert.equal(refused.status, 429);
+    assert.equal(refused.body.code, 'PROVING_QUEUE_FULL');
+    assert.ok(Number(refused.headers['Retry-After']) >= 1);
+
+    release();
+    assert.equal((await running).status, 400);
+});
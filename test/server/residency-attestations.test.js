@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CertificateIssuer } = require('../../src/certificates');
+const { JurisdictionRules } = require('../../src/jurisdictions');
+const { generateResidencyCommitment } = require('../../src/residency');
+const { ResidencyAttestor, verifyResidencyAttestation } = require('../../src/residency-attestations');
+
+const PLAYER = { birthYear: 1990, birthMonth: 5, birthDay: 15, identitySecret: '31415926535', jurisdiction: 'US-NJ' };
+
+test('an attestation signs the residency commitment of the checked data', async () => {
+    const attestor = new ResidencyAttestor({ issuer: 'kyc-test' });
+    const { token, commitment } = await attestor.attest(PLAYER);
+
+    assert.equal(commitment, await generateResidencyCommitment(1990, 5, 15, '31415926535', 'US-NJ'));
+    const payload = verifyResidencyAttestation(token, attestor.jwks());
+    assert.equal(payload.sub, commitment);
+    assert.equal(payload.iss, 'kyc-test');
+});
+
+test('attestations from untrusted keys are refused', async () => {
+    const { token } = await new ResidencyAttestor().attest(PLAYER);
+    assert.throws(() => verifyResidencyAttestation(token, new ResidencyAttestor().jwks()), /Unknown residency attestation key/);
+});
+
+test('a certificate from a trusted key is not an attestation', () => {
+    const issuer = new CertificateIssuer();
+    const { token } = issuer.issue({ proofHash: '1', jurisdiction: 'GB', maxBet: 100 });
+    assert.throws(() => verifyResidencyAttestation(token, issuer.jwks()), /Not a residency attestation/);
+});
+
+test('expired attestations are refused', async () => {
+    const attestor = new ResidencyAttestor({ lifetimeMs: 1000 });
+    const { token } = await attestor.attest(PLAYER);
+    assert.throws(() => verifyResidencyAttestation(token, attestor.jwks(), { now: Date.now() + 2000 }), /expired/);
+});
+
+function rulesWithSets(residencySets) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jurisdictions-'));
+    const filePath = path.join(dir, 'jurisdictions.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+        default: { minAge: 18, maxBet: 100, currency: 'USD', restricted: false },
+        regions: {
+            US: { minAge: 21 },
+            'US-NJ': { parent: 'US' },
+            'US-NH': { parent: 'US', minAge: 18 },
+            GB: { currency: 'GBP' }
+        },
+        residencySets
+    }));
+    try {
+        return new JurisdictionRules({ filePath, watch: false });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('residency sets come from the rules file', () => {
+    const rules = rulesWithSets({ 'us-east': ['US-NJ', 'US-NH'] });
+
+    assert.deepEqual(rules.residencySet('us-east'), ['US-NH', 'US-NJ']);
+    assert.equal(rules.residencySet('toString'), null);
+    assert.equal(rules.isWithin('us-nj', ['US-NJ']), true);
+    assert.equal(rules.isWithin('US-NJ', ['US']), true);
+    assert.equal(rules.isWithin('US', ['US-NJ']), false);
+});
+
+test('residency sets with unknown members or mixed currencies are refused', () => {
+    assert.throws(() => rulesWithSets({ bad: ['US-XX'] }), /unknown jurisdiction US-XX/);
+    assert.throws(() => rulesWithSets({ mixed: ['US-NJ', 'GB'] }), /share a currency/);
+    assert.throws(() => rulesWithSets({ Bad: ['GB'] }), /Invalid residency set name/);
+});
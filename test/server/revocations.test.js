@@ -0,0 +1,208 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { loadConfig } = require('../../src/config');
+const { GapService } = require('../../src/gap-core');
+const { createProofBackend } = require('../../src/proof-backends');
+const { MemoryProofStore, FileProofStore } = require('../../src/proof-store');
+const { RevocationRegistry } = require('../../src/revocations');
+const {
+    CertificateIssuer,
+    verifyCertificate,
+    verifyRevocationList,
+    certificateRevocation
+} = require('../../src/certificates');
+
+const ADMIN_KEY = crypto.randomBytes(32).toString('hex');
+const REVOCATIONS = path.join(__dirname, '..', '..', 'src', 'revocations.js');
+const PROOF_STORE = path.join(__dirname, '..', '..', 'src', 'proof-store.js');
+
+test('revocations are permanent and keep the first reason', async () => {
+    const registry = new RevocationRegistry({ store: new MemoryProofStore() });
+
+    const [first] = await registry.revoke([{ type: 'proof', id: '11' }], { reason: 'OPERATOR_REQUEST', now: 1000 });
+    const [again] = await registry.revoke([{ type: 'proof', id: '11' }], { reason: 'COURT_ORDER', now: 2000 });
+
+    assert.deepEqual(again, first);
+    assert.equal(again.reason, 'OPERATOR_REQUEST');
+    assert.equal(await registry.check([{ type: 'identity', id: '11' }]), null);
+    assert.equal((await registry.check([{ type: 'certificate' }, { type: 'proof', id: '11' }])).reason, 'OPERATOR_REQUEST');
+    await assert.rejects(registry.revoke([{ type: 'wallet', id: '1' }], { reason: 'COURT_ORDER' }), /Unknown revocation type/);
+});
+
+test('concurrent revocations are all kept, oldest first', async () => {
+    const registry = new RevocationRegistry({ store: new MemoryProofStore() });
+
+    await Promise.all([3, 1, 2].map((n) => registry.revoke(
+        [{ type: 'certificate', id: `c${n}` }],
+        { reason: 'OPERATOR_REQUEST', now: n * 1000 }
+    )));
+
+    assert.deepEqual((await registry.list()).map(({ id }) => id), ['c1', 'c2', 'c3']);
+});
+
+/**
+ * Revoke `count` certificates named `<prefix>-<n>` from a separate process
+ */
+function revokeFromChild(filePath, prefix, count) {
+    const script = `
+        const { RevocationRegistry } = require(${JSON.stringify(REVOCATIONS)});
+        const { FileProofStore } = require(${JSON.stringify(PROOF_STORE)});
+        const registry = new RevocationRegistry({ store: new FileProofStore({ filePath: ${JSON.stringify(filePath)} }) });
+        (async () => {
+            for (let i = 0; i < ${count}; i++) {
+                await registry.revoke([{ type: 'certificate', id: '${prefix}-' + i }], { reason: 'OPERATOR_REQUEST' });
+            }
+        })();
+    `;
+    return promisify(execFile)(process.execPath, ['-e', script]);
+}
+
+test('revocations from separate processes sharing a file are all kept', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'revocations-'));
+    try {
+        const filePath = path.join(dir, 'revocations.json');
+        await Promise.all([revokeFromChild(filePath, 'x', 100), revokeFromChild(filePath, 'y', 100)]);
+
+        const registry = new RevocationRegistry({ store: new FileProofStore({ filePath }) });
+        assert.equal((await registry.list()).length, 200);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('the signed status list covers certificates of its tenant only', () => {
+    const issuer = new CertificateIssuer();
+    const { token, certificateId } = issuer.issue({ tenant: 'brand-a', proofHash: '42', jurisdiction: 'GB', maxBet: 100 });
+    const certificate = verifyCertificate(token, issuer.jwks());
+    assert.equal(certificate.tenant, 'brand-a');
+
+    const listFor = (tenant, revocations) =>
+        verifyRevocationList(issuer.issueRevocationList({ tenant, revocations }).token, issuer.jwks());
+
+    assert.equal(certificateRevocation(certificate, listFor('brand-a', [])), null);
+    assert.equal(certificateRevocation(certificate, listFor('brand-a', [{ type: 'certificate', id: certificateId }])).id, certificateId);
+    assert.equal(certificateRevocation(certificate, listFor('brand-a', [{ type: 'proof', id: '42' }])).type, 'proof');
+    assert.throws(
+        () => certificateRevocation(certificate, listFor('brand-b', [])),
+        /Revocation list is for tenant brand-b/
+    );
+});
+
+test('status lists are signed, typed and expire', () => {
+    const issuer = new CertificateIssuer();
+    const { token } = issuer.issueRevocationList({ tenant: 'default', revocations: [], lifetimeMs: 1000 });
+
+    assert.throws(() => verifyRevocationList(token, new CertificateIssuer().jwks()), /Unknown revocation list key/);
+    assert.throws(() => verifyRevocationList(token, issuer.jwks(), { now: Date.now() + 2000 }), /expired/);
+    assert.throws(() => verifyCertificate(token, issuer.jwks()), /Not a certificate/);
+
+    const [header, payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({
+        ...JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')),
+        revocations: [{ type: 'proof', id: '1' }]
+    })).toString('base64url');
+    assert.throws(() => verifyRevocationList(`${header}.${forged}.${signature}`, issuer.jwks()), /Invalid revocation list signature/);
+});
+
+const services = [];
+after(() => services.forEach((gap) => gap.close()));
+
+function service(env = {}) {
+    const config = loadConfig({ env: { GAP_PROOF_BACKEND: 'simulated', GAP_PROOF_STORE: 'memory', ...env } });
+    const gap = new GapService({
+        config,
+        proofBackend: createProofBackend('simulated', config),
+        certificateIssuer: new CertificateIssuer(),
+        residencyIssuers: { keys: [] }
+    });
+    services.push(gap);
+    const call = (method, routePath, input = {}, headers = {}) =>
+        gap.handle(gap.route(method, routePath), method === 'GET' ? { query: input, headers } : { body: input, headers });
+    return { gap, call };
+}
+
+async function proveAge(call) {
+    const player = { birthYear: 1990, birthMonth: 5, birthDay: 15, identitySecret: String(crypto.randomInt(1, 2 ** 47)) };
+    const walletAddress = `0x${crypto.randomBytes(20).toString('hex')}`;
+    const { body: { commitment } } = await call('POST', '/api/generate-commitment', player);
+    const { body } = await call('POST', '/api/generate-proof', { ...player, identityCommitment: commitment, walletAddress });
+    assert.ok(body.proofId, JSON.stringify(body));
+    return { ...body, walletAddress };
+}
+
+test('revoking needs an operator key even when keys are optional elsewhere', async () => {
+    const { gap, call } = service();
+    const proof = await proveAge(call);
+
+    const keyless = await call('POST', '/api/revoke', { proofId: proof.proofId, reason: 'OPERATOR_REQUEST' });
+    assert.equal(keyless.status, 401);
+    assert.equal(keyless.body.code, 'UNAUTHORIZED');
+
+    const { apiKey } = await gap.apiKeys.create('default');
+    const revoked = await call(
+        'POST', '/api/revoke',
+        { proofId: proof.proofId, reason: 'OPERATOR_REQUEST' },
+        { authorization: `Bearer ${apiKey}` }
+    );
+    assert.equal(revoked.status, 200);
+    assert.deepEqual(revoked.body.revocations.map(({ type }) => type), ['proof']);
+
+    const { body: { token } } = await call('GET', '/api/revocations');
+    const list = verifyRevocationList(token, gap.certificates.jwks());
+    assert.equal(list.tenant, 'default');
+    assert.equal(list.revocations[0].id, proof.proofHash);
+});
+
+test('revoking an identity needs the admin key', async () => {
+    const { gap, call } = service({ GAP_ADMIN_API_KEY: ADMIN_KEY });
+    const proof = await proveAge(call);
+    const { apiKey } = await gap.apiKeys.create('default');
+    const request = { proofId: proof.proofId, identity: true, reason: 'FRAUDULENT_IDENTITY' };
+
+    const byOperator = await call('POST', '/api/revoke', request, { authorization: `Bearer ${apiKey}` });
+    assert.equal(byOperator.status, 401);
+    assert.equal(await gap.tenants.get('default').revocations.check([{ type: 'proof', id: proof.proofHash }]), null);
+
+    const byAdmin = await call('POST', '/api/revoke', request, { 'x-api-key': ADMIN_KEY });
+    assert.equal(byAdmin.status, 200);
+    assert.deepEqual(byAdmin.body.revocations.map(({ type }) => type), ['proof', 'identity', 'identity']);
+
+    const disabled = service();
+    const refused = await disabled.call('POST', '/api/revoke', request, { 'x-api-key': ADMIN_KEY });
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.code, 'ADMIN_DISABLED');
+});
+
+test('only certificates the tenant issued can be revoked', async () => {
+    const { gap, call } = service();
+    const { apiKey } = await gap.apiKeys.create('default');
+    const operator = { authorization: `Bearer ${apiKey}` };
+    const proof = await proveAge(call);
+    const other = await proveAge(call);
+
+    const { body: eligibility } = await call('POST', '/api/betting-eligibility', {
+        proofId: proof.proofId,
+        walletAddress: proof.walletAddress,
+        bettingAmount: 10,
+        issueCertificate: true
+    }, operator);
+    const { certificateId } = eligibility.certificate;
+
+    const madeUp = await call('POST', '/api/revoke', { certificateId: 'a'.repeat(24), reason: 'OPERATOR_REQUEST' }, operator);
+    assert.equal(madeUp.status, 400);
+    assert.equal(madeUp.body.errors[0].code, 'UNKNOWN_CERTIFICATE');
+
+    const wrongProof = await call('POST', '/api/revoke', { certificateId, proofId: other.proofId, reason: 'OPERATOR_REQUEST' }, operator);
+    assert.equal(wrongProof.status, 400);
+    assert.match(wrongProof.body.error, /not issued for this proof/);
+
+    const revoked = await call('POST', '/api/revoke', { certificateId, reason: 'OPERATOR_REQUEST' }, operator);
+    assert.equal(revoked.status, 200);
+    assert.deepEqual(revoked.body.revocations.map(({ type, id }) => [type, id]), [['certificate', certificateId]]);
+});
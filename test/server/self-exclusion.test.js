@@ -0,0 +1,84 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { loadConfig } = require('../../src/config');
+const { GapService } = require('../../src/gap-core');
+const { createProofBackend } = require('../../src/proof-backends');
+const { CertificateIssuer } = require('../../src/certificates');
+
+const config = loadConfig({ env: { GAP_PROOF_BACKEND: 'simulated', GAP_PROOF_STORE: 'memory' } });
+const gap = new GapService({
+    config,
+    proofBackend: createProofBackend('simulated', config),
+    certificateIssuer: new CertificateIssuer(),
+    residencyIssuers: { keys: [] }
+});
+after(() => gap.close());
+
+const call = (method, routePath, body, headers = {}) => gap.handle(gap.route(method, routePath), { body, headers });
+
+async function proveAge() {
+    const player = { birthYear: 1990, birthMonth: 5, birthDay: 15, identitySecret: String(crypto.randomInt(1, 2 ** 47)) };
+    const walletAddress = `0x${crypto.randomBytes(20).toString('hex')}`;
+    const { body: { commitment } } = await call('POST', '/api/generate-commitment', player);
+    const { body } = await call('POST', '/api/generate-proof', { ...player, identityCommitment: commitment, walletAddress });
+    assert.ok(body.playerToken, JSON.stringify(body));
+    return { ...body, walletAddress };
+}
+
+const bet = (proof) => call('POST', '/api/betting-eligibility', {
+    proofId: proof.proofId,
+    walletAddress: proof.walletAddress,
+    bettingAmount: 10
+});
+
+test('knowing the proof hash and wallet is not enough to exclude a player', async () => {
+    const proof = await proveAge();
+    const request = { proofHash: proof.proofHash, walletAddress: proof.walletAddress, permanent: true };
+
+    const anonymous = await call('POST', '/api/self-exclusion', request);
+    assert.equal(anonymous.status, 403);
+    assert.equal(anonymous.body.code, 'PLAYER_TOKEN_INVALID');
+
+    const guessed = await call('POST', '/api/self-exclusion', { ...request, playerToken: 'x'.repeat(43) });
+    assert.equal(guessed.status, 403);
+
+    assert.equal((await bet(proof)).status, 200);
+});
+
+test('the player token is not stored with the proof', async () => {
+    const proof = await proveAge();
+    const record = await gap.tenants.get('default').proofStore.get(proof.proofId);
+
+    assert.equal(JSON.stringify(record).includes(proof.playerToken), false);
+});
+
+test('the player can exclude themselves with the token from their proof', async () => {
+    const proof = await proveAge();
+
+    const excluded = await call('POST', '/api/self-exclusion', {
+        proofId: proof.proofId,
+        walletAddress: proof.walletAddress,
+        playerToken: proof.playerToken,
+        durationDays: 30
+    });
+    assert.equal(excluded.status, 200);
+    assert.equal(excluded.body.excluded, true);
+
+    const refused = await bet(proof);
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.code, 'SELF_EXCLUDED');
+});
+
+test('an operator key vouches for the player', async () => {
+    const proof = await proveAge();
+    const { apiKey } = await gap.apiKeys.create('default');
+
+    const excluded = await call(
+        'POST', '/api/self-exclusion',
+        { proofHash: proof.proofHash, walletAddress: proof.walletAddress, durationDays: 1 },
+        { authorization: `Bearer ${apiKey}` }
+    );
+    assert.equal(excluded.status, 200);
+    assert.equal((await bet(proof)).status, 403);
+});
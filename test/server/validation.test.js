@@ -0,0 +1,176 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { FIELD_MODULUS } = require('../../src/identity-commitment');
+const {
+    MAX_AGE_YEARS,
+    BIRTH_DATE_FIELDS,
+    optional,
+    integer,
+    string,
+    fieldElement,
+    unsignedInteger,
+    list,
+    requireOneOf,
+    birthDateCheck,
+    checkBirthDate,
+    daysInMonth,
+    validate
+} = require('../../src/validation');
+const { loadConfig } = require('../../src/config');
+const { GapService } = require('../../src/gap-core');
+const { createProofBackend } = require('../../src/proof-backends');
+const { CertificateIssuer } = require('../../src/certificates');
+
+const BIRTH_DATE = { fields: BIRTH_DATE_FIELDS, checks: [birthDateCheck()] };
+const THIS_YEAR = new Date().getFullYear();
+
+const codes = (errors) => errors.map(({ code, field }) => `${field}:${code}`);
+
+test('every problem is reported as { code, field, message }', () => {
+    const schema = {
+        fields: {
+            name: string({ maxLength: 4 }),
+            count: integer({ min: 1, max: 3 }),
+            note: optional(string())
+        }
+    };
+
+    const errors = validate(schema, { name: 'too long', count: '2' });
+    assert.deepEqual(errors, [
+        { code: 'TOO_LONG', field: 'name', message: 'name must be at most 4 characters' },
+        { code: 'INVALID_TYPE', field: 'count', message: 'count must be an integer' }
+    ]);
+
+    assert.deepEqual(codes(validate(schema, { name: '', count: null })), ['name:REQUIRED', 'count:REQUIRED']);
+    assert.deepEqual(codes(validate(schema, null)), ['name:REQUIRED', 'count:REQUIRED']);
+    assert.deepEqual(codes(validate(schema, [1, 2])), ['name:REQUIRED', 'count:REQUIRED']);
+    assert.deepEqual(validate(schema, { name: 'ok', count: 3 }), []);
+});
+
+test('integers, strings and lists check type, range and format', () => {
+    const schema = {
+        fields: {
+            count: integer({ min: 1, max: 3 }),
+            code: string({ pattern: /^[A-Z]{2}$/, format: 'two capital letters' }),
+            items: list(integer({ min: 0, max: 9 }), { minLength: 1, maxLength: 2 })
+        }
+    };
+
+    assert.deepEqual(validate(schema, { count: 4, code: 'gb', items: [1, 2, 3] }), [
+        { code: 'OUT_OF_RANGE', field: 'count', message: 'count must be between 1 and 3' },
+        { code: 'INVALID_FORMAT', field: 'code', message: 'code must be two capital letters' },
+        { code: 'INVALID_LENGTH', field: 'items', message: 'items must have 1 to 2 items' }
+    ]);
+    assert.deepEqual(codes(validate(schema, { count: 1.5, code: 'GB', items: [1, 10] })), [
+        'count:INVALID_TYPE',
+        'items[1]:OUT_OF_RANGE'
+    ]);
+    assert.deepEqual(codes(validate(schema, { count: 2, code: 'GB', items: 'x' })), ['items:INVALID_TYPE']);
+});
+
+test('birth years run from MAX_AGE_YEARS ago to this year', () => {
+    const date = (birthYear) => ({ birthYear, birthMonth: 1, birthDay: 1 });
+
+    assert.deepEqual(validate(BIRTH_DATE, date(THIS_YEAR - MAX_AGE_YEARS)), []);
+    assert.deepEqual(codes(validate(BIRTH_DATE, date(THIS_YEAR - MAX_AGE_YEARS - 1))), ['birthYear:OUT_OF_RANGE']);
+    assert.deepEqual(codes(validate(BIRTH_DATE, date(THIS_YEAR + 1))), ['birthYear:OUT_OF_RANGE']);
+    assert.deepEqual(
+        codes(validate(BIRTH_DATE, { birthYear: 1990, birthMonth: 13, birthDay: 0 })),
+        ['birthMonth:OUT_OF_RANGE', 'birthDay:OUT_OF_RANGE']
+    );
+});
+
+test('birth days must exist in their month', () => {
+    assert.equal(daysInMonth(2023, 2), 28);
+    assert.equal(daysInMonth(2024, 2), 29);
+    assert.equal(daysInMonth(1900, 2), 28);
+    assert.equal(daysInMonth(2000, 2), 29);
+    assert.equal(daysInMonth(1990, 4), 30);
+
+    assert.deepEqual(validate(BIRTH_DATE, { birthYear: 2000, birthMonth: 2, birthDay: 29 }), []);
+    assert.deepEqual(validate(BIRTH_DATE, { birthYear: 1999, birthMonth: 2, birthDay: 29 }), [
+        { code: 'INVALID_DATE', field: 'birthDay', message: '1999-02 has only 28 days' }
+    ]);
+    assert.deepEqual(codes(validate(BIRTH_DATE, { birthYear: 1990, birthMonth: 4, birthDay: 31 })), ['birthDay:INVALID_DATE']);
+
+    // The date check waits until each part is valid on its own
+    assert.deepEqual(codes(validate(BIRTH_DATE, { birthYear: 1990, birthMonth: '4', birthDay: 31 })), ['birthMonth:INVALID_TYPE']);
+});
+
+test('birth dates cannot be in the future', () => {
+    const today = new Date(2026, 9, 19);
+
+    assert.equal(checkBirthDate(2026, 10, 19, today), null);
+    assert.deepEqual(checkBirthDate(2026, 10, 20, today), {
+        code: 'FUTURE_DATE', field: 'birthYear', message: 'Birth date cannot be in the future'
+    });
+    assert.equal(checkBirthDate(2026, 11, 1, today).code, 'FUTURE_DATE');
+});
+
+test('field elements take decimal strings and safe integers below the modulus', () => {
+    const schema = { fields: { secret: fieldElement() } };
+    const secret = (value) => codes(validate(schema, { secret: value }));
+
+    assert.deepEqual(secret('31415926535'), []);
+    assert.deepEqual(secret(31415926535), []);
+    assert.deepEqual(secret('0'), []);
+    assert.deepEqual(secret((FIELD_MODULUS - 1n).toString()), []);
+
+    assert.deepEqual(validate(schema, { secret: FIELD_MODULUS.toString() }), [
+        { code: 'INVALID_FIELD_ELEMENT', field: 'secret', message: 'secret must be less than the BN254 field modulus' }
+    ]);
+    // Numbers past 2^53 have already lost precision, so they must be sent as strings
+    assert.deepEqual(secret(2 ** 60), ['secret:INVALID_FIELD_ELEMENT']);
+    assert.deepEqual(secret(-1), ['secret:INVALID_FIELD_ELEMENT']);
+    assert.deepEqual(secret('0x1f'), ['secret:INVALID_FIELD_ELEMENT']);
+    assert.deepEqual(secret('-1'), ['secret:INVALID_FIELD_ELEMENT']);
+    assert.deepEqual(secret(true), ['secret:INVALID_TYPE']);
+    assert.deepEqual(secret({ value: 1 }), ['secret:INVALID_TYPE']);
+});
+
+test('unsigned integers are bounded by their bit width', () => {
+    const schema = { fields: { balance: unsignedInteger({ bits: 64 }) } };
+    const balance = (value) => codes(validate(schema, { balance: value }));
+
+    assert.deepEqual(balance(0), []);
+    assert.deepEqual(balance(((1n << 64n) - 1n).toString()), []);
+    assert.deepEqual(balance((1n << 64n).toString()), ['balance:OUT_OF_RANGE']);
+    assert.deepEqual(balance(-1), ['balance:OUT_OF_RANGE']);
+    assert.deepEqual(balance(2 ** 60), ['balance:INVALID_TYPE']);
+    assert.deepEqual(balance('1e6'), ['balance:INVALID_TYPE']);
+});
+
+test('requireOneOf names the first field', () => {
+    const schema = { fields: { proofId: optional(string()), proofHash: optional(string()) }, checks: [requireOneOf('proofId', 'proofHash')] };
+
+    assert.deepEqual(validate(schema, {}), [
+        { code: 'REQUIRED', field: 'proofId', message: 'Provide proofId or proofHash' }
+    ]);
+    assert.deepEqual(validate(schema, { proofHash: '1' }), []);
+});
+
+const config = loadConfig({ env: { GAP_PROOF_BACKEND: 'simulated', GAP_PROOF_STORE: 'memory' } });
+const gap = new GapService({
+    config,
+    proofBackend: createProofBackend('simulated', config),
+    certificateIssuer: new CertificateIssuer(),
+    residencyIssuers: { keys: [] }
+});
+after(() => gap.close());
+
+test('routes answer 400 VALIDATION_FAILED with every problem', async () => {
+    const route = gap.route('POST', '/api/generate-commitment');
+
+    const { status, body } = await gap.handle(route, {
+        body: { birthYear: 1999, birthMonth: 2, birthDay: 29, identitySecret: FIELD_MODULUS.toString() }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_FAILED');
+    assert.deepEqual(codes(body.errors), ['identitySecret:INVALID_FIELD_ELEMENT', 'birthDay:INVALID_DATE']);
+    assert.equal(body.error, body.errors[0].message);
+
+    const accepted = await gap.handle(route, { body: { birthYear: 1990, birthMonth: 5, birthDay: 15, identitySecret: 31415926535 } });
+    const asString = await gap.handle(route, { body: { birthYear: 1990, birthMonth: 5, birthDay: 15, identitySecret: '31415926535' } });
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.body.commitment, asString.body.commitment);
+});
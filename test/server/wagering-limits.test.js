@@ -0,0 +1,93 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { MemoryProofStore, FileProofStore } = require('../../src/proof-store');
+const { WageringLedger } = require('../../src/wagering-limits');
+
+const WAGERING = path.join(__dirname, '..', '..', 'src', 'wagering-limits.js');
+const PROOF_STORE = path.join(__dirname, '..', '..', 'src', 'proof-store.js');
+
+const LIMITS = { daily: 100, weekly: null, monthly: null };
+
+let ledger;
+
+beforeEach(() => {
+    ledger = new WageringLedger({ store: new MemoryProofStore() });
+});
+
+test('wagers count against every key of the player', async () => {
+    await ledger.record(['nullifier-1', 'wallet:alice'], 'wager', 60, LIMITS);
+
+    assert.equal((await ledger.usage(['nullifier-2', 'wallet:alice'], 'wager')).daily, 60);
+    assert.equal((await ledger.usage(['nullifier-1', 'wallet:bob'], 'wager')).daily, 60);
+    assert.equal((await ledger.usage(['nullifier-2', 'wallet:bob'], 'wager')).daily, 0);
+});
+
+test('a new identity secret on the same wallet does not reset the limits', async () => {
+    await ledger.record(['nullifier-1', 'wallet:alice'], 'wager', 60, LIMITS);
+
+    await assert.rejects(
+        ledger.record(['nullifier-2', 'wallet:alice'], 'wager', 60, LIMITS),
+        { code: 'LIMIT_EXCEEDED', window: 'daily' }
+    );
+});
+
+test('usage is the highest of the keys, not their sum', async () => {
+    await ledger.record(['nullifier-1', 'wallet:alice'], 'wager', 30, LIMITS);
+    await ledger.record(['nullifier-1', 'wallet:bob'], 'wager', 20, LIMITS);
+
+    assert.equal((await ledger.usage(['nullifier-1', 'wallet:alice'], 'wager')).daily, 50);
+    assert.equal((await ledger.usage('wallet:bob', 'wager')).daily, 20);
+});
+
+test('concurrent wagers sharing a key cannot both pass the limit', async () => {
+    const results = await Promise.allSettled([
+        ledger.record(['nullifier-1', 'wallet:alice'], 'wager', 60, LIMITS),
+        ledger.record(['nullifier-2', 'wallet:alice'], 'wager', 60, LIMITS)
+    ]);
+    assert.deepEqual(results.map((result) => result.status).sort(), ['fulfilled', 'rejected']);
+});
+
+/**
+ * Try `count` wagers of 1 on a shared wallet key from a separate process;
+ * resolves to how many were accepted
+ */
+async function wagerFromChild(filePath, nullifier, count, limits) {
+    const script = `
+        const { WageringLedger } = require(${JSON.stringify(WAGERING)});
+        const { FileProofStore } = require(${JSON.stringify(PROOF_STORE)});
+        const ledger = new WageringLedger({ store: new FileProofStore({ filePath: ${JSON.stringify(filePath)} }) });
+        (async () => {
+            let accepted = 0;
+            for (let i = 0; i < ${count}; i++) {
+                await ledger.record(['${nullifier}', 'wallet:alice'], 'wager', 1, ${JSON.stringify(limits)})
+                    .then(() => accepted++, () => {});
+            }
+            process.stdout.write(String(accepted));
+        })();
+    `;
+    const { stdout } = await promisify(execFile)(process.execPath, ['-e', script]);
+    return Number(stdout);
+}
+
+test('instances sharing a file store cannot exceed a limit together', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wagers-'));
+    try {
+        const filePath = path.join(dir, 'wagers.json');
+        const limits = { daily: 150, weekly: null, monthly: null };
+        const accepted = await Promise.all([
+            wagerFromChild(filePath, 'nullifier-1', 100, limits),
+            wagerFromChild(filePath, 'nullifier-2', 100, limits)
+        ]);
+
+        assert.equal(accepted[0] + accepted[1], 150);
+        const ledgerOnFile = new WageringLedger({ store: new FileProofStore({ filePath }) });
+        assert.equal((await ledgerOnFile.usage('wallet:alice', 'wager')).daily, 150);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});